@@ -22,9 +22,12 @@ function setCache(key, value, ttlMs = 10 * 60 * 1000) { _cache.set(key, { value,
 function getCache(key) { const hit = _cache.get(key); if (!hit) return null; if (Date.now() > hit.exp) { _cache.delete(key); return null; } return hit.value; }
 
 // ===== RAW BODY FOR WEBHOOKS =====
+// /webhook/printful parses its own (larger) JSON bodies
 app.use((req, res, next) => {
   if (req.originalUrl === "/webhook") {
     express.raw({ type: "application/json" })(req, res, next);
+  } else if (req.path === "/webhook/printful") {
+    next();
   } else {
     express.json()(req, res, next);
   }
@@ -214,42 +217,300 @@ function buildGalleryByColor({ variants, files, overrides, defaultColor }){
   }
   return { galleryByColor, images: Array.from(imagesSet) };
 }
-let inventory = {};
+// ===== SELF-FULFILLED CATALOG =====
+// Products we ship ourselves (sunglasses and anything else that isn't Printful).
+// self_products: id (slug), sku, name, description, price_cents (USD), images (text[]), active,
+//   sort_index, updated_at
+// self_product_variants: product_id, option (e.g. a color; unique per product), sku, name,
+//   price_cents (null = product price), image, stock, active, updated_at
+// Cart items reference them as { type: 'self', productId, option } ({ type: 'sunglasses', color }
+// is the legacy form for product 'sunglasses').
+const LEGACY_SELF_PRODUCT_ID = 'sunglasses';
+
+function normalizeSelfOption(option) {
+  return String(option || '').trim().toLowerCase();
+}
 
-async function loadInventory() {
-  const { data, error } = await supabase
-    .from("inventory")
-    .select("color, quantity");
-  if (error) {
-    console.error('❌ Failed to load inventory:', error.message);
-    throw error;
-  }
-  if (!data) {
-    console.warn('⚠️ No inventory data returned from Supabase');
-    return {};
+async function loadSelfCatalog({ fresh = false } = {}) {
+  if (!fresh) {
+    const cached = getCache('catalog:self');
+    if (cached) return cached;
   }
-  
+  const [{ data: products, error: pErr }, { data: variants, error: vErr }] = await Promise.all([
+    supabase.from('self_products').select('id, sku, name, description, price_cents, images, active, sort_index').order('sort_index', { ascending: true }),
+    supabase.from('self_product_variants').select('product_id, option, sku, name, price_cents, image, stock, active')
+  ]);
+  if (pErr) throw pErr;
+  if (vErr) throw vErr;
+  const catalog = (products || []).map(p => ({
+    id: String(p.id),
+    sku: p.sku || String(p.id),
+    name: p.name,
+    description: p.description || '',
+    priceCents: Math.round(Number(p.price_cents || 0)),
+    images: Array.isArray(p.images) ? p.images.filter(Boolean) : [],
+    active: p.active !== false,
+    variants: (variants || [])
+      .filter(v => String(v.product_id) === String(p.id))
+      .map(v => ({
+        option: normalizeSelfOption(v.option),
+        sku: v.sku || `${p.sku || p.id}-${normalizeSelfOption(v.option)}`,
+        name: v.name || null,
+        priceCents: v.price_cents != null ? Math.round(Number(v.price_cents)) : null,
+        image: v.image || null,
+        stock: Math.max(0, parseInt(v.stock, 10) || 0),
+        active: v.active !== false
+      }))
+  }));
+  setCache('catalog:self', catalog, 60 * 1000);
+  return catalog;
+}
+
+function selfLineName(product, variant) {
+  if (variant?.name) return variant.name;
+  // Legacy naming the storefront and order emails already use
+  if (product.id === LEGACY_SELF_PRODUCT_ID) return `Catfish Empire™ ${variant?.option || ''} Sunglasses`.replace(/\s+/g, ' ');
+  return variant?.option ? `${product.name} / ${variant.option}` : product.name;
+}
+
+// Finds the product + variant for a cart item; null when it doesn't exist or is inactive
+// (includeInactive: paid orders still resolve items retired after checkout)
+async function resolveSelfItem(item, { fresh = false, includeInactive = false } = {}) {
+  const productId = String(item.productId || item.product_id || LEGACY_SELF_PRODUCT_ID);
+  const option = normalizeSelfOption(item.option ?? item.color);
+  const usable = x => includeInactive || x.active;
+  const product = (await loadSelfCatalog({ fresh })).find(p => p.id === productId && usable(p));
+  if (!product) return null;
+  const variant = product.variants.find(v => v.option === option && usable(v))
+    || (!option && product.variants.length === 1 && usable(product.variants[0]) ? product.variants[0] : null);
+  if (!variant) return null;
+  return { product, variant, name: selfLineName(product, variant), image: variant.image || product.images[0] || '' };
+}
+
+// Legacy { color: quantity } map for the sunglasses product (/public-inventory, /inventory)
+async function loadInventory() {
+  const catalog = await loadSelfCatalog({ fresh: true });
+  const product = catalog.find(p => p.id === LEGACY_SELF_PRODUCT_ID);
   const inv = {};
-  data.forEach((i) => (inv[i.color.trim()] = i.quantity));
-  console.log('📦 Loaded inventory:', inv);
+  for (const v of (product?.variants || [])) if (v.active) inv[v.option] = v.stock;
   return inv;
 }
 
-async function updateQuantity(color, qty) {
+async function updateQuantity(color, qty, productId = LEGACY_SELF_PRODUCT_ID) {
   const { error } = await supabase
-    .from("inventory")
-    .update({ quantity: qty })
-    .eq("color", color);
+    .from('self_product_variants')
+    .update({ stock: Math.max(0, qty), updated_at: new Date().toISOString() })
+    .eq('product_id', productId)
+    .eq('option', normalizeSelfOption(color));
   if (error) throw error;
+  _cache.delete('catalog:self');
 }
 
-loadInventory().then((inv) => {
-  inventory = inv;
-  console.log('🚀 Server startup - inventory loaded:', inv);
-}).catch(err => {
-  console.error('❌ Failed to load inventory on startup:', err.message);
-  inventory = {};
-});
+// Compare-and-set decrement so concurrent orders can't both write the same old stock
+async function decrementSelfStock(productId, option, qty) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: row, error } = await supabase
+      .from('self_product_variants')
+      .select('stock')
+      .eq('product_id', productId)
+      .eq('option', option)
+      .maybeSingle();
+    if (error) throw error;
+    if (!row) return null;
+    const next = Math.max(0, Number(row.stock || 0) - Number(qty));
+    const { data: updated, error: uErr } = await supabase
+      .from('self_product_variants')
+      .update({ stock: next, updated_at: new Date().toISOString() })
+      .eq('product_id', productId)
+      .eq('option', option)
+      .eq('stock', row.stock)
+      .select('stock');
+    if (uErr) throw uErr;
+    if (updated && updated.length) {
+      _cache.delete('catalog:self');
+      return { from: Number(row.stock || 0), to: next };
+    }
+  }
+  throw new Error(`stock update for ${productId}/${option} kept conflicting`);
+}
+
+// One-time copy of the legacy inventory table (color → quantity) into the catalog
+async function seedSelfCatalogFromLegacyInventory() {
+  const { count, error } = await supabase.from('self_products').select('id', { count: 'exact', head: true });
+  if (error) throw error;
+  if (count > 0) return;
+  const { data: legacy, error: lErr } = await supabase.from('inventory').select('color, quantity');
+  if (lErr || !legacy?.length) return;
+  const now = new Date().toISOString();
+  const { error: pErr } = await supabase.from('self_products').insert({
+    id: LEGACY_SELF_PRODUCT_ID, sku: 'SUNGLASSES', name: 'Catfish Empire™ Sunglasses', description: '',
+    price_cents: 1499, images: [], active: true, sort_index: 0, updated_at: now
+  });
+  if (pErr) throw pErr;
+  const { error: vErr } = await supabase.from('self_product_variants').insert(legacy.map(r => ({
+    product_id: LEGACY_SELF_PRODUCT_ID,
+    option: normalizeSelfOption(r.color),
+    sku: `SUNGLASSES-${normalizeSelfOption(r.color).toUpperCase().replace(/[^A-Z0-9]+/g, '-')}`,
+    stock: Math.max(0, parseInt(r.quantity, 10) || 0),
+    active: true,
+    updated_at: now
+  })));
+  if (vErr) throw vErr;
+  console.log(`📦 Seeded self catalog from legacy inventory (${legacy.length} colors)`);
+}
+
+if (require.main === module) {
+  seedSelfCatalogFromLegacyInventory()
+    .then(() => loadInventory())
+    .then((inv) => console.log('🚀 Server startup - inventory loaded:', inv))
+    .catch(err => console.error('❌ Failed to load self catalog on startup:', err.message));
+}
+
+// ===== INVENTORY RESERVATIONS =====
+// inventory_reservations: id, hold_id, session_id, product_id, option, qty, status
+// (active | converted | released), release_reason, expires_at, created_at, updated_at.
+// Checkout reserves self-fulfilled quantities under a hold id (stored as session metadata.hold_id)
+// before the Stripe session exists. Active rows count against stock until expires_at (the
+// session's expires_at plus a grace period), conversion on payment, or release when the session
+// expires or its delayed payment fails.
+const CHECKOUT_SESSION_TTL_MINUTES = Math.min(1440, Math.max(30, parseInt(process.env.CHECKOUT_SESSION_TTL_MINUTES || '60', 10) || 60));
+const RESERVATION_GRACE_MINUTES = 5;
+// Delayed payment methods (ACH) complete unpaid; keep their units until the payment settles
+const DELAYED_PAYMENT_HOLD_DAYS = parseInt(process.env.DELAYED_PAYMENT_HOLD_DAYS || '7', 10) || 7;
+
+function reservationKey(productId, option) {
+  return `${productId}|${normalizeSelfOption(option)}`;
+}
+
+// Map of reservationKey → reserved qty across active, unexpired holds, leaving out excludeHoldId
+// (the shopper's own previous checkout, which a new checkout supersedes)
+async function loadReservedQuantities(excludeHoldId = null) {
+  let q = supabase
+    .from('inventory_reservations')
+    .select('product_id, option, qty')
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString());
+  if (excludeHoldId) q = q.neq('hold_id', excludeHoldId);
+  const { data, error } = await q;
+  if (error) throw error;
+  const reserved = new Map();
+  for (const r of (data || [])) {
+    const key = reservationKey(r.product_id, r.option);
+    reserved.set(key, (reserved.get(key) || 0) + Number(r.qty || 0));
+  }
+  return reserved;
+}
+
+function availableStock(variant, productId, reserved) {
+  return Math.max(0, variant.stock - (reserved?.get(reservationKey(productId, variant.option)) || 0));
+}
+
+// Inserts the hold, then checks it against earlier holds: when the units reserved before and
+// including ours exceed stock the hold is released and err.code = 'out_of_stock' is thrown.
+// Two racing checkouts for the last unit both insert, but only the later one loses.
+async function reserveInventory(holdId, lines, expiresAt) {
+  const now = new Date().toISOString();
+  const rows = lines.map(l => ({
+    hold_id: holdId, product_id: l.productId, option: l.option, qty: l.qty,
+    status: 'active', expires_at: expiresAt.toISOString(), created_at: now, updated_at: now
+  }));
+  const { data: inserted, error } = await supabase.from('inventory_reservations').insert(rows).select('id, product_id, option, created_at');
+  if (error) throw error;
+
+  const short = [];
+  for (const mine of (inserted || [])) {
+    const { data: holds, error: hErr } = await supabase
+      .from('inventory_reservations')
+      .select('id, qty, created_at')
+      .eq('product_id', mine.product_id)
+      .eq('option', mine.option)
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+    if (hErr) throw hErr;
+    let ahead = 0;
+    for (const h of (holds || [])) {
+      ahead += Number(h.qty || 0);
+      if (h.id === mine.id) break;
+    }
+    const self = await resolveSelfItem({ productId: mine.product_id, option: mine.option }, { fresh: true, includeInactive: true });
+    const stock = self?.variant.stock || 0;
+    if (ahead > stock) {
+      const line = lines.find(l => l.productId === mine.product_id && l.option === mine.option);
+      short.push({ index: line?.index, name: self?.name || line?.name, requested: line?.qty, available: Math.max(0, stock - (ahead - (line?.qty || 0))) });
+    }
+  }
+  if (short.length) {
+    await releaseReservations(holdId, 'out_of_stock');
+    const err = new Error(short.length === 1 ? `${short[0].name} just sold out` : 'Some items just sold out');
+    err.code = 'out_of_stock';
+    err.items = short;
+    throw err;
+  }
+}
+
+async function updateReservations(holdId, fromStatus, patch) {
+  if (!holdId) return 0;
+  const { data, error } = await supabase
+    .from('inventory_reservations')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('hold_id', holdId)
+    .eq('status', fromStatus)
+    .select('id');
+  if (error) throw error;
+  return (data || []).length;
+}
+
+function releaseReservations(holdId, reason) {
+  return updateReservations(holdId, 'active', { status: 'released', release_reason: reason });
+}
+
+function convertReservations(holdId) {
+  return updateReservations(holdId, 'active', { status: 'converted' });
+}
+
+// Best-effort wrapper for webhook branches; a failed update only leaves the hold to lapse
+async function settleReservations(session, action) {
+  const holdId = session?.metadata?.hold_id;
+  if (!holdId) return;
+  try {
+    if (action === 'convert') await convertReservations(holdId);
+    else if (action === 'extend') {
+      const until = new Date(Date.now() + DELAYED_PAYMENT_HOLD_DAYS * 86400 * 1000).toISOString();
+      await updateReservations(holdId, 'active', { expires_at: until, session_id: session.id });
+    } else await releaseReservations(holdId, action);
+  } catch (e) {
+    console.error(`Reservation ${action} failed for ${holdId}:`, e?.message || e);
+  }
+}
+
+// A shopper who reopens checkout gives up their previous attempt. Its session is expired first so it
+// can no longer be paid; a session that completed or could not be expired keeps its hold for the
+// webhook (convert, or release on checkout.session.expired).
+async function supersedeCheckoutHold(holdId, sessionId) {
+  if (!holdId || !sessionId) return;
+  try {
+    await stripe.checkout.sessions.expire(sessionId);
+  } catch (e) {
+    const prev = await stripe.checkout.sessions.retrieve(sessionId).catch(() => null);
+    if (prev?.status !== 'expired') {
+      console.warn(`previous checkout ${sessionId} not expired (${prev?.status || e?.message || e}); keeping hold ${holdId}`);
+      return;
+    }
+  }
+  await releaseReservations(holdId, 'superseded');
+}
+
+// Legacy { color: available } map for the storefront: on hand minus active reservations
+async function loadAvailableInventory() {
+  const [inv, reserved] = await Promise.all([loadInventory(), loadReservedQuantities()]);
+  const out = {};
+  for (const [color, qty] of Object.entries(inv)) {
+    out[color] = Math.max(0, qty - (reserved.get(reservationKey(LEGACY_SELF_PRODUCT_ID, color)) || 0));
+  }
+  return out;
+}
 
 // ===== EMAIL SETUP =====
 const transporter = nodemailer.createTransport({
@@ -318,7 +579,9 @@ function getActivePromo(req){ return req.session?.promo || null; }
 function setActivePromo(req, promo){ if (!req.session) req.session = {}; req.session.promo = promo; }
 function clearActivePromo(req){ if (req.session) req.session.promo = null; }
 
-function calcFlatShipping(lines){ return Array.isArray(lines) && lines.length ? 599 : 0; }
+// Fallback when live Printful rates are unavailable (and for carts without Printful items)
+const SHIPPING_FLAT_CENTS = parseInt(process.env.SHIPPING_FLAT_CENTS || '599', 10);
+function calcFlatShipping(lines){ return Array.isArray(lines) && lines.length ? SHIPPING_FLAT_CENTS : 0; }
 function calcCartTotals(lines, promo){
   const safe = Array.isArray(lines) ? lines : [];
   const subCents = safe.reduce((s,l)=> s + (Number(l.priceCents||0) * Math.max(1, Number(l.qty||1))), 0);
@@ -337,21 +600,206 @@ function priceAfterPromo(cents, promoPercent){
 // Removed duplicate - using readPromoCodesFromEnv() above
 
 // ===== Idempotency & order-record helpers =====
+// processed_events: event_id (primary key), source, type, processed_at, outcome.
+// The primary key makes the insert the lock: the first delivery wins, duplicates hit 23505.
+// A handler that fails releases its claim (releaseEventClaim) so the next delivery runs it;
+// a claim left in "processing" by a crashed process is taken over once it is stale.
+const EVENT_CLAIM_STALE_MS = 10 * 60 * 1000;
+
+async function markEventProcessedOnce(source, eventId, type) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("processed_events")
+    .insert({ event_id: eventId, source, type, processed_at: now, outcome: "processing" });
+  if (!error) return true;
+  if (error.code === "23505") {
+    const { data: row } = await supabase
+      .from("processed_events").select("outcome, processed_at").eq("event_id", eventId).maybeSingle();
+    if (row?.outcome === "processing" && Date.parse(row.processed_at) < Date.now() - EVENT_CLAIM_STALE_MS) {
+      const { data: taken } = await supabase
+        .from("processed_events")
+        .update({ processed_at: now })
+        .eq("event_id", eventId)
+        .eq("outcome", "processing")
+        .eq("processed_at", row.processed_at)
+        .select("event_id")
+        .maybeSingle();
+      if (taken) {
+        console.warn(`Took over stale ${source} claim ${eventId} (${type}) from ${row.processed_at}`);
+        return true;
+      }
+    }
+    console.log(`Duplicate ${source} event ${eventId} (${type}) ignored`);
+    return false;
+  }
+  console.error("markEventProcessedOnce error:", error.message || error);
+  throw error;
+}
+
+// Drops an unfinished claim so a later delivery can claim the event again
+async function releaseEventClaim(eventId) {
+  const { error } = await supabase
+    .from("processed_events").delete().eq("event_id", eventId).eq("outcome", "processing");
+  if (error) console.error("releaseEventClaim error:", error.message || error);
+}
+
+// Claims (source, eventId), runs fn, records its result as the outcome; a throw releases the
+// claim and rethrows. Returns { ran: false } when another delivery already did (or is doing) it.
+async function runEventStepOnce(source, eventId, type, fn) {
+  if (!(await markEventProcessedOnce(source, eventId, type))) return { ran: false };
+  let result;
+  try {
+    result = await fn();
+  } catch (e) {
+    await releaseEventClaim(eventId);
+    throw e;
+  }
+  await recordEventOutcome(eventId, typeof result === "string" ? result : "done");
+  return { ran: true, result };
+}
+
 async function markStripeEventProcessedOnce(eventId, type) {
-  // Temporarily bypass idempotency check until Supabase tables are created
-  console.log(`Processing Stripe event ${eventId} (${type}) - idempotency temporarily disabled`);
-  return true;
+  return markEventProcessedOnce("stripe", eventId, type);
+}
+
+async function recordEventOutcome(eventId, outcome) {
+  const { error } = await supabase
+    .from("processed_events")
+    .update({ outcome: String(outcome || "ok"), processed_at: new Date().toISOString() })
+    .eq("event_id", eventId);
+  if (error) console.error("recordEventOutcome error:", error.message || error);
+}
+
+// ===== Printful order ledger =====
+// printful_orders: one row per external_id (mkPfExternalId of the Stripe session).
+// printful_order_history: external_id, from_status, to_status, event_type, meta, created_at.
+// Status machine: draft → confirmed → shipped/fulfilled → canceled, with failed reachable
+// before shipment. Refunds after shipment still close the order out as canceled.
+const ORDER_STATUS_TRANSITIONS = {
+  draft: ["confirmed", "canceled", "failed"],
+  confirmed: ["shipped", "fulfilled", "canceled", "failed"],
+  shipped: ["fulfilled", "canceled"],
+  fulfilled: ["canceled"],
+  failed: ["draft", "confirmed", "canceled"],
+  canceled: []
+};
+const ORDER_INITIAL_STATUSES = ["draft", "confirmed", "failed"];
+
+function canTransitionOrder(from, to) {
+  if (!to || from === to) return true;
+  if (!from) return ORDER_INITIAL_STATUSES.includes(to);
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
 }
 
 async function getOrderByExternalId(externalId) {
-  // Temporarily bypass order lookup until Supabase tables are created
-  console.log(`Would lookup order: ${externalId}`);
-  return null; // always treat as new order
+  if (!externalId) return null;
+  const { data, error } = await supabase
+    .from("printful_orders").select("*").eq("external_id", externalId).maybeSingle();
+  if (error) {
+    console.error("getOrderByExternalId error:", error.message || error);
+    throw error;
+  }
+  return data || null;
+}
+
+async function getOrderHistory(externalId) {
+  const { data, error } = await supabase
+    .from("printful_order_history")
+    .select("*")
+    .eq("external_id", externalId)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function appendOrderHistory({ external_id, from_status, to_status, event_type, meta }) {
+  const { error } = await supabase.from("printful_order_history").insert({
+    external_id,
+    from_status: from_status || null,
+    to_status: to_status || null,
+    event_type: event_type || null,
+    meta: meta || null,
+    created_at: new Date().toISOString()
+  });
+  if (error) console.error("appendOrderHistory error:", error.message || error);
 }
 
+// Insert or update a ledger row. Illegal status transitions throw (err.code = "illegal_transition");
+// the update is conditional on the status we read, so a concurrent transition fails instead of
+// being silently overwritten.
 async function upsertOrderRecord(record) {
-  // Temporarily bypass order tracking until Supabase tables are created
-  console.log(`Would track order: ${record.external_id} -> ${record.pf_order_id} (${record.status})`);
+  const external_id = record?.external_id;
+  if (!external_id) throw new Error("upsertOrderRecord: missing external_id");
+  const existing = await getOrderByExternalId(external_id);
+  const from = existing?.status || null;
+  const to = record.status || from;
+
+  if (!canTransitionOrder(from, to)) {
+    const err = new Error(`Illegal order transition ${from || "(new)"} -> ${to} for ${external_id}`);
+    err.code = "illegal_transition";
+    err.from = from;
+    err.to = to;
+    throw err;
+  }
+
+  const now = new Date().toISOString();
+  const row = { ...record, status: to, updated_at: now };
+  Object.keys(row).forEach(k => row[k] === undefined && delete row[k]);
+  if (record.meta) row.meta = { ...(existing?.meta || {}), ...record.meta };
+
+  let saved;
+  if (existing) {
+    const { data, error } = await supabase
+      .from("printful_orders")
+      .update(row)
+      .eq("external_id", external_id)
+      .eq("status", existing.status)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      const err = new Error(`Order ${external_id} changed concurrently (expected status ${existing.status})`);
+      err.code = "concurrent_update";
+      throw err;
+    }
+    saved = data;
+  } else {
+    const { data, error } = await supabase
+      .from("printful_orders")
+      .insert({ ...row, created_at: now })
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    saved = data;
+  }
+
+  if (from !== to) {
+    await appendOrderHistory({
+      external_id,
+      from_status: from,
+      to_status: to,
+      event_type: record.last_event_type,
+      meta: record.meta || null
+    });
+  }
+  return saved;
+}
+
+// Order facts from the Stripe session, stored on the ledger for admin search and customer emails
+function ledgerFieldsFromSession(session, items) {
+  const productIds = (items || [])
+    .filter(i => i.type === 'printful' && i.productId)
+    .map(i => String(i.productId));
+  return {
+    session_id: session.id,
+    customer_email: session.customer_email || session.customer_details?.email || null,
+    customer_name: session.shipping?.name || session.customer_details?.name || null,
+    promo_code: session.metadata?.promo_code || null,
+    promo_mode: session.metadata?.mode || null,
+    product_ids: Array.from(new Set(productIds)),
+    amount_total: Number.isFinite(session.amount_total) ? session.amount_total : null,
+    currency: (session.currency || 'usd').toLowerCase()
+  };
 }
 
 async function findOrderByPIorCharge({ pi, charge }) {
@@ -369,34 +817,616 @@ async function findOrderByPIorCharge({ pi, charge }) {
 }
 
 async function cancelOrderRecord({ external_id, pf_order_id, refund_status }) {
-  const payload = {
-    external_id,
-    pf_order_id,
-    status: "canceled",
-    refund_status: refund_status || "refunded_or_failed",
-    cancelled_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
+  try {
+    await upsertOrderRecord({
+      external_id,
+      pf_order_id,
+      status: "canceled",
+      refund_status: refund_status || "refunded_or_failed",
+      cancelled_at: new Date().toISOString(),
+      last_event_type: refund_status || "cancel"
+    });
+  } catch (e) {
+    console.error("cancelOrderRecord error:", e?.message || e);
+  }
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function formatMoney(cents, currency = "usd") {
+  const cur = String(currency || "usd").toUpperCase();
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: cur }).format(Number(cents || 0) / 100);
+  } catch {
+    return `${(Number(cents || 0) / 100).toFixed(2)} ${cur}`;
+  }
+}
+
+// Customer-facing order reference, e.g. ce1a2b3c4d… → CE-1A2B3C4D
+function orderReferenceFromExternalId(externalId) {
+  const id = String(externalId || "");
+  return `CE-${id.replace(/^ce/i, "").slice(0, 8).toUpperCase()}`;
+}
+
+function isDeliverableEmail(email) {
+  const e = String(email || "").trim();
+  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(e) && !/@example\.com$/i.test(e);
+}
+
+// ===== EMAIL TEMPLATES =====
+// Every outgoing email is rendered from EMAIL_TEMPLATES: each entry has subject/html/text renderers
+// and a fixture used by /admin/emails/preview/:template. html() returns the body only;
+// renderEmail wraps it in the shared layout.
+const EMAIL_FROM = `"Catfish Empire" <${process.env.SMTP_USER}>`;
+
+const EMAIL_PARTIALS = {
+  heading: (text) => `<h2 style="margin:0 0 12px;font-size:20px">${escapeHtml(text)}</h2>`,
+  subheading: (text) => `<h3 style="margin:20px 0 6px;font-size:16px">${escapeHtml(text)}</h3>`,
+  paragraph: (html) => `<p style="margin:0 0 12px;line-height:1.5">${html}</p>`,
+  button: ({ href, label }) => href
+    ? `<p style="margin:16px 0"><a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 18px;background:#111;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(label)}</a></p>`
+    : "",
+  itemList: (items) => `<ul style="margin:0 0 12px;padding-left:20px">${(items || []).map(it => `<li>${it.quantity} × ${escapeHtml(it.name)}</li>`).join("")}</ul>`,
+  keyValue: (rows) => `<table style="border-collapse:collapse;margin:0 0 12px">${(rows || []).map(([k, v]) => `<tr><td style="padding:3px 12px 3px 0;color:#555;vertical-align:top">${escapeHtml(k)}</td><td style="padding:3px 0">${escapeHtml(v)}</td></tr>`).join("")}</table>`,
+  lineTable: ({ lines, summary, total, currency }) => `<table style="width:100%;border-collapse:collapse;margin:0 0 12px">
+    ${(lines || []).map(l => `<tr><td style="padding:6px 0">${l.quantity} × ${escapeHtml(l.name)}</td><td style="padding:6px 0;text-align:right">${escapeHtml(formatMoney(l.amountCents, currency))}</td></tr>`).join("")}
+    <tr><td colspan="2" style="border-top:1px solid #ddd"></td></tr>
+    ${(summary || []).map(([k, v]) => `<tr><td style="padding:4px 0;color:#555">${escapeHtml(k)}</td><td style="padding:4px 0;text-align:right">${escapeHtml(v)}</td></tr>`).join("")}
+    <tr><td style="padding:8px 0"><strong>Total</strong></td><td style="padding:8px 0;text-align:right"><strong>${escapeHtml(total)}</strong></td></tr>
+  </table>`,
+  address: (lines) => lines && lines.length ? `<p style="margin:0 0 12px">${lines.map(escapeHtml).join("<br>")}</p>` : "",
+  pre: (text) => text ? `<pre style="background:#f5f5f5;padding:10px;border-radius:4px;white-space:pre-wrap;font-size:12px">${escapeHtml(text)}</pre>` : "",
+  textItems: (items) => (items || []).map(it => `- ${it.quantity} × ${it.name}`).join("\n"),
+  textKeyValue: (rows) => (rows || []).map(([k, v]) => `${k}: ${v}`).join("\n")
+};
+
+function renderEmailLayout({ title, preheader, body, internal }) {
+  const footer = internal
+    ? "Catfish Empire operations notice"
+    : "Catfish Empire · Questions? Just reply to this email.";
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f4f4f4">
+<span style="display:none;max-height:0;overflow:hidden">${escapeHtml(preheader || "")}</span>
+<div style="max-width:600px;margin:0 auto;background:#fff;font-family:Arial,Helvetica,sans-serif;color:#222">
+  <div style="background:#111;color:#fff;padding:14px 24px;font-weight:bold;letter-spacing:1px">CATFISH EMPIRE</div>
+  <div style="padding:24px">${body}</div>
+  <div style="padding:12px 24px;color:#888;font-size:12px;border-top:1px solid #eee">${escapeHtml(footer)}</div>
+</div>
+</body></html>`;
+}
+
+function renderEmailTextLayout({ text, internal }) {
+  return `${text}\n\n--\n${internal ? "Catfish Empire operations notice" : "Catfish Empire · Questions? Just reply to this email."}\n`;
+}
+
+function orderSummaryRows(d) {
+  const money = c => formatMoney(c, d.currency);
+  return [
+    ["Subtotal", money(d.subtotalCents)],
+    ...(d.discountCents ? [[`Discount${d.promo ? ` (${d.promo})` : ""}`, `−${money(d.discountCents)}`]] : []),
+    ["Shipping", d.shippingCents ? money(d.shippingCents) : "Free"],
+    ["Tax", money(d.taxCents)]
+  ];
+}
+
+const SAMPLE_SHIP_TO = ["Pat Angler", "123 Bayou Rd", "Lafayette LA 70501", "US"];
+
+const EMAIL_TEMPLATES = {
+  order_confirmation: {
+    subject: d => `Your Catfish Empire order ${d.orderRef}`,
+    preheader: d => `We've got your order ${d.orderRef}.`,
+    html: d => [
+      EMAIL_PARTIALS.heading(`Thanks for your order${d.customerName ? `, ${d.customerName}` : ""}!`),
+      EMAIL_PARTIALS.paragraph(`Order reference: <strong>${escapeHtml(d.orderRef)}</strong>`),
+      EMAIL_PARTIALS.lineTable({ lines: d.lines, summary: orderSummaryRows(d), total: formatMoney(d.totalCents, d.currency), currency: d.currency }),
+      d.shipTo ? EMAIL_PARTIALS.subheading("Shipping to") + EMAIL_PARTIALS.address(d.shipTo) : "",
+      EMAIL_PARTIALS.paragraph("We'll email you tracking details as soon as your items ship.")
+    ].join("\n"),
+    text: d => [
+      `Thanks for your order${d.customerName ? `, ${d.customerName}` : ""}!`,
+      `Order reference: ${d.orderRef}`,
+      "",
+      ...(d.lines || []).map(l => `${l.quantity} × ${l.name} — ${formatMoney(l.amountCents, d.currency)}`),
+      "",
+      EMAIL_PARTIALS.textKeyValue(orderSummaryRows(d)),
+      `Total: ${formatMoney(d.totalCents, d.currency)}`,
+      ...(d.shipTo ? ["", "Shipping to:", ...d.shipTo] : []),
+      "",
+      "We'll email you tracking details as soon as your items ship."
+    ].join("\n"),
+    fixture: {
+      customerName: "Pat",
+      orderRef: "CE-1A2B3C4D",
+      lines: [{ name: "Catfish Empire Hoodie / Black / L", quantity: 1, amountCents: 4500 }, { name: "Catfish Empire™ black Sunglasses", quantity: 2, amountCents: 2998 }],
+      promo: "TAKE10",
+      subtotalCents: 7498, discountCents: 750, shippingCents: 599, taxCents: 412, totalCents: 7759,
+      currency: "usd",
+      shipTo: SAMPLE_SHIP_TO
+    }
+  },
+
+  shipping_confirmation: {
+    subject: d => d.packageCount > 1
+      ? `Package ${d.packageIndex} of ${d.packageCount} from your Catfish Empire order has shipped`
+      : "Your Catfish Empire order has shipped",
+    preheader: d => `Tracking number ${d.shipment?.tracking_number || ""}`,
+    html: d => {
+      const split = d.packageCount > 1;
+      const carrier = [d.shipment?.carrier, d.shipment?.service].filter(Boolean).join(" — ") || "Carrier";
+      return [
+        EMAIL_PARTIALS.heading(`Good news${d.customerName ? `, ${d.customerName}` : ""}!`),
+        EMAIL_PARTIALS.paragraph(split ? `Package ${d.packageIndex} of ${d.packageCount} of your order is on its way.` : "Your order is on its way."),
+        d.orderRef ? EMAIL_PARTIALS.paragraph(`Order reference: <strong>${escapeHtml(d.orderRef)}</strong>`) : "",
+        EMAIL_PARTIALS.keyValue([["Carrier", carrier], ["Tracking number", d.shipment?.tracking_number || "n/a"]]),
+        EMAIL_PARTIALS.button({ href: d.shipment?.tracking_url, label: "Track your package" }),
+        EMAIL_PARTIALS.subheading("In this package"),
+        EMAIL_PARTIALS.itemList(d.items),
+        d.remaining?.length ? EMAIL_PARTIALS.subheading("Still on the way") + EMAIL_PARTIALS.paragraph("These items ship separately:") + EMAIL_PARTIALS.itemList(d.remaining) : ""
+      ].join("\n");
+    },
+    text: d => {
+      const split = d.packageCount > 1;
+      const carrier = [d.shipment?.carrier, d.shipment?.service].filter(Boolean).join(" — ") || "Carrier";
+      return [
+        `Good news${d.customerName ? `, ${d.customerName}` : ""}!`,
+        "",
+        split ? `Package ${d.packageIndex} of ${d.packageCount} of your order is on its way.` : "Your order is on its way.",
+        ...(d.orderRef ? [`Order reference: ${d.orderRef}`] : []),
+        `Carrier: ${carrier}`,
+        `Tracking number: ${d.shipment?.tracking_number || "n/a"}`,
+        ...(d.shipment?.tracking_url ? [`Track it: ${d.shipment.tracking_url}`] : []),
+        "",
+        "In this package:",
+        EMAIL_PARTIALS.textItems(d.items),
+        ...(d.remaining?.length ? ["", "Still on the way (ships separately):", EMAIL_PARTIALS.textItems(d.remaining)] : [])
+      ].join("\n");
+    },
+    fixture: {
+      customerName: "Pat",
+      orderRef: "CE-1A2B3C4D",
+      shipment: { carrier: "USPS", service: "First Class", tracking_number: "9400100000000000000000", tracking_url: "https://tools.usps.com/go/TrackConfirmAction?tLabels=9400100000000000000000" },
+      items: [{ name: "Catfish Empire Hoodie / Black / L", quantity: 1 }],
+      remaining: [{ name: "Catfish Empire Tee / White / M", quantity: 1 }],
+      packageIndex: 1,
+      packageCount: 2
+    }
+  },
+
+  donation_thanks: {
+    subject: () => "Thank you for your donation to Catfish Empire",
+    preheader: d => `Your ${formatMoney(d.amountCents, d.currency)} donation`,
+    html: d => [
+      EMAIL_PARTIALS.heading("Thank you for supporting Catfish Empire!"),
+      EMAIL_PARTIALS.keyValue([["Donation", "Charitable Donation to Catfish Empire"], ["Amount", formatMoney(d.amountCents, d.currency)], ["Date", d.date]]),
+      EMAIL_PARTIALS.paragraph("We appreciate your support!")
+    ].join("\n"),
+    text: d => [
+      "Thank you for supporting Catfish Empire!",
+      "",
+      "Charitable Donation to Catfish Empire",
+      `Amount: ${formatMoney(d.amountCents, d.currency)}`,
+      `Date: ${d.date}`,
+      "",
+      "We appreciate your support!"
+    ].join("\n"),
+    fixture: { name: "Pat Angler", amountCents: 2500, currency: "usd", date: "1/1/2026, 12:00:00 PM" }
+  },
+
+  cart_recovery: {
+    subject: d => d.promoCode ? `Your cart is waiting, plus ${d.promoPercent}% off` : (d.step > 1 ? "Still thinking it over?" : "You left something in your cart"),
+    preheader: d => d.promoCode ? `Use ${d.promoCode} for ${d.promoPercent}% off` : "Pick up where you left off",
+    html: d => [
+      EMAIL_PARTIALS.heading(d.name ? `Hi ${d.name.split(" ")[0]}, your cart is still here` : "Your cart is still here"),
+      EMAIL_PARTIALS.paragraph("Your checkout timed out before it was finished. We saved your cart:"),
+      EMAIL_PARTIALS.itemList((d.lines || []).map(l => ({ name: l.name, quantity: l.quantity }))),
+      d.promoCode ? EMAIL_PARTIALS.paragraph(`Use code <strong>${escapeHtml(d.promoCode)}</strong> for ${escapeHtml(d.promoPercent)}% off. It works once.`) : "",
+      EMAIL_PARTIALS.button({ href: d.recoverUrl, label: "Return to my cart" })
+    ].join("\n"),
+    text: d => [
+      "Your cart is still here",
+      "",
+      "Your checkout timed out before it was finished. We saved your cart:",
+      ...(d.lines || []).map(l => `- ${l.quantity} x ${l.name}`),
+      "",
+      ...(d.promoCode ? [`Use code ${d.promoCode} for ${d.promoPercent}% off. It works once.`, ""] : []),
+      `Return to your cart: ${d.recoverUrl}`
+    ].join("\n"),
+    fixture: {
+      name: "Pat Angler",
+      lines: [{ name: "Catfish Empire Tee - Black / L", quantity: 1, amountCents: 2499 }],
+      currency: "usd",
+      step: 2,
+      recoverUrl: "https://example.org/cart.html?recover=sample",
+      promoCode: "BACK-1A2B3C4D",
+      promoPercent: 10
+    }
+  },
+
+  admin_new_donation: {
+    internal: true,
+    subject: () => "New Donation Received",
+    html: d => [
+      EMAIL_PARTIALS.heading("New donation"),
+      EMAIL_PARTIALS.keyValue([["Donor", `${d.name} <${d.email}>`], ["Amount", formatMoney(d.amountCents, d.currency)], ["Date", d.date], ["Stripe session", d.sessionId]])
+    ].join("\n"),
+    text: d => [
+      "NEW DONATION",
+      "",
+      EMAIL_PARTIALS.textKeyValue([["Donor", `${d.name} <${d.email}>`], ["Amount", formatMoney(d.amountCents, d.currency)], ["Date", d.date], ["Stripe session", d.sessionId]])
+    ].join("\n"),
+    fixture: { name: "Pat Angler", email: "pat@example.org", amountCents: 2500, currency: "usd", date: "1/1/2026, 12:00:00 PM", sessionId: "cs_test_123" }
+  },
+
+  admin_new_order: {
+    internal: true,
+    subject: () => "New Order Received",
+    html: d => [
+      EMAIL_PARTIALS.heading(`New order ${d.orderRef || ""}`.trim()),
+      EMAIL_PARTIALS.keyValue([["Name", d.name], ["Email", d.email], ["Stripe session", d.sessionId], ["Shipping state (client-supplied)", d.shippingState]]),
+      EMAIL_PARTIALS.subheading("Ship to"),
+      EMAIL_PARTIALS.address(d.shipTo),
+      EMAIL_PARTIALS.subheading("Items"),
+      `<ul style="margin:0 0 12px;padding-left:20px">${(d.items || []).map(l => `<li>${escapeHtml(l)}</li>`).join("")}</ul>`,
+      d.printfulLines?.length ? EMAIL_PARTIALS.pre(d.printfulLines.join("\n")) : "",
+      EMAIL_PARTIALS.keyValue(orderSummaryRows(d).concat([["Total", formatMoney(d.totalCents, d.currency)]])),
+      d.printfulError ? EMAIL_PARTIALS.paragraph("⚠️ Printful error recorded; see /admin/printful/last") : ""
+    ].join("\n"),
+    text: d => [
+      `NEW ORDER ${d.orderRef || ""}`.trim(),
+      "",
+      EMAIL_PARTIALS.textKeyValue([["Name", d.name], ["Email", d.email], ["Stripe session", d.sessionId]]),
+      "",
+      "Ship to:",
+      ...(d.shipTo || []),
+      `Shipping state (client-supplied): ${d.shippingState}`,
+      "",
+      "Items:",
+      ...(d.items || []),
+      ...(d.printfulLines?.length ? ["", ...d.printfulLines] : []),
+      "",
+      EMAIL_PARTIALS.textKeyValue(orderSummaryRows(d)),
+      `Total: ${formatMoney(d.totalCents, d.currency)}`,
+      ...(d.printfulError ? ["", "Printful error recorded; see /admin/printful/last"] : [])
+    ].join("\n"),
+    fixture: {
+      orderRef: "CE-1A2B3C4D", name: "Pat Angler", email: "pat@example.org", sessionId: "cs_test_123", shippingState: "LA",
+      shipTo: SAMPLE_SHIP_TO,
+      items: ["1 × Catfish Empire Hoodie (Printful) - $45.00", "2 × black Sunglasses - $14.99"],
+      printfulLines: ["PF: 1 × Catfish Empire Hoodie — sync_variant_id=123 color=black size=L"],
+      promo: "TAKE10", subtotalCents: 7498, discountCents: 750, shippingCents: 599, taxCents: 412, totalCents: 7759, currency: "usd",
+      printfulError: false
+    }
+  },
+
+  ops_alert: {
+    internal: true,
+    subject: d => d.subject,
+    html: d => [
+      EMAIL_PARTIALS.heading(d.title || d.subject),
+      d.intro ? EMAIL_PARTIALS.paragraph(escapeHtml(d.intro)) : "",
+      d.fields?.length ? EMAIL_PARTIALS.keyValue(d.fields) : "",
+      EMAIL_PARTIALS.pre(d.details),
+      d.action ? EMAIL_PARTIALS.paragraph("Suggested action:") + EMAIL_PARTIALS.pre(d.action) : ""
+    ].join("\n"),
+    text: d => [
+      d.title || d.subject,
+      ...(d.intro ? ["", d.intro] : []),
+      ...(d.fields?.length ? ["", EMAIL_PARTIALS.textKeyValue(d.fields)] : []),
+      ...(d.details ? ["", d.details] : []),
+      ...(d.action ? ["", "Suggested action:", d.action] : [])
+    ].join("\n"),
+    fixture: {
+      subject: "[CatfishEmpire] Printful order ce1a2b3c4d5e6f7a8b9c0d1e2f: Printful create failed",
+      title: "Printful create failed",
+      fields: [["external_id", "ce1a2b3c4d5e6f7a8b9c0d1e2f"], ["pf_order_id", "n/a"]],
+      details: "Printful /orders 400: Recipient address is invalid"
+    }
+  }
+};
+
+function renderEmail(name, data) {
+  const t = EMAIL_TEMPLATES[name];
+  if (!t) {
+    const err = new Error(`Unknown email template: ${name}`);
+    err.status = 404;
+    throw err;
+  }
+  const d = data || t.fixture || {};
+  const subject = t.subject(d);
+  return {
+    subject,
+    html: renderEmailLayout({ title: subject, preheader: t.preheader ? t.preheader(d) : "", body: t.html(d), internal: !!t.internal }),
+    text: renderEmailTextLayout({ text: t.text(d), internal: !!t.internal })
+  };
+}
+
+// Renders and queues through the outbox; ref ties the message to an order/session for lookups
+async function sendTemplatedEmail(name, to, data, { ref } = {}) {
+  const mail = renderEmail(name, data);
+  await queueEmail({ template: name, to, ref, ...mail });
+  return mail;
+}
+
+// ===== BACKGROUND WORKERS =====
+// Single-flight interval runner: a tick never overlaps the previous one. Timers are unref'd so
+// they never keep the process alive on their own.
+const __workers = new Map();
+function startBackgroundWorker(name, intervalMs, tick) {
+  if (__workers.has(name)) return __workers.get(name);
+  const w = { running: false, lastRunAt: 0, lastError: null };
+  w.run = async () => {
+    if (w.running) return;
+    w.running = true;
+    try {
+      await tick();
+      w.lastError = null;
+    } catch (e) {
+      w.lastError = e?.message || String(e);
+      console.error(`worker ${name} failed:`, w.lastError);
+    } finally {
+      w.running = false;
+      w.lastRunAt = Date.now();
+    }
   };
-  const { error } = await supabase.from("printful_orders")
-    .upsert(payload, { onConflict: "external_id" });
-  if (error) console.error("cancelOrderRecord error:", error);
+  w.timer = setInterval(w.run, intervalMs);
+  if (w.timer.unref) w.timer.unref();
+  __workers.set(name, w);
+  return w;
+}
+
+function kickWorker(name) {
+  const w = __workers.get(name);
+  if (w) setImmediate(w.run);
+}
+
+// Exponential backoff with jitter: base * 2^(attempt-1), capped
+function backoffDelayMs(attempt, baseMs, maxMs) {
+  const exp = baseMs * Math.pow(2, Math.max(0, attempt - 1));
+  return Math.min(maxMs, exp) + Math.floor(Math.random() * Math.min(1000, baseMs));
+}
+
+// ===== EMAIL OUTBOX =====
+// email_outbox: id, template, to_address, subject, html, text, ref, status (pending|sending|sent|dead),
+// attempts, next_attempt_at, last_error, created_at, sent_at.
+// A "sending" row holds a lease until next_attempt_at, so a crash mid-send is retried later.
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '6', 10);
+const EMAIL_RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS || '60000', 10);
+const EMAIL_RETRY_MAX_MS = parseInt(process.env.EMAIL_RETRY_MAX_MS || String(6 * 60 * 60 * 1000), 10);
+const EMAIL_OUTBOX_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS || '30000', 10);
+const EMAIL_SEND_LEASE_MS = 10 * 60 * 1000;
+
+async function queueEmail({ template, to, subject, html, text, ref }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase.from("email_outbox").insert({
+    template: template || null,
+    to_address: to,
+    subject,
+    html,
+    text,
+    ref: ref || null,
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: now,
+    created_at: now
+  }).select("id").maybeSingle();
+  if (error) {
+    // Never lose the message because the outbox is unavailable: send it directly instead
+    console.error("queueEmail insert failed, sending directly:", error.message || error);
+    await transporter.sendMail({ from: EMAIL_FROM, to, subject, html, text });
+    return null;
+  }
+  kickWorker("email-outbox");
+  return data?.id || null;
+}
+
+async function deliverOutboxEmail(row) {
+  const now = Date.now();
+  const { data: claimed, error: claimErr } = await supabase
+    .from("email_outbox")
+    .update({ status: "sending", next_attempt_at: new Date(now + EMAIL_SEND_LEASE_MS).toISOString() })
+    .eq("id", row.id)
+    .eq("status", row.status)
+    .eq("next_attempt_at", row.next_attempt_at)
+    .select("id")
+    .maybeSingle();
+  if (claimErr || !claimed) return false; // another worker took it
+
+  const attempts = Number(row.attempts || 0) + 1;
+  try {
+    await transporter.sendMail({ from: EMAIL_FROM, to: row.to_address, subject: row.subject, html: row.html, text: row.text });
+    await supabase.from("email_outbox")
+      .update({ status: "sent", attempts, sent_at: new Date().toISOString(), last_error: null })
+      .eq("id", row.id);
+    console.log(`📨 Email ${row.id} (${row.template || "raw"}) sent to ${row.to_address}`);
+    return true;
+  } catch (e) {
+    const dead = attempts >= EMAIL_MAX_ATTEMPTS;
+    await supabase.from("email_outbox").update({
+      status: dead ? "dead" : "pending",
+      attempts,
+      last_error: String(e?.message || e),
+      next_attempt_at: new Date(Date.now() + backoffDelayMs(attempts, EMAIL_RETRY_BASE_MS, EMAIL_RETRY_MAX_MS)).toISOString()
+    }).eq("id", row.id);
+    console.error(`❌ Email ${row.id} attempt ${attempts} failed${dead ? " (dead)" : ""}:`, e?.message || e);
+    return false;
+  }
 }
 
+async function runEmailOutbox() {
+  const { data, error } = await supabase
+    .from("email_outbox")
+    .select("id, template, to_address, subject, html, text, status, attempts, next_attempt_at")
+    .in("status", ["pending", "sending"])
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("created_at", { ascending: true })
+    .limit(20);
+  if (error) throw error;
+  for (const row of (data || [])) await deliverOutboxEmail(row);
+}
+
+startBackgroundWorker("email-outbox", EMAIL_OUTBOX_INTERVAL_MS, runEmailOutbox);
+
 function opsEmailSubject(external_id, suffix) {
   return `[CatfishEmpire] Printful order ${external_id}: ${suffix}`;
 }
 
-async function notifyOps(to, subject, html) {
+// ===== NOTIFICATION ROUTING =====
+// notification_routes: kind (primary key), recipients (jsonb array of emails), updated_at, updated_by.
+// Kinds without a row fall back to OPS_EMAIL (comma separated); an empty array mutes a kind.
+const NOTIFICATION_KINDS = {
+  new_order: "New merch order",
+  donation: "New donation",
+  printful_failure: "Printful create/confirm failures and failed orders",
+  printful_hold: "Printful order put on hold",
+  printful_return: "Printful package returned",
+  partial_refund: "Partial refund detected",
+  refund_failure: "Refund handler errors",
+  auto_cancel_failure: "Auto-cancel failures after async payment failure",
+  order_review: "Orders held for review by the fulfillment policy",
+  reconciliation: "Scheduled Stripe/Printful/ledger reconciliation findings",
+  dispute: "Stripe disputes opened or closed on an order",
+  webhook_dead_letter: "Stripe events that failed processing too many times"
+};
+const DEFAULT_NOTIFY_RECIPIENTS = String(process.env.OPS_EMAIL || "rich@richmediaempire.com")
+  .split(",").map(e => e.trim()).filter(Boolean);
+
+async function loadNotificationRoutes() {
+  const cached = getCache("notify:routes");
+  if (cached) return cached;
+  const routes = {};
+  const { data, error } = await supabase.from("notification_routes").select("kind, recipients");
+  if (error) {
+    console.warn("notification_routes load failed, using defaults:", error.message || error);
+  } else {
+    for (const r of (data || [])) if (Array.isArray(r.recipients)) routes[r.kind] = r.recipients;
+  }
+  setCache("notify:routes", routes, 60 * 1000);
+  return routes;
+}
+
+async function getNotificationRecipients(kind) {
+  const routes = await loadNotificationRoutes();
+  return Array.isArray(routes[kind]) ? routes[kind] : DEFAULT_NOTIFY_RECIPIENTS;
+}
+
+// Throws when the message cannot be queued; sendNotification is the best-effort variant
+async function queueNotification(kind, template, data, opts = {}) {
+  const to = await getNotificationRecipients(kind);
+  if (!to.length) return null;
+  return sendTemplatedEmail(template, to.join(", "), data, opts);
+}
+
+async function sendNotification(kind, template, data, opts = {}) {
   try {
-    await transporter.sendMail({
-      from: `"Catfish Empire" <${process.env.SMTP_USER}>`,
-      to,
-      subject,
-      html
-    });
+    return await queueNotification(kind, template, data, opts);
   } catch (e) {
-    console.error("notifyOps failed:", e?.message || e);
+    console.error(`notification ${kind} failed:`, e?.message || e);
+    return null;
+  }
+}
+
+// alert: { subject, title?, intro?, fields?: [[label, value]], details?, action?, ref? } (ops_alert template)
+async function notifyOps(kind, alert) {
+  return sendNotification(kind, "ops_alert", alert, { ref: alert?.ref });
+}
+
+// ===== CUSTOMER EMAILS =====
+// Items in one Printful shipment, plus anything from the order still waiting on another package
+function shipmentItemsFromOrder(order, shipment, allShipments) {
+  const orderItems = Array.isArray(order?.items) ? order.items : [];
+  const byId = new Map(orderItems.map(it => [String(it.id), it]));
+  const items = (shipment?.items || []).map(si => ({
+    name: byId.get(String(si.item_id))?.name || "Item",
+    quantity: Number(si.quantity || 1)
+  }));
+  const shippedQty = new Map();
+  for (const s of (allShipments || [])) {
+    for (const si of (s.items || [])) {
+      const k = String(si.item_id);
+      shippedQty.set(k, (shippedQty.get(k) || 0) + Number(si.quantity || 1));
+    }
+  }
+  const remaining = orderItems
+    .map(it => ({ name: it.name || "Item", quantity: Number(it.quantity || 1) - (shippedQty.get(String(it.id)) || 0) }))
+    .filter(it => it.quantity > 0);
+  return { items, remaining };
+}
+
+function shipToFromSession(session) {
+  const addr = session.shipping_details?.address || session.collected_information?.shipping_details?.address || session.shipping?.address || session.customer_details?.address || null;
+  const name = session.shipping_details?.name || session.collected_information?.shipping_details?.name || session.shipping?.name || session.customer_details?.name || "";
+  if (!addr?.line1) return null;
+  return [
+    name,
+    [addr.line1, addr.line2].filter(Boolean).join(" "),
+    [addr.city, addr.state, addr.postal_code].filter(Boolean).join(" "),
+    addr.country || ""
+  ].filter(Boolean);
+}
+
+// Stripe session totals in the shape the order templates expect
+function orderTotalsFromSession(session, lines) {
+  const td = session.total_details || {};
+  const mode = session.metadata?.mode;
+  const promoCode = session.metadata?.promo_code || "";
+  return {
+    promo: promoCode ? `${promoCode}${mode && mode !== "normal" ? `, ${mode}` : ""}` : "",
+    subtotalCents: Number(session.amount_subtotal ?? (lines || []).reduce((s, l) => s + l.amountCents, 0)),
+    discountCents: Number(td.amount_discount || 0),
+    shippingCents: Number(td.amount_shipping ?? session.shipping_cost?.amount_total ?? 0),
+    taxCents: Number(td.amount_tax || 0),
+    totalCents: Number(session.amount_total || 0),
+    currency: (session.currency || "usd").toLowerCase()
+  };
+}
+
+// Merch order confirmation, once per session: the guard is recorded only after the email is
+// queued and released when the line item lookup or queueing throws, so a retry sends it
+async function sendOrderConfirmation(session) {
+  const to = session.customer_details?.email || session.customer_email;
+  if (!isDeliverableEmail(to)) return false;
+  const { ran } = await runEventStepOnce("email", `order_confirmation:${session.id}`, "order_confirmation", async () => {
+    const li = await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 });
+    const lines = (li?.data || []).map(l => ({
+      name: l.description || "Item",
+      quantity: Number(l.quantity || 1),
+      amountCents: Number(l.amount_subtotal ?? l.amount_total ?? 0)
+    }));
+    const external_id = mkPfExternalId(session.id);
+    await sendTemplatedEmail("order_confirmation", to, {
+      customerName: session.customer_details?.name || "",
+      orderRef: orderReferenceFromExternalId(external_id),
+      lines,
+      ...orderTotalsFromSession(session, lines),
+      shipTo: shipToFromSession(session)
+    }, { ref: external_id });
+    console.log(`📨 Order confirmation queued for ${to} (${session.id})`);
+    return "queued";
+  });
+  return ran;
+}
+
+async function sendShippingConfirmation({ rec, order, shipment }) {
+  const to = isDeliverableEmail(rec?.customer_email) ? rec.customer_email : (isDeliverableEmail(order?.recipient?.email) ? order.recipient.email : null);
+  if (!to) {
+    console.warn(`No customer email for shipment ${shipment?.id} (${rec?.external_id})`);
+    return false;
   }
+  const shipments = Array.isArray(rec?.shipments) ? rec.shipments : [shipment];
+  const idx = shipments.findIndex(s => String(s.id) === String(shipment.id));
+  const packageIndex = idx >= 0 ? idx + 1 : shipments.length;
+  const packageCount = Math.max(shipments.length, Array.isArray(order?.shipments) ? order.shipments.length : 0, 1);
+  const { items, remaining } = shipmentItemsFromOrder(order, shipment, shipments);
+  await sendTemplatedEmail("shipping_confirmation", to, {
+    customerName: rec?.customer_name || order?.recipient?.name || "",
+    orderRef: orderReferenceFromExternalId(rec?.external_id),
+    shipment, items, remaining, packageIndex, packageCount
+  }, { ref: rec?.external_id });
+  console.log(`📨 Shipping confirmation queued for ${to} for ${rec?.external_id} (package ${packageIndex}/${packageCount})`);
+  return true;
 }
 
 // === Printful helpers for create + confirm ===
@@ -476,42 +1506,271 @@ async function printfulCancelOrder(orderId) {
   return pfFetch(`/orders/${orderId}/cancel`, { method: "POST" });
 }
 
-// ===== Stripe → Printful recipient mapper =====
-function parseJSONSafe(s){ try { return JSON.parse(s); } catch { return null; } }
-function stripeToPrintfulRecipient(session){
-  const cd = session?.customer_details || {};
-  const addr = cd.address || session?.shipping_details?.address || {};
-  const name = cd.name || session?.shipping_details?.name || '';
-  const email = cd.email || session?.customer_email || '';
-  const phone = cd.phone || '';
-  const out = {
-    name: name || 'Customer',
-    address1: addr.line1 || addr.address1 || '',
-    address2: addr.line2 || addr.address2 || '',
-    city: addr.city || '',
-    state_code: addr.state || addr.state_code || '',
-    country_code: addr.country || '',
-    zip: addr.postal_code || addr.zip || '',
-    email: email || 'noreply@example.com',
-    phone: phone || ''
+// ===== PRINTFUL CREATE RETRY QUEUE =====
+// printful_jobs: external_id (primary key), payload (Printful order body), status
+//   (queued|running|succeeded|exhausted|abandoned), attempts, max_attempts, next_run_at,
+//   last_error, pf_order_id, created_at, updated_at.
+// printful_job_attempts: external_id, attempt, started_at, finished_at, ok, error, pf_order_id.
+const PRINTFUL_RETRY_MAX_ATTEMPTS = parseInt(process.env.PRINTFUL_RETRY_MAX_ATTEMPTS || '6', 10);
+const PRINTFUL_RETRY_BASE_MS = parseInt(process.env.PRINTFUL_RETRY_BASE_MS || String(5 * 60 * 1000), 10);
+const PRINTFUL_RETRY_MAX_MS = parseInt(process.env.PRINTFUL_RETRY_MAX_MS || String(6 * 60 * 60 * 1000), 10);
+const PRINTFUL_JOBS_INTERVAL_MS = parseInt(process.env.PRINTFUL_JOBS_INTERVAL_MS || '60000', 10);
+const PRINTFUL_JOB_LEASE_MS = 10 * 60 * 1000;
+
+// The webhook's own attempt counts as attempt 1, so the first queued run is already a retry
+async function enqueuePrintfulJob(external_id, payload, firstError) {
+  const now = Date.now();
+  const row = {
+    external_id,
+    payload,
+    status: "queued",
+    attempts: 1,
+    max_attempts: PRINTFUL_RETRY_MAX_ATTEMPTS,
+    next_run_at: new Date(now + backoffDelayMs(1, PRINTFUL_RETRY_BASE_MS, PRINTFUL_RETRY_MAX_MS)).toISOString(),
+    last_error: firstError || null,
+    created_at: new Date(now).toISOString(),
+    updated_at: new Date(now).toISOString()
   };
-  if (!out.address1 || !out.city || !out.state_code || !out.country_code || !out.zip){
-    const test = parseJSONSafe(process.env.PRINTFUL_TEST_RECIPIENT || '');
-    if (test){
-      return {
-        name: test.name || out.name,
-        address1: test.address1 || out.address1,
-        address2: test.address2 || out.address2,
-        city: test.city || out.city,
-        state_code: test.state_code || out.state_code,
+  const { data, error } = await supabase.from("printful_jobs").insert(row).select().maybeSingle();
+  if (error) {
+    if (error.code === "23505") {
+      console.log(`Printful job for ${external_id} already exists`);
+      const { data: existing } = await supabase.from("printful_jobs").select("*").eq("external_id", external_id).maybeSingle();
+      return existing || null;
+    }
+    console.error("enqueuePrintfulJob error:", error.message || error);
+    return null;
+  }
+  await supabase.from("printful_job_attempts").insert({
+    external_id, attempt: 1, started_at: row.created_at, finished_at: row.created_at, ok: false, error: firstError || null
+  });
+  return data;
+}
+
+function isDuplicateExternalIdError(e) {
+  const msg = String(e?.body?.error?.message || e?.body?.result || e?.message || "").toLowerCase();
+  return msg.includes("external") && (msg.includes("already") || msg.includes("exists"));
+}
+
+async function runPrintfulJob(job) {
+  const lease = new Date(Date.now() + PRINTFUL_JOB_LEASE_MS).toISOString();
+  const { data: claimed } = await supabase
+    .from("printful_jobs")
+    .update({ status: "running", next_run_at: lease, updated_at: new Date().toISOString() })
+    .eq("external_id", job.external_id)
+    .eq("status", job.status)
+    .eq("next_run_at", job.next_run_at)
+    .select()
+    .maybeSingle();
+  if (!claimed) return;
+
+  const external_id = job.external_id;
+  const attempt = Number(job.attempts || 0) + 1;
+  const startedAt = new Date().toISOString();
+  let pfOrderId = null, error = null, created = null;
+  try {
+    const rec = await getOrderByExternalId(external_id);
+    if (rec?.pf_order_id && rec.status !== "failed") {
+      pfOrderId = rec.pf_order_id; // created elsewhere (admin, earlier attempt)
+    } else {
+      const confirm = !!job.payload?.confirm && !rec?.fulfillment_hold;
+      try {
+        created = confirm ? await printfulCreateOrderConfirmed(job.payload) : await printfulCreateOrderDraft(job.payload);
+      } catch (e) {
+        // A timed-out earlier attempt may have gone through; Printful addresses orders by @external_id
+        if (!isDuplicateExternalIdError(e)) throw e;
+        created = await printfulGetOrder(`@${external_id}`);
+      }
+      pfOrderId = created?.result?.id || created?.result?.order?.id || created?.id || null;
+      if (!pfOrderId) throw new Error("Printful returned no order id");
+      await upsertOrderRecord({
+        external_id,
+        pf_order_id: pfOrderId,
+        status: confirm ? "confirmed" : "draft",
+        pf_status: String(created?.result?.status || "").toLowerCase() || null,
+        meta: { create_res: created, retried_attempt: attempt },
+        last_event_type: "printful_job"
+      });
+    }
+  } catch (e) {
+    error = String(e?.message || e);
+  }
+
+  const finishedAt = new Date().toISOString();
+  await supabase.from("printful_job_attempts").insert({
+    external_id, attempt, started_at: startedAt, finished_at: finishedAt, ok: !error, error, pf_order_id: pfOrderId
+  });
+
+  if (!error) {
+    await supabase.from("printful_jobs")
+      .update({ status: "succeeded", attempts: attempt, pf_order_id: pfOrderId, last_error: null, updated_at: finishedAt })
+      .eq("external_id", external_id);
+    console.log(`✅ Printful job ${external_id} succeeded on attempt ${attempt} (order ${pfOrderId})`);
+    return;
+  }
+
+  const exhausted = attempt >= Number(job.max_attempts || PRINTFUL_RETRY_MAX_ATTEMPTS);
+  await supabase.from("printful_jobs").update({
+    status: exhausted ? "exhausted" : "queued",
+    attempts: attempt,
+    last_error: error,
+    next_run_at: new Date(Date.now() + backoffDelayMs(attempt, PRINTFUL_RETRY_BASE_MS, PRINTFUL_RETRY_MAX_MS)).toISOString(),
+    updated_at: finishedAt
+  }).eq("external_id", external_id);
+  console.error(`❌ Printful job ${external_id} attempt ${attempt} failed${exhausted ? " (giving up)" : ""}:`, error);
+  if (exhausted) {
+    await notifyOps("printful_failure", {
+      subject: opsEmailSubject(external_id, "Printful create retries exhausted"),
+      title: "Printful create retries exhausted",
+      intro: `Gave up after ${attempt} attempts. Fix the cause, then requeue or create the order manually.`,
+      fields: [["external_id", external_id]],
+      details: error,
+      action: `POST /admin/printful/jobs/${external_id}/requeue`,
+      ref: external_id
+    });
+  }
+}
+
+async function runPrintfulJobs() {
+  const { data, error } = await supabase
+    .from("printful_jobs")
+    .select("*")
+    .in("status", ["queued", "running"])
+    .lte("next_run_at", new Date().toISOString())
+    .order("next_run_at", { ascending: true })
+    .limit(10);
+  if (error) throw error;
+  for (const job of (data || [])) await runPrintfulJob(job);
+}
+
+startBackgroundWorker("printful-jobs", PRINTFUL_JOBS_INTERVAL_MS, runPrintfulJobs);
+
+// ===== FULFILLMENT POLICY =====
+// Decides per webhook order whether Printful gets a confirmed order, a draft, or a draft
+// held for admin review. Review rules win over draft rules, which win over confirm.
+// PRINTFUL_AUTO_CONFIRM=true enables confirming at all; the legacy pair
+// PRINTFUL_AUTO_FULFILL + PRINTFUL_CONFIRM is still honored as the same switch.
+const FULFILLMENT_POLICY = {
+  autoConfirm: String(process.env.PRINTFUL_AUTO_CONFIRM || '').toLowerCase() === 'true'
+    || (String(process.env.PRINTFUL_AUTO_FULFILL || '').toLowerCase() === 'true'
+      && String(process.env.PRINTFUL_CONFIRM || '').toLowerCase() === 'true'),
+  reviewRiskLevels: String(process.env.FULFILLMENT_REVIEW_RISK_LEVELS || 'elevated,highest')
+    .split(',').map(x => x.trim().toLowerCase()).filter(Boolean),
+  maxAutoConfirmCents: parseInt(process.env.FULFILLMENT_MAX_AUTO_CONFIRM_CENTS || '25000', 10),
+  reviewAboveCents: parseInt(process.env.FULFILLMENT_REVIEW_ABOVE_CENTS || '50000', 10),
+  draftPromoModes: String(process.env.FULFILLMENT_DRAFT_PROMO_MODES || 'oneDollar,flat50')
+    .split(',').map(x => x.trim()).filter(Boolean),
+  firstTimeCustomer: String(process.env.FULFILLMENT_FIRST_TIME_ACTION || 'draft').toLowerCase() // confirm|draft|review
+};
+
+// Printful requires state_code only in PRINTFUL_STATE_COUNTRIES; NO_POSTAL_CODE_COUNTRIES have no zip
+const PRINTFUL_STATE_COUNTRIES = ['US', 'CA', 'AU'];
+const NO_POSTAL_CODE_COUNTRIES = ['AE', 'HK', 'IE', 'MO', 'QA'];
+
+function recipientIsComplete(recipient) {
+  const cc = String(recipient?.country_code || '').toUpperCase();
+  return !!(recipient?.address1 && recipient.city && cc
+    && (recipient.state_code || !PRINTFUL_STATE_COUNTRIES.includes(cc))
+    && (recipient.zip || NO_POSTAL_CODE_COUNTRIES.includes(cc)));
+}
+
+// Stripe fills `state` with counties/provinces Printful rejects outside PRINTFUL_STATE_COUNTRIES
+function normalizePrintfulRecipient(rec) {
+  const out = { ...rec, country_code: String(rec.country_code || '').toUpperCase() };
+  if (!PRINTFUL_STATE_COUNTRIES.includes(out.country_code)) delete out.state_code;
+  if (!out.zip) delete out.zip;
+  return out;
+}
+
+async function isReturningCustomer(email, external_id) {
+  if (!email) return false;
+  const { count, error } = await supabase
+    .from("printful_orders")
+    .select("external_id", { count: "exact", head: true })
+    .ilike("customer_email", likeEscape(email))
+    .neq("external_id", external_id)
+    .not("status", "in", "(failed,canceled)");
+  if (error) {
+    console.warn("isReturningCustomer lookup failed:", error.message || error);
+    return false;
+  }
+  return (count || 0) > 0;
+}
+
+// Returns { action: 'confirm'|'draft'|'review', reasons: [...], inputs, policy_version, decided_at }
+async function decideFulfillment({ external_id, session, recipient, charge }) {
+  const P = FULFILLMENT_POLICY;
+  const outcome = (charge && typeof charge === "object") ? (charge.outcome || {}) : {};
+  const inputs = {
+    risk_level: outcome.risk_level || null,
+    risk_score: Number.isFinite(outcome.risk_score) ? outcome.risk_score : null,
+    amount_total: Number(session?.amount_total ?? 0),
+    currency: (session?.currency || "usd").toLowerCase(),
+    // Policy limits are in USD cents
+    amount_total_usd: toUsdCents(session?.amount_total ?? 0, session?.currency),
+    promo_mode: session?.metadata?.mode || "normal",
+    address_complete: recipientIsComplete(recipient),
+    returning_customer: await isReturningCustomer(session?.customer_details?.email || session?.customer_email, external_id)
+  };
+
+  const review = [], draft = [];
+  if (!P.autoConfirm) draft.push("auto_confirm_disabled");
+  if (!inputs.address_complete) review.push("address_incomplete");
+  if (inputs.risk_level && P.reviewRiskLevels.includes(String(inputs.risk_level).toLowerCase())) review.push(`radar_risk_${inputs.risk_level}`);
+  if (!inputs.risk_level && charge) draft.push("radar_risk_unknown");
+  if (P.reviewAboveCents > 0 && inputs.amount_total_usd > P.reviewAboveCents) review.push("order_value_above_review_limit");
+  else if (P.maxAutoConfirmCents > 0 && inputs.amount_total_usd > P.maxAutoConfirmCents) draft.push("order_value_above_auto_confirm_limit");
+  if (P.draftPromoModes.includes(inputs.promo_mode)) draft.push(`promo_${inputs.promo_mode}`);
+  if (!inputs.returning_customer && P.firstTimeCustomer !== "confirm") {
+    (P.firstTimeCustomer === "review" ? review : draft).push("first_time_customer");
+  }
+
+  const action = review.length ? "review" : (draft.length ? "draft" : "confirm");
+  return {
+    action,
+    reasons: review.length ? [...review, ...draft] : draft,
+    inputs,
+    policy_version: 1,
+    decided_at: new Date().toISOString()
+  };
+}
+
+// ===== Stripe → Printful recipient mapper =====
+function parseJSONSafe(s){ try { return JSON.parse(s); } catch { return null; } }
+function stripeToPrintfulRecipient(session){
+  const cd = session?.customer_details || {};
+  const addr = cd.address || session?.shipping_details?.address || {};
+  const name = cd.name || session?.shipping_details?.name || '';
+  const email = cd.email || session?.customer_email || '';
+  const phone = cd.phone || '';
+  const out = {
+    name: name || 'Customer',
+    address1: addr.line1 || addr.address1 || '',
+    address2: addr.line2 || addr.address2 || '',
+    city: addr.city || '',
+    state_code: addr.state || addr.state_code || '',
+    country_code: addr.country || '',
+    zip: addr.postal_code || addr.zip || '',
+    email: email || 'noreply@example.com',
+    phone: phone || ''
+  };
+  if (!recipientIsComplete(out)){
+    const test = parseJSONSafe(process.env.PRINTFUL_TEST_RECIPIENT || '');
+    if (test){
+      return normalizePrintfulRecipient({
+        name: test.name || out.name,
+        address1: test.address1 || out.address1,
+        address2: test.address2 || out.address2,
+        city: test.city || out.city,
+        state_code: test.state_code || out.state_code,
         country_code: test.country_code || out.country_code,
         zip: test.zip || out.zip,
         email: test.email || out.email,
         phone: test.phone || out.phone,
-      };
+      });
     }
   }
-  return out;
+  return normalizePrintfulRecipient(out);
 }
 
 // ===== Robust variant recovery helpers =====
@@ -577,12 +1836,13 @@ async function buildPrintfulItems(decodedItems, token, storeId){
 
 // ====== Compact cart item metadata (avoid 500 char limits) ======
 // pack a single item into a tiny pipe-delimited string: t|pid|vid|q|c|s
+// (t = 'p' Printful or 's' self-fulfilled; for 's' pid is the catalog product id, c the option)
 function packItem(it) {
   const t = it.type === 'printful' ? 'p' : 's';
   const pid = it.productId ?? it.product_id ?? '';
   const vid = it.variantId ?? it.variant_id ?? '';
   const q = it.qty ?? 1;
-  const c = String(it.color || '').replace(/\|/g,'').toLowerCase();
+  const c = String(it.option || it.color || '').replace(/\|/g,'').toLowerCase();
   const s = String(it.size  || '').replace(/\|/g,'').toUpperCase();
   return [t, pid, vid, q, c, s].join('|');
 }
@@ -594,8 +1854,11 @@ function unpackSessionItems(session) {
   if (keys.length) {
     return keys.map(k => {
       const [t,pid,vid,q,c,s] = String(md[k]).split('|');
+      if (t !== 'p') {
+        return { type: 'self', productId: pid || LEGACY_SELF_PRODUCT_ID, option: c || null, color: c || null, qty: q ? Number(q) : 1 };
+      }
       return {
-        type: t === 'p' ? 'printful' : 'sunglasses',
+        type: 'printful',
         productId: pid ? Number(pid) : null,
         variantId: vid ? Number(vid) : null,
         qty: q ? Number(q) : 1,
@@ -611,24 +1874,22 @@ function unpackSessionItems(session) {
 }
 
 // ===== PRINTFUL ORDER ENV FLAGS & LAST ORDER LOG =====
-// PRINTFUL_AUTO_FULFILL: if true and PRINTFUL_CONFIRM true, we attempt to confirm order
-// PRINTFUL_CONFIRM: if true and auto-fulfill true, order will be confirmed; otherwise draft
 // PRINTFUL_LOG_ORDERS: default true; controls console logging of order results
-const PRINTFUL_AUTO_FULFILL = String(process.env.PRINTFUL_AUTO_FULFILL || 'false').toLowerCase() === 'true';
-const PRINTFUL_CONFIRM = String(process.env.PRINTFUL_CONFIRM || 'false').toLowerCase() === 'true';
+// (auto-confirm is decided per order by the fulfillment policy below)
 const PRINTFUL_LOG_ORDERS = String(process.env.PRINTFUL_LOG_ORDERS || 'true').toLowerCase() !== 'false';
 
 let LAST_PF_ORDER = { request: null, response: null, error: null, ts: 0 };
 
-// Build Printful order items from cart items that are already coerced/validated
-async function buildPrintfulOrderItems(cartItems) {
+// Build Printful order items from cart items that are already coerced/validated.
+// Cart priceCents are in `currency`; Printful retail prices are sent in USD.
+async function buildPrintfulOrderItems(cartItems, currency = 'usd') {
   const out = [];
   for (const it of (cartItems || [])) {
     if (it.type !== 'printful') continue;
     // Ensure we have sync variant id; coercePrintfulCartItem should have provided it
     let variantId = it.variantId || it.variant_id || null;
     let qty = Math.max(1, Number(it.quantity || it.qty || 1));
-    let priceCents = Number.isFinite(it.priceCents) ? Number(it.priceCents) : null;
+    let priceCents = Number.isFinite(it.priceCents) ? toUsdCents(it.priceCents, currency) : null;
 
     // If still missing, try resolve again
     if (!variantId && it.productId && (it.color || it.size)) {
@@ -670,14 +1931,15 @@ async function createPrintfulOrder({ session, items, confirm }) {
         phone: get(ship, 'phone') || cd.phone || get(fallback, 'phone')
       };
       Object.keys(rec).forEach(k => rec[k] === undefined && delete rec[k]);
-      return rec;
+      return normalizePrintfulRecipient(rec);
     }
 
     const recipient = stripeToPrintfulRecipient(session);
 
-    const pfItems = await buildPrintfulOrderItems(items);
+    const pfItems = await buildPrintfulOrderItems(items, session.currency);
     const external_id = String(session.id || `sess_${Date.now()}`);
     const body = { external_id, recipient, items: pfItems.map(x => ({ sync_variant_id: x.sync_variant_id, quantity: x.quantity, ...(x.retail_price ? { retail_price: x.retail_price } : {}) })), confirm: !!confirm };
+    if (pfItems.some(x => x.retail_price)) body.retail_costs = { currency: 'USD' };
 
     const token = getPrintfulAuthHeader().replace(/^Bearer\s+/i, '');
     const resp = await fetch('https://api.printful.com/orders', {
@@ -1218,7 +2480,7 @@ async function fetchPrintfulVariantDetails(variantId) {
   const parsed = String(name).split('/').map(s => s.trim());
   const color = sv.color || sv.product_color || (parsed.length >= 2 ? parsed[0] : '');
   const size = sv.size || sv.product_size || (parsed.length >= 2 ? parsed[1] : '');
-  return { id: Number(variantId), name, price, image_url, color, size };
+  return { id: Number(variantId), name, price, image_url, color, size, sync_product_id: sv.sync_product_id || null, catalog_variant_id: sv.variant_id || sv.product?.variant_id || null };
 }
 
 // Resolve a Printful variant and price from productId + color + size
@@ -1282,13 +2544,211 @@ async function coercePrintfulCartItem(item) {
   };
 }
 
+// ===== PRESENTMENT CURRENCIES =====
+// Shoppers are charged in their country's currency when it is enabled in CHECKOUT_CURRENCIES
+// (default "usd,cad"); everything else falls back to USD. Prices come from currency_prices
+// (currency, sku, unit_cents; sku = 'variant:<sync_variant_id>' | 'product:<sync_product_id>' |
+// 'self:<catalog sku>', legacy 'sunglasses') and otherwise from the USD price converted at <CUR>_FX_RATE and rounded up to
+// .99. Shipping is quoted by Printful in the same currency.
+const CURRENCY_RULES = {
+  usd: { countries: ['US'], fxRate: 1 },
+  cad: { countries: ['CA'], fxRate: Number(process.env.CAD_FX_RATE || 1.37) || 1.37 }
+};
+const CHECKOUT_CURRENCIES = String(process.env.CHECKOUT_CURRENCIES || 'usd,cad')
+  .split(',').map(x => x.trim().toLowerCase()).filter(c => CURRENCY_RULES[c]);
+if (!CHECKOUT_CURRENCIES.includes('usd')) CHECKOUT_CURRENCIES.unshift('usd');
+
+function currencyForCountry(country) {
+  const cc = String(country || 'US').toUpperCase();
+  return CHECKOUT_CURRENCIES.find(c => CURRENCY_RULES[c].countries.includes(cc)) || 'usd';
+}
+
+// The subset of `countries` whose shoppers are priced in `currency`
+function countriesForCurrency(currency, countries) {
+  return (countries || []).filter(cc => currencyForCountry(cc) === currency);
+}
+
+// Plain FX conversion (shipping, thresholds); prices use localizeListCents
+function convertUsdCents(cents, currency) {
+  const rate = CURRENCY_RULES[currency]?.fxRate || 1;
+  return Math.round(Number(cents || 0) * rate);
+}
+
+function toUsdCents(cents, currency) {
+  const rate = CURRENCY_RULES[String(currency || 'usd').toLowerCase()]?.fxRate || 1;
+  return Math.round(Number(cents || 0) / rate);
+}
+
+function localizeListCents(usdCents, currency) {
+  if (currency === 'usd') return usdCents;
+  return Math.max(99, Math.ceil(convertUsdCents(usdCents, currency) / 100) * 100 - 1);
+}
+
+// Price list lookup: first matching sku wins. Cached per currency for a minute.
+async function getCurrencyPriceCents(currency, skus) {
+  if (currency === 'usd') return null;
+  const key = `pricing:pricelist:${currency}`;
+  let list = getCache(key);
+  if (!list) {
+    list = {};
+    try {
+      const { data, error } = await supabase.from('currency_prices').select('sku, unit_cents').eq('currency', currency);
+      if (error) throw error;
+      for (const r of (data || [])) {
+        const n = Number(r.unit_cents);
+        if (Number.isFinite(n) && n > 0) list[r.sku] = Math.round(n);
+      }
+    } catch (e) {
+      console.warn(`price list lookup failed for ${currency}:`, e?.message || e);
+    }
+    setCache(key, list, 60 * 1000);
+  }
+  for (const sku of skus) if (sku && list[sku]) return list[sku];
+  return null;
+}
+
+// ===== SERVER-SIDE CART PRICING =====
+// The only source of unit prices for checkout: Printful sync variant retail price, replaced by
+// product_overrides.price_override_cents when set (self-fulfilled items: the catalog price),
+// localized to the presentment currency, then the promo rules. Client prices are only compared
+// against the result, never charged.
+
+// List price of a resolveSelfItem() result in `currency`
+async function selfListCents({ product, variant }, currency) {
+  const skus = [`self:${variant.sku}`, `self:${product.sku}`];
+  if (product.id === LEGACY_SELF_PRODUCT_ID) skus.push('sunglasses');
+  return (await getCurrencyPriceCents(currency, skus))
+    || localizeListCents(variant.priceCents ?? product.priceCents, currency);
+}
+
+async function getVariantPricing(variantId) {
+  const key = `pricing:variant:${variantId}`;
+  const cached = getCache(key);
+  if (cached) return cached;
+  const v = await fetchPrintfulVariantDetails(variantId);
+  const out = {
+    variantId: Number(variantId),
+    syncProductId: v.sync_product_id ? String(v.sync_product_id) : null,
+    catalogVariantId: v.catalog_variant_id ? Number(v.catalog_variant_id) : null,
+    name: v.name,
+    image: v.image_url || '',
+    color: v.color || null,
+    size: v.size || null,
+    retailCents: Math.round(Number(v.price || 0) * 100)
+  };
+  setCache(key, out, 5 * 60 * 1000);
+  return out;
+}
+
+async function getPriceOverrideCents(productId) {
+  if (!productId) return null;
+  const key = `pricing:override:${productId}`;
+  const cached = getCache(key);
+  if (cached) return cached.cents;
+  let cents = null;
+  try {
+    const { data } = await supabase.from('product_overrides').select('price_override_cents').eq('product_id', String(productId)).maybeSingle();
+    const n = Number(data?.price_override_cents);
+    cents = Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+  } catch (e) {
+    console.warn('price override lookup failed:', e?.message || e);
+  }
+  setCache(key, { cents }, 60 * 1000);
+  return cents;
+}
+
+// Returns { lines, subtotalCents, currency, mismatches }. Each line carries listCents (before
+// promo) and unitCents (charged), both in `currency`. mismatches lists lines whose client
+// priceCents/price differs from listCents; client prices in another currency (clientCurrency,
+// default usd) are not compared. Units held by excludeHoldId count as available. Throws
+// err.code = 'invalid_item' for items that cannot be priced.
+async function priceCartServerSide(items, { promo, flat50 = false, currency = 'usd', clientCurrency = 'usd', excludeHoldId = null } = {}) {
+  currency = CURRENCY_RULES[currency] ? currency : 'usd';
+  let reserved = null;
+  const lines = [];
+  const mismatches = [];
+  for (const [index, item] of (items || []).entries()) {
+    const qty = Math.max(1, Math.floor(Number(item.qty || item.quantity || 1)) || 1);
+    let line;
+    if (item.type === 'printful') {
+      let variantId = Number(item.variantId || item.variant_id || 0) || null;
+      if (!variantId && item.productId && (item.color || item.size)) {
+        variantId = (await resolveVariantByProductColorSize(item.productId, item.color, item.size))?.variantId || null;
+      }
+      if (!variantId) {
+        const err = new Error(`Item ${index + 1} has no Printful variant`);
+        err.code = 'invalid_item';
+        throw err;
+      }
+      let v;
+      try {
+        v = await getVariantPricing(variantId);
+      } catch (e) {
+        const err = new Error(`Printful variant ${variantId} is unavailable`);
+        err.code = 'invalid_item';
+        throw err;
+      }
+      const overrideCents = await getPriceOverrideCents(v.syncProductId || item.productId);
+      line = {
+        index,
+        type: 'printful',
+        variantId,
+        productId: v.syncProductId || (item.productId ? String(item.productId) : null),
+        name: v.name || item.name || 'Catfish Empire Product',
+        image: v.image || item.image || '',
+        color: item.color || v.color || '',
+        size: item.size || v.size || '',
+        qty,
+        listCents: (await getCurrencyPriceCents(currency, [`variant:${variantId}`, v.syncProductId && `product:${v.syncProductId}`]))
+          || localizeListCents(overrideCents || v.retailCents, currency)
+      };
+    } else {
+      const self = await resolveSelfItem(item);
+      if (!self) {
+        const err = new Error(`Item ${index + 1} is not available`);
+        err.code = 'invalid_item';
+        throw err;
+      }
+      if (!reserved) reserved = await loadReservedQuantities(excludeHoldId);
+      const available = availableStock(self.variant, self.product.id, reserved);
+      if (available < qty) {
+        const err = new Error(available > 0 ? `Only ${available} left of ${self.name}` : `${self.name} is sold out`);
+        err.code = 'invalid_item';
+        throw err;
+      }
+      line = {
+        index, type: 'self', productId: self.product.id, option: self.variant.option, sku: self.variant.sku,
+        color: self.variant.option, name: self.name, image: self.image, qty,
+        listCents: await selfListCents(self, currency)
+      };
+    }
+    if (!line.listCents || line.listCents <= 0) {
+      const err = new Error(`No price for item ${index + 1}`);
+      err.code = 'invalid_item';
+      throw err;
+    }
+    line.unitCents = flat50 ? 50 : priceAfterPromo(line.listCents, promo?.percent);
+
+    const clientCents = Number.isFinite(Number(item.priceCents)) && item.priceCents !== null && item.priceCents !== ''
+      ? Math.round(Number(item.priceCents))
+      : (item.price != null && item.price !== '' ? Math.round(Number(item.price) * 100) : null);
+    const sameCurrency = String(item.currency || clientCurrency || 'usd').toLowerCase() === currency;
+    if (sameCurrency && clientCents != null && Number.isFinite(clientCents) && clientCents !== line.listCents) {
+      mismatches.push({ index, name: line.name, client_unit_cents: clientCents, server_unit_cents: line.listCents });
+    }
+    lines.push(line);
+  }
+  const subtotalCents = lines.reduce((sum, l) => sum + l.unitCents * l.qty, 0);
+  return { lines, subtotalCents, currency, mismatches };
+}
+
 // Create a Printful draft order (non-blocking)
 async function createPrintfulDraftOrder(recipient, pfItems) {
   try {
     const storeId = process.env.PRINTFUL_STORE_ID;
     const url = storeId ? `https://api.printful.com/orders?store_id=${encodeURIComponent(storeId)}` : `https://api.printful.com/orders`;
     const body = {
-      recipient: {
+      recipient: normalizePrintfulRecipient({
         name: recipient.name,
         address1: recipient.line1,
         address2: recipient.line2 || '',
@@ -1297,7 +2757,7 @@ async function createPrintfulDraftOrder(recipient, pfItems) {
         country_code: recipient.country || 'US',
         zip: recipient.postal_code,
         email: recipient.email || undefined
-      },
+      }),
       items: pfItems.map(it => ({ quantity: it.quantity, variant_id: it.variantId, name: it.name })),
       confirm: false
     };
@@ -2441,22 +3901,22 @@ app.post("/logout", (req, res) => {
 });
 
 // ===== INVENTORY ENDPOINTS =====
+// Legacy sunglasses color → quantity views of the self catalog. The public view is what
+// shoppers can still buy (on hand minus checkout reservations); the admin view is on hand.
+let lastInventory = {};
 app.get("/public-inventory", async (req, res) => {
   try {
-    const inv = await loadInventory();
-    inventory = inv;
-    res.json(inv);
+    lastInventory = await loadAvailableInventory();
+    res.json(lastInventory);
   } catch (err) {
-    res.json(inventory);
+    res.json(lastInventory);
   }
 });
 
 app.get("/inventory", async (req, res) => {
   if (!req.session.authenticated)
     return res.status(403).json({ error: "Not logged in" });
-  const inv = await loadInventory();
-  inventory = inv;
-  res.json(inv);
+  res.json(await loadInventory());
 });
 
 app.post("/inventory", async (req, res) => {
@@ -2465,10 +3925,135 @@ app.post("/inventory", async (req, res) => {
   const { color, qty } = req.body;
   const qtyInt = parseInt(qty, 10);
   await updateQuantity(color, qtyInt);
-  inventory[color] = qtyInt;
   res.json({ success: true });
 });
 
+// ===== SELF CATALOG ENDPOINTS =====
+async function publicSelfProduct(product, currency, reserved) {
+  const variants = [];
+  for (const v of product.variants.filter(x => x.active)) {
+    const available = availableStock(v, product.id, reserved);
+    variants.push({
+      option: v.option,
+      sku: v.sku,
+      name: selfLineName(product, v),
+      image: v.image || product.images[0] || null,
+      price_cents: await selfListCents({ product, variant: v }, currency),
+      stock: available,
+      in_stock: available > 0
+    });
+  }
+  const prices = variants.map(v => v.price_cents);
+  return {
+    id: product.id,
+    type: 'self',
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    images: product.images,
+    currency,
+    price_cents: prices.length ? Math.min(...prices) : await selfListCents({ product, variant: { sku: product.sku, priceCents: null } }, currency),
+    in_stock: variants.some(v => v.in_stock),
+    variants
+  };
+}
+
+// GET /api/catalog?country=CA — active self-fulfilled products priced for the country
+app.get('/api/catalog', corsAllow, async (req, res) => {
+  try {
+    const currency = currencyForCountry(req.query.country);
+    const catalog = (await loadSelfCatalog()).filter(p => p.active);
+    const reserved = await loadReservedQuantities();
+    const products = [];
+    for (const p of catalog) products.push(await publicSelfProduct(p, currency, reserved));
+    res.json({ ok: true, currency, products });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/catalog/:id', corsAllow, async (req, res) => {
+  try {
+    const currency = currencyForCountry(req.query.country);
+    const product = (await loadSelfCatalog()).find(p => p.id === String(req.params.id) && p.active);
+    if (!product) return res.status(404).json({ ok: false, error: 'not_found' });
+    res.json({ ok: true, product: await publicSelfProduct(product, currency, await loadReservedQuantities()) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Admin view includes inactive products and variants
+app.get('/admin/catalog', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    res.json({ ok: true, products: await loadSelfCatalog({ fresh: true }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /admin/catalog/products/:id { sku?, name, description?, price_cents, images?, active?, sort_index? }
+app.put('/admin/catalog/products/:id', cors(), express.json(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const id = String(req.params.id || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) return res.status(400).json({ ok: false, error: 'id must be a lowercase slug' });
+    const b = req.body || {};
+    const row = { id, updated_at: new Date().toISOString() };
+    if (b.sku !== undefined) row.sku = String(b.sku).trim();
+    if (b.name !== undefined) row.name = String(b.name).trim();
+    if (b.description !== undefined) row.description = String(b.description);
+    if (b.images !== undefined) row.images = Array.isArray(b.images) ? b.images.map(String).filter(Boolean) : [];
+    if (b.active !== undefined) row.active = !!b.active;
+    if (b.sort_index !== undefined) row.sort_index = parseInt(b.sort_index, 10) || 0;
+    if (b.price_cents !== undefined) {
+      const cents = Math.round(Number(b.price_cents));
+      if (!Number.isFinite(cents) || cents < TEST_MIN_CHARGE_CENTS) return res.status(400).json({ ok: false, error: 'price_cents invalid' });
+      row.price_cents = cents;
+    }
+    const existing = (await loadSelfCatalog({ fresh: true })).find(p => p.id === id);
+    if (!existing && (!row.name || row.price_cents == null)) return res.status(400).json({ ok: false, error: 'name and price_cents required for a new product' });
+    const { error } = await supabase.from('self_products').upsert(row, { onConflict: 'id' });
+    if (error) throw error;
+    _cache.delete('catalog:self');
+    res.json({ ok: true, product: (await loadSelfCatalog({ fresh: true })).find(p => p.id === id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /admin/catalog/products/:id/variants/:option { sku?, name?, price_cents? (null = product price), image?, stock?, active? }
+app.put('/admin/catalog/products/:id/variants/:option', cors(), express.json(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const id = String(req.params.id || '');
+    const option = normalizeSelfOption(req.params.option);
+    if (!option) return res.status(400).json({ ok: false, error: 'option required' });
+    const product = (await loadSelfCatalog({ fresh: true })).find(p => p.id === id);
+    if (!product) return res.status(404).json({ ok: false, error: 'product not found' });
+    const b = req.body || {};
+    const row = { product_id: id, option, updated_at: new Date().toISOString() };
+    if (b.sku !== undefined) row.sku = String(b.sku).trim();
+    if (b.name !== undefined) row.name = b.name ? String(b.name).trim() : null;
+    if (b.image !== undefined) row.image = b.image ? String(b.image) : null;
+    if (b.active !== undefined) row.active = !!b.active;
+    if (b.stock !== undefined) row.stock = Math.max(0, parseInt(b.stock, 10) || 0);
+    if (b.price_cents !== undefined) {
+      const cents = b.price_cents === null ? null : Math.round(Number(b.price_cents));
+      if (cents !== null && (!Number.isFinite(cents) || cents < TEST_MIN_CHARGE_CENTS)) return res.status(400).json({ ok: false, error: 'price_cents invalid' });
+      row.price_cents = cents;
+    }
+    const { error } = await supabase.from('self_product_variants').upsert(row, { onConflict: 'product_id,option' });
+    if (error) throw error;
+    _cache.delete('catalog:self');
+    const fresh = (await loadSelfCatalog({ fresh: true })).find(p => p.id === id);
+    res.json({ ok: true, variant: fresh?.variants.find(v => v.option === option) || null });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // ===== PROMO: Active promo state =====
 app.get('/api/promo/active', cors(), (req, res) => {
   try {
@@ -2480,7 +4065,7 @@ app.get('/api/promo/active', cors(), (req, res) => {
 });
 
 // Validate a code and set in session
-app.post('/api/promo/apply', corsAllow, express.json(), (req, res) => {
+app.post('/api/promo/apply', corsAllow, express.json(), async (req, res) => {
   const code = String(req.body?.code || '').trim().toLowerCase().replace(/\s+/g,'');
   const flat50 = String(process.env.FLAT50_CODE || '').trim().toLowerCase();
   if (flat50 && code === flat50){
@@ -2489,7 +4074,12 @@ app.post('/api/promo/apply', corsAllow, express.json(), (req, res) => {
   }
   const promos = readPromoCodesFromEnv();
   const found = promos.find(p => p.code === code);
-  if (!found) return res.status(404).json({ ok: false, message: 'Invalid code' });
+  if (!found) {
+    const recovery = await findRecoveryPromo(code);
+    if (!recovery) return res.status(404).json({ ok: false, message: 'Invalid code' });
+    setActivePromo(req, recovery);
+    return res.json({ ok: true, code: recovery.code, percent: recovery.percent });
+  }
   setActivePromo(req, { code: found.code, percent: found.percent });
   res.json({ ok: true, code: found.code, percent: found.percent });
 });
@@ -2664,7 +4254,7 @@ app.post("/admin/mockups/generate", corsAllow, express.json(), async (req, res)
   }
 });
 
-app.post('/api/promo/validate', corsAllow, express.json(), (req, res) => {
+app.post('/api/promo/validate', corsAllow, express.json(), async (req, res) => {
   try {
     const given = String(req.body?.code || '').trim();
     if (!given) return res.status(400).json({ ok:false, error:"missing_code" });
@@ -2684,6 +4274,10 @@ app.post('/api/promo/validate', corsAllow, express.json(), (req, res) => {
     const hit = list.find(p => p.code.toLowerCase() === given.toLowerCase());
     if (hit) return res.json({ ok:true, code: hit.code, percent: hit.percent, minCents: 50 });
 
+    // finally one-time cart recovery codes
+    const recovery = await findRecoveryPromo(given);
+    if (recovery) return res.json({ ok:true, code: recovery.code, percent: recovery.percent, minCents: 50 });
+
     return res.status(404).json({ ok:false });
   } catch (e) {
     console.error('Validate error:', e);
@@ -2784,83 +4378,1279 @@ app.post('/admin/mockups/delete', async (req, res) => {
   }
 });
 
-// ===== ADMIN/DEBUG: Printful last order =====
-app.get('/admin/printful/last', cors(), async (req, res) => {
+// ===== ADMIN: Email template preview =====
+app.get('/admin/emails/templates', cors(), (req, res) => {
   if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
-  res.json({ ...LAST_PF_ORDER });
+  res.json({ ok: true, templates: Object.keys(EMAIL_TEMPLATES) });
 });
 
-// Admin endpoint to re-confirm by external_id (recover stuck drafts)
-app.post("/admin/printful/reconfirm", cors(), async (req, res) => {
+// Renders a template with its fixture data; ?format=html (default) | text | json
+app.get('/admin/emails/preview/:template', cors(), (req, res) => {
+  if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+  const name = String(req.params.template || '');
+  if (!EMAIL_TEMPLATES[name]) {
+    return res.status(404).json({ ok: false, error: 'unknown_template', templates: Object.keys(EMAIL_TEMPLATES) });
+  }
   try {
-    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
-    const external_id = String(req.body?.external_id || "").trim();
-    if (!external_id) return res.status(400).json({ ok:false, error:"missing external_id" });
-
-    const rec = await getOrderByExternalId(external_id);
-    if (!rec?.pf_order_id) return res.status(404).json({ ok:false, error:"order_not_found" });
-
-    const confirmRes = await printfulConfirmOrder(rec.pf_order_id);
-    await upsertOrderRecord({
-      external_id,
-      pf_order_id: rec.pf_order_id,
-      status: "confirmed",
-      meta: { reconfirmed_at: new Date().toISOString(), confirmRes }
-    });
-
-    return res.json({ ok:true, external_id, pf_order_id: rec.pf_order_id });
+    const mail = renderEmail(name, EMAIL_TEMPLATES[name].fixture);
+    const format = String(req.query.format || 'html').toLowerCase();
+    if (format === 'json') return res.json({ ok: true, template: name, ...mail });
+    if (format === 'text') return res.type('text/plain').send(`Subject: ${mail.subject}\n\n${mail.text}`);
+    res.type('html').send(mail.html);
   } catch (e) {
-    console.error("admin reconfirm error:", e?.message || e);
-    return res.status(500).json({ ok:false, error: e?.message || "reconfirm_failed" });
+    res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Debug a specific order quickly
-app.get("/admin/printful/order/:external_id", cors(), async (req, res) => {
+// ===== ADMIN: Notification routing =====
+app.get('/admin/notifications/routes', cors(), async (req, res) => {
   try {
     if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
-    const external_id = req.params.external_id;
-    const rec = await getOrderByExternalId(external_id);
-    if (!rec?.pf_order_id) return res.status(404).json({ ok:false });
-    const live = await printfulGetOrder(rec.pf_order_id);
-    return res.json({ ok:true, record: rec, live });
+    _cache.delete('notify:routes');
+    const routes = await loadNotificationRoutes();
+    const out = Object.entries(NOTIFICATION_KINDS).map(([kind, description]) => ({
+      kind,
+      description,
+      recipients: Array.isArray(routes[kind]) ? routes[kind] : DEFAULT_NOTIFY_RECIPIENTS,
+      source: Array.isArray(routes[kind]) ? 'custom' : 'default'
+    }));
+    res.json({ ok: true, defaults: DEFAULT_NOTIFY_RECIPIENTS, routes: out });
   } catch (e) {
-    return res.status(500).json({ ok:false, error: e?.message || String(e), record: rec });
+    res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Admin cancel endpoint (manual recovery)
-app.post("/admin/printful/cancel", cors(), async (req, res) => {
+// PUT { recipients: ["a@x.com", ...] } — an empty list mutes the kind
+app.put('/admin/notifications/routes/:kind', cors(), async (req, res) => {
   try {
     if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
-    const external_id = String(req.body?.external_id || "").trim();
-    if (!external_id) return res.status(400).json({ ok:false, error:"missing external_id" });
+    const kind = String(req.params.kind || '');
+    if (!NOTIFICATION_KINDS[kind]) return res.status(404).json({ ok: false, error: 'unknown_kind', kinds: Object.keys(NOTIFICATION_KINDS) });
+    const list = Array.isArray(req.body?.recipients) ? req.body.recipients.map(e => String(e || '').trim()).filter(Boolean) : null;
+    if (!list) return res.status(400).json({ ok: false, error: 'recipients[] required' });
+    const invalid = list.filter(e => !isDeliverableEmail(e));
+    if (invalid.length) return res.status(400).json({ ok: false, error: 'invalid_recipients', invalid });
+    const { error } = await supabase.from('notification_routes').upsert({
+      kind,
+      recipients: Array.from(new Set(list)),
+      updated_at: new Date().toISOString(),
+      updated_by: req.body?.actor ? String(req.body.actor) : 'admin'
+    }, { onConflict: 'kind' });
+    if (error) throw error;
+    _cache.delete('notify:routes');
+    res.json({ ok: true, kind, recipients: Array.from(new Set(list)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    const rec = await getOrderByExternalId(external_id);
-    if (!rec?.pf_order_id) return res.status(404).json({ ok:false, error:"order_not_found" });
+// Reset a kind back to the OPS_EMAIL default
+app.delete('/admin/notifications/routes/:kind', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const kind = String(req.params.kind || '');
+    if (!NOTIFICATION_KINDS[kind]) return res.status(404).json({ ok: false, error: 'unknown_kind' });
+    const { error } = await supabase.from('notification_routes').delete().eq('kind', kind);
+    if (error) throw error;
+    _cache.delete('notify:routes');
+    res.json({ ok: true, kind, recipients: DEFAULT_NOTIFY_RECIPIENTS });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    const live = await printfulGetOrder(rec.pf_order_id);
-    const status = (live?.result?.status || "").toLowerCase();
-    if (/fulfilled|shipped|canceled/.test(status)) {
-      return res.json({ ok:true, external_id, pf_order_id: rec.pf_order_id, message: `No action: status=${status}` });
-    }
+// ===== ADMIN: Email outbox =====
+// GET /admin/emails?status=dead&ref=ce…&limit=50
+app.get('/admin/emails', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+    let q = supabase
+      .from('email_outbox')
+      .select('id, template, to_address, subject, ref, status, attempts, next_attempt_at, last_error, created_at, sent_at')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (req.query.status) q = q.eq('status', String(req.query.status));
+    if (req.query.ref) q = q.eq('ref', String(req.query.ref));
+    if (req.query.to) q = q.eq('to_address', String(req.query.to));
+    const { data, error } = await q;
+    if (error) throw error;
+    res.json({ ok: true, emails: data || [] });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    const out = await printfulCancelOrder(rec.pf_order_id);
-    await cancelOrderRecord({
-      external_id: rec.external_id,
-      pf_order_id: rec.pf_order_id,
-      refund_status: "admin_cancel"
-    });
-    return res.json({ ok:true, external_id, pf_order_id: rec.pf_order_id, result: out });
+app.get('/admin/emails/:id', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const { data, error } = await supabase.from('email_outbox').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ ok: false, error: 'not_found' });
+    res.json({ ok: true, email: data });
   } catch (e) {
-    console.error("admin cancel error:", e?.message || e);
-    return res.status(500).json({ ok:false, error: e?.message || "cancel_failed" });
+    res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Admin/Debug: token bypass to view last PF payload/response
-const DEBUG_TOKEN = process.env.ADMIN_DEBUG_TOKEN || '';
-app.get('/admin/printful/debug', cors(), async (req, res) => {
+// Put a failed (or any) message back in the queue with a fresh attempt budget
+app.post('/admin/emails/:id/resend', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const { data, error } = await supabase
+      .from('email_outbox')
+      .update({ status: 'pending', attempts: 0, last_error: null, next_attempt_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .neq('status', 'sending')
+      .select('id, status')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ ok: false, error: 'not_found_or_sending' });
+    kickWorker('email-outbox');
+    res.json({ ok: true, id: data.id, status: data.status });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ===== ADMIN: Orders =====
+function encodeOrderCursor(row) {
+  return Buffer.from(JSON.stringify({ c: row.created_at, id: row.external_id })).toString('base64url');
+}
+function decodeOrderCursor(cursor) {
+  try {
+    const j = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return j && j.c && j.id ? j : null;
+  } catch { return null; }
+}
+function likeEscape(s) { return String(s).replace(/[\\%_]/g, c => `\\${c}`); }
+
+// GET /admin/orders?status=&from=&to=&email=&promo=&product_id=&pf_status=&limit=&cursor=
+// Newest first; pass back next_cursor to get the following page.
+app.get('/admin/orders', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const q = req.query || {};
+    const limit = Math.min(100, Math.max(1, parseInt(q.limit || '25', 10) || 25));
+    let query = supabase
+      .from('printful_orders')
+      .select('external_id, pf_order_id, status, pf_status, session_id, customer_email, customer_name, promo_code, promo_mode, product_ids, amount_total, amount_captured, amount_refunded, currency, review_status, created_at, updated_at')
+      .order('created_at', { ascending: false })
+      .order('external_id', { ascending: false })
+      .limit(limit + 1);
+
+    if (q.status) query = query.in('status', String(q.status).split(',').map(x => x.trim()).filter(Boolean));
+    if (q.review_status) query = query.in('review_status', String(q.review_status).split(',').map(x => x.trim()).filter(Boolean));
+    if (q.pf_status) query = query.in('pf_status', String(q.pf_status).split(',').map(x => x.trim().toLowerCase()).filter(Boolean));
+    if (q.from) {
+      const d = new Date(String(q.from));
+      if (isNaN(d)) return res.status(400).json({ ok: false, error: 'invalid from' });
+      query = query.gte('created_at', d.toISOString());
+    }
+    if (q.to) {
+      const d = new Date(String(q.to));
+      if (isNaN(d)) return res.status(400).json({ ok: false, error: 'invalid to' });
+      query = query.lte('created_at', d.toISOString());
+    }
+    if (q.email) query = query.ilike('customer_email', likeEscape(String(q.email).trim()));
+    if (q.promo) query = query.ilike('promo_code', likeEscape(String(q.promo).trim()));
+    if (q.product_id) query = query.contains('product_ids', [String(q.product_id)]);
+    if (q.cursor) {
+      const cur = decodeOrderCursor(q.cursor);
+      if (!cur) return res.status(400).json({ ok: false, error: 'invalid cursor' });
+      query = query.or(`created_at.lt."${cur.c}",and(created_at.eq."${cur.c}",external_id.lt.${cur.id})`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    const rows = data || [];
+    const page = rows.slice(0, limit);
+    const orders = page.map(r => ({ ...r, order_ref: orderReferenceFromExternalId(r.external_id) }));
+    res.json({
+      ok: true,
+      orders,
+      count: orders.length,
+      next_cursor: rows.length > limit ? encodeOrderCursor(page[page.length - 1]) : null
+    });
+  } catch (e) {
+    console.error('admin orders list error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+function summarizeStripeSession(sess) {
+  return {
+    id: sess.id,
+    status: sess.status,
+    payment_status: sess.payment_status,
+    created: sess.created ? new Date(sess.created * 1000).toISOString() : null,
+    customer_email: sess.customer_details?.email || sess.customer_email || null,
+    customer_name: sess.customer_details?.name || null,
+    payment_intent: typeof sess.payment_intent === 'object' ? sess.payment_intent?.id : sess.payment_intent,
+    currency: sess.currency,
+    amount_subtotal: sess.amount_subtotal,
+    amount_total: sess.amount_total,
+    total_details: sess.total_details || null,
+    metadata: sess.metadata || {},
+    line_items: (sess.line_items?.data || []).map(l => ({ description: l.description, quantity: l.quantity, amount_total: l.amount_total })),
+    ship_to: shipToFromSession(sess)
+  };
+}
+
+// Ledger row + history, Stripe session summary, live Printful status and emails sent for the order
+app.get('/admin/orders/:external_id', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.params.external_id || '').trim();
+    const rec = await getOrderByExternalId(external_id);
+    if (!rec) return res.status(404).json({ ok: false, error: 'order_not_found' });
+
+    const out = { ok: true, order_ref: orderReferenceFromExternalId(external_id), record: rec, history: [], stripe: null, printful: null, emails: [], errors: {} };
+    const [history, stripeSess, live, emails] = await Promise.allSettled([
+      getOrderHistory(external_id),
+      rec.session_id ? stripe.checkout.sessions.retrieve(rec.session_id, { expand: ['line_items'] }) : Promise.resolve(null),
+      rec.pf_order_id ? printfulGetOrder(rec.pf_order_id) : Promise.resolve(null),
+      supabase.from('email_outbox').select('id, template, to_address, subject, status, attempts, created_at, sent_at').eq('ref', external_id).order('created_at', { ascending: true })
+    ]);
+    if (history.status === 'fulfilled') out.history = history.value; else out.errors.history = history.reason?.message || String(history.reason);
+    if (stripeSess.status === 'fulfilled') out.stripe = stripeSess.value ? summarizeStripeSession(stripeSess.value) : null;
+    else out.errors.stripe = stripeSess.reason?.message || String(stripeSess.reason);
+    if (live.status === 'fulfilled') {
+      const r = live.value?.result || null;
+      out.printful = r ? { id: r.id, status: r.status, created: r.created, updated: r.updated, costs: r.costs, retail_costs: r.retail_costs, shipments: r.shipments || [], items: (r.items || []).map(i => ({ id: i.id, name: i.name, quantity: i.quantity, sync_variant_id: i.sync_variant_id })) } : null;
+    } else {
+      out.errors.printful = live.reason?.message || String(live.reason);
+    }
+    if (emails.status === 'fulfilled' && !emails.value?.error) out.emails = emails.value?.data || [];
+    else out.errors.emails = emails.reason?.message || emails.value?.error?.message || 'email lookup failed';
+    if (!Object.keys(out.errors).length) delete out.errors;
+    res.json(out);
+  } catch (e) {
+    console.error('admin order detail error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Resolve an order the fulfillment policy held for review.
+// body: { action: 'approve'|'reject', note? }. approve confirms the Printful draft;
+// reject cancels it (refund the customer separately).
+app.post('/admin/orders/:external_id/review', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.params.external_id || '').trim();
+    const action = String(req.body?.action || '').toLowerCase();
+    if (!['approve', 'reject'].includes(action)) return res.status(400).json({ ok: false, error: 'action must be approve or reject' });
+    const rec = await getOrderByExternalId(external_id);
+    if (!rec) return res.status(404).json({ ok: false, error: 'order_not_found' });
+    if (rec.review_status !== 'pending') return res.status(409).json({ ok: false, error: `order is not pending review (review_status=${rec.review_status || 'none'})` });
+    if (!rec.pf_order_id) return res.status(409).json({ ok: false, error: 'no Printful order yet; fix the address via /admin/orders/:external_id/recipient or wait for the retry job first' });
+    if (action === 'approve' && rec.fulfillment_hold) return res.status(409).json({ ok: false, error: 'order is on hold for a dispute' });
+
+    const review = { action, note: req.body?.note ? String(req.body.note) : null, at: new Date().toISOString() };
+    let saved;
+    if (action === 'approve') {
+      const confirmed = await printfulConfirmOrder(rec.pf_order_id);
+      saved = await upsertOrderRecord({
+        external_id,
+        pf_order_id: rec.pf_order_id,
+        status: 'confirmed',
+        pf_status: String(confirmed?.result?.status || '').toLowerCase() || rec.pf_status,
+        review_status: 'approved',
+        meta: { review },
+        last_event_type: 'admin_review'
+      });
+    } else {
+      await printfulCancelOrder(rec.pf_order_id);
+      saved = await upsertOrderRecord({
+        external_id,
+        pf_order_id: rec.pf_order_id,
+        status: 'canceled',
+        review_status: 'rejected',
+        cancel_reason: 'review_rejected',
+        meta: { review },
+        last_event_type: 'admin_review'
+      });
+    }
+    res.json({ ok: true, external_id, status: saved.status, review_status: saved.review_status });
+  } catch (e) {
+    if (e?.code === 'illegal_transition' || e?.code === 'concurrent_update') {
+      return res.status(409).json({ ok: false, error: e.message });
+    }
+    console.error('admin order review error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e), printful: e?.body || null });
+  }
+});
+
+// Fix the shipping address of an order parked as recipient_incomplete.
+// body: { recipient: { name?, address1, address2?, city, state_code?, country_code, zip?, phone? } }
+// Queues the Printful order as a draft with the corrected recipient; approve it through /review.
+const RECIPIENT_FIELDS = ['name', 'address1', 'address2', 'city', 'state_code', 'country_code', 'zip', 'phone'];
+app.post('/admin/orders/:external_id/recipient', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.params.external_id || '').trim();
+    const rec = await getOrderByExternalId(external_id);
+    if (!rec) return res.status(404).json({ ok: false, error: 'order_not_found' });
+    if (rec.pf_order_id) return res.status(409).json({ ok: false, error: 'Printful order already exists; edit the address in Printful' });
+    if (rec.status !== 'failed') return res.status(409).json({ ok: false, error: `order is ${rec.status}` });
+    if (!rec.session_id) return res.status(409).json({ ok: false, error: 'order has no Stripe session' });
+
+    const input = req.body?.recipient || {};
+    const corrected = {};
+    for (const k of RECIPIENT_FIELDS) if (input[k] !== undefined) corrected[k] = String(input[k] || '').trim();
+    const sn = await stripe.checkout.sessions.retrieve(rec.session_id);
+    const payload = await printfulPayloadFromSession(sn);
+    const recipient = normalizePrintfulRecipient({ ...(rec.meta?.recipient || payload.recipient), ...corrected });
+    if (!recipientIsComplete(recipient)) return res.status(400).json({ ok: false, error: 'recipient_incomplete', recipient });
+    if (!payload.items.length) return res.status(409).json({ ok: false, error: 'no Printful items found for this order' });
+    payload.recipient = recipient;
+
+    const { data: job } = await supabase.from('printful_jobs').select('status').eq('external_id', external_id).maybeSingle();
+    if (job) {
+      if (job.status === 'running' || job.status === 'succeeded') return res.status(409).json({ ok: false, error: `Printful job is ${job.status}` });
+      const { error } = await supabase.from('printful_jobs')
+        .update({ payload, status: 'queued', next_run_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('external_id', external_id);
+      if (error) throw error;
+    } else {
+      if (!await enqueuePrintfulJob(external_id, payload, 'admin: recipient corrected')) throw new Error('could not queue the Printful job');
+      await supabase.from('printful_jobs').update({ next_run_at: new Date().toISOString() }).eq('external_id', external_id);
+    }
+    await upsertOrderRecord({
+      external_id,
+      meta: { recipient, error: null, recipient_fixed_at: new Date().toISOString() },
+      last_event_type: 'admin_recipient'
+    });
+    kickWorker('printful-jobs');
+    res.json({ ok: true, external_id, queued: true, recipient });
+  } catch (e) {
+    if (e?.code === 'concurrent_update') return res.status(409).json({ ok: false, error: e.message });
+    console.error('admin order recipient error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ===== ADMIN: Refunds =====
+// Printful only lets us cancel orders that have not gone into production
+const PRINTFUL_CANCELLABLE_STATUSES = ['draft', 'pending', 'failed', 'onhold'];
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Refund an order through Stripe.
+// body: { lines?: [{ line_item_id, quantity }], reason?, note?, actor?, request_id? }
+// No lines = refund whatever is left on the charge (full refund). A full refund also
+// cancels the Printful order while it is still cancellable. request_id makes a retried request
+// return the refund it already created; without one the key counts the refunds Stripe has
+// (the ledger can miss one whose write failed).
+async function refundOrder(external_id, body = {}) {
+  const rec = await getOrderByExternalId(external_id);
+  if (!rec) throw httpError(404, 'order_not_found');
+
+  const actor = String(body.actor || 'admin').slice(0, 120);
+  const note = body.note ? String(body.note).slice(0, 500) : null;
+  const reason = STRIPE_REFUND_REASONS.includes(body.reason) ? body.reason : 'requested_by_customer';
+
+  let piId = rec.pi_id || null;
+  if (!piId && rec.session_id) {
+    const sess = await stripe.checkout.sessions.retrieve(rec.session_id);
+    piId = sess.payment_intent || null;
+  }
+  if (!piId) throw httpError(409, 'order has no payment intent to refund');
+  const pi = await stripe.paymentIntents.retrieve(piId, { expand: ['latest_charge'] });
+  const charge = (pi.latest_charge && typeof pi.latest_charge === 'object') ? pi.latest_charge : null;
+  if (!charge) throw httpError(409, 'payment has no charge to refund');
+  const captured = Number(charge.amount_captured ?? charge.amount ?? 0);
+  const remaining = captured - Number(charge.amount_refunded || 0);
+  if (remaining <= 0) throw httpError(409, 'charge is already fully refunded');
+
+  const priorRefunds = Array.isArray(rec.refunds) ? rec.refunds : [];
+  let amount = remaining;
+  let lines = null;
+  if (Array.isArray(body.lines) && body.lines.length) {
+    if (!rec.session_id) throw httpError(409, 'order has no session; line refunds unavailable');
+    const li = await stripe.checkout.sessions.listLineItems(rec.session_id, { limit: 100 });
+    const byId = new Map((li.data || []).map(l => [l.id, l]));
+    const refundedQty = {};
+    for (const r of priorRefunds) for (const l of (r.lines || [])) refundedQty[l.line_item_id] = (refundedQty[l.line_item_id] || 0) + l.quantity;
+
+    lines = [];
+    for (const want of body.lines) {
+      const line = byId.get(String(want?.line_item_id || ''));
+      if (!line) throw httpError(400, `unknown line_item_id ${want?.line_item_id}`);
+      const qty = Math.floor(Number(want.quantity || 0));
+      const left = Number(line.quantity || 0) - (refundedQty[line.id] || 0);
+      if (qty < 1 || qty > left) throw httpError(400, `quantity for ${line.id} must be 1..${left}`);
+      lines.push({
+        line_item_id: line.id,
+        description: line.description,
+        quantity: qty,
+        amount: Math.round(Number(line.amount_total || 0) * qty / Number(line.quantity || 1))
+      });
+    }
+    amount = Math.min(remaining, lines.reduce((sum, l) => sum + l.amount, 0));
+    if (amount <= 0) throw httpError(400, 'selected lines have no refundable amount');
+  }
+  const full = amount >= remaining;
+
+  let idempotencyKey;
+  if (body.request_id) {
+    idempotencyKey = `refund:${external_id}:req:${String(body.request_id).slice(0, 120)}`;
+  } else {
+    const existing = await stripe.refunds.list({ payment_intent: piId, limit: 100 });
+    idempotencyKey = `refund:${external_id}:${(existing.data || []).length}:${amount}`;
+  }
+  const refund = await stripe.refunds.create({
+    payment_intent: piId,
+    amount,
+    reason,
+    metadata: { external_id, actor, kind: full ? 'full' : 'partial', source: 'admin' }
+  }, { idempotencyKey });
+
+  const entry = {
+    id: refund.id,
+    amount,
+    currency: (refund.currency || charge.currency || 'usd').toLowerCase(),
+    kind: full ? 'full' : 'partial',
+    lines,
+    reason,
+    note,
+    actor,
+    status: refund.status,
+    at: new Date().toISOString()
+  };
+
+  // Cascade to Printful before writing the ledger so the record reflects what actually happened
+  const printful = { canceled: false, status: null, error: null };
+  if (full && rec.pf_order_id) {
+    try {
+      const live = await printfulGetOrder(rec.pf_order_id);
+      printful.status = String(live?.result?.status || '').toLowerCase() || null;
+      if (PRINTFUL_CANCELLABLE_STATUSES.includes(printful.status)) {
+        await printfulCancelOrder(rec.pf_order_id);
+        printful.canceled = true;
+        printful.status = 'canceled';
+      }
+    } catch (e) {
+      printful.error = e?.message || String(e);
+      console.error(`Printful cancel after refund failed for ${external_id}:`, printful.error);
+    }
+  }
+  if (full && !rec.pf_order_id) {
+    // Nothing reached Printful; stop the retry job from creating it now
+    await supabase.from('printful_jobs')
+      .update({ status: 'abandoned', last_error: 'abandoned: order refunded', updated_at: new Date().toISOString() })
+      .eq('external_id', external_id)
+      .in('status', ['queued', 'exhausted']);
+  }
+  const cancel = full && (printful.canceled || !rec.pf_order_id || printful.status === 'canceled');
+
+  let saved = null, ledgerError = null;
+  try {
+    saved = await upsertOrderRecord({
+      external_id,
+      pf_order_id: rec.pf_order_id,
+      status: cancel ? 'canceled' : rec.status,
+      pf_status: printful.status || rec.pf_status,
+      refunds: [...priorRefunds, entry],
+      amount_captured: captured,
+      amount_refunded: Number(charge.amount_refunded || 0) + amount,
+      refund_status: full ? 'admin_full_refund' : 'admin_partial_refund',
+      cancel_reason: cancel ? 'admin_full_refund' : rec.cancel_reason,
+      cancelled_at: cancel ? new Date().toISOString() : undefined,
+      meta: { last_refund: entry },
+      last_event_type: 'admin_refund'
+    });
+  } catch (e) {
+    ledgerError = e?.message || String(e);
+    console.error(`Ledger write after refund failed for ${external_id}:`, ledgerError);
+  }
+
+  if (full && rec.pf_order_id && !printful.canceled && printful.status !== 'canceled') {
+    await notifyOps('refund_failure', {
+      subject: opsEmailSubject(external_id, 'Refunded but Printful order not canceled'),
+      title: 'Refunded but Printful order not canceled',
+      intro: printful.error ? 'Canceling the Printful order failed.' : `Printful status is ${printful.status}, which can no longer be canceled.`,
+      fields: [['external_id', external_id], ['pf_order_id', rec.pf_order_id], ['Refund', formatMoney(amount, entry.currency)]],
+      details: printful.error || '',
+      ref: external_id
+    });
+  }
+
+  return { external_id, refund: entry, full, printful, status: saved?.status || null, ledgerError };
+}
+
+app.post('/admin/orders/:external_id/refund', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const out = await refundOrder(String(req.params.external_id || '').trim(), req.body || {});
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error('admin refund error:', e?.message || e);
+    const status = e?.status || (e?.type === 'StripeInvalidRequestError' ? 400 : 500);
+    res.status(status).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ===== ADMIN: Printful retry queue =====
+app.get('/admin/printful/jobs', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+    let q = supabase
+      .from('printful_jobs')
+      .select('external_id, status, attempts, max_attempts, next_run_at, last_error, pf_order_id, created_at, updated_at')
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+    if (req.query.status) q = q.in('status', String(req.query.status).split(',').map(x => x.trim()).filter(Boolean));
+    const { data, error } = await q;
+    if (error) throw error;
+    res.json({ ok: true, jobs: data || [] });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/admin/printful/jobs/:external_id', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.params.external_id);
+    const { data: job, error } = await supabase.from('printful_jobs').select('*').eq('external_id', external_id).maybeSingle();
+    if (error) throw error;
+    if (!job) return res.status(404).json({ ok: false, error: 'job_not_found' });
+    const { data: attempts } = await supabase
+      .from('printful_job_attempts')
+      .select('*')
+      .eq('external_id', external_id)
+      .order('attempt', { ascending: true });
+    res.json({ ok: true, job, attempts: attempts || [] });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Requeue resets the attempt budget (history is kept) and runs on the next tick
+app.post('/admin/printful/jobs/:external_id/requeue', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.params.external_id);
+    const { data: job } = await supabase.from('printful_jobs').select('attempts, status').eq('external_id', external_id).maybeSingle();
+    if (!job) return res.status(404).json({ ok: false, error: 'job_not_found' });
+    if (job.status === 'running' || job.status === 'succeeded') return res.status(409).json({ ok: false, error: `job is ${job.status}` });
+    const extra = Math.max(1, parseInt(req.body?.attempts || String(PRINTFUL_RETRY_MAX_ATTEMPTS), 10) || PRINTFUL_RETRY_MAX_ATTEMPTS);
+    const { error } = await supabase.from('printful_jobs').update({
+      status: 'queued',
+      max_attempts: Number(job.attempts || 0) + extra,
+      next_run_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }).eq('external_id', external_id);
+    if (error) throw error;
+    kickWorker('printful-jobs');
+    res.json({ ok: true, external_id, status: 'queued' });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/admin/printful/jobs/:external_id/abandon', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.params.external_id);
+    const { data, error } = await supabase.from('printful_jobs').update({
+      status: 'abandoned',
+      last_error: req.body?.reason ? `abandoned: ${String(req.body.reason)}` : 'abandoned by admin',
+      updated_at: new Date().toISOString()
+    }).eq('external_id', external_id).in('status', ['queued', 'exhausted']).select('external_id').maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(409).json({ ok: false, error: 'job not found or not abandonable' });
+    res.json({ ok: true, external_id, status: 'abandoned' });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ===== RECONCILIATION =====
+// Walks paid Stripe checkout sessions in a date range, maps each through mkPfExternalId and
+// compares it with the Printful order and our ledger. Printful orders carrying one of our
+// external ids but no paid session are reported too. Runs are stored in reconciliation_runs
+// (id, trigger, range_from, range_to, started_at, finished_at, summary, findings, error).
+const RECONCILE_STALE_DRAFT_HOURS = parseInt(process.env.RECONCILE_STALE_DRAFT_HOURS || '48', 10);
+const RECONCILE_MAX_SESSIONS = parseInt(process.env.RECONCILE_MAX_SESSIONS || '2000', 10);
+const RECONCILE_INTERVAL_HOURS = parseInt(process.env.RECONCILE_INTERVAL_HOURS || '0', 10);
+const RECONCILE_LOOKBACK_DAYS = parseInt(process.env.RECONCILE_LOOKBACK_DAYS || '3', 10);
+const RECONCILE_REMEDIATIONS = {
+  missing_order: { action: 'create_order', label: 'Queue Printful order creation' },
+  amount_mismatch: { action: 'sync_ledger', label: 'Copy Stripe amounts onto the ledger' },
+  canceled_but_paid: { action: 'refund', label: 'Refund the remaining charge' },
+  stale_draft: { action: 'confirm', label: 'Confirm the Printful draft' },
+  unpaid_order: { action: 'cancel', label: 'Cancel the Printful order' }
+};
+
+function sessionHasPrintfulItems(session) {
+  return unpackSessionItems(session).some(i => i.type === 'printful');
+}
+
+// Printful order body for a paid session, built the same way the webhook builds it
+async function printfulPayloadFromSession(session) {
+  let items = [];
+  try {
+    const parsed = session.metadata?.order_cart ? JSON.parse(session.metadata.order_cart) : null;
+    if (Array.isArray(parsed?.items)) items = parsed.items;
+  } catch {}
+  if (!items.length) {
+    const decoded = unpackSessionItems(session).map(x => ({ t: x.type, pid: x.productId, vid: x.variantId, q: x.qty || 1, c: x.color || '', s: x.size || '' }));
+    const built = await buildPrintfulItems(decoded, process.env.PRINTFUL_API_KEY, process.env.PRINTFUL_STORE_ID);
+    items = built.map(x => ({ sync_variant_id: x.sync_variant_id, quantity: x.quantity }));
+  }
+  return {
+    external_id: mkPfExternalId(session.id),
+    confirm: false,
+    update_existing: false,
+    recipient: stripeToPrintfulRecipient(session),
+    items: items.map(x => ({ sync_variant_id: Number(x.sync_variant_id), quantity: Number(x.quantity) }))
+  };
+}
+
+// Printful lists newest first; stop once we are past the start of the window
+async function listPrintfulOrdersSince(fromSec) {
+  const out = [];
+  for (let offset = 0; offset < 5000; offset += 100) {
+    const page = await pfFetch(`/orders?offset=${offset}&limit=100`, { method: 'GET' });
+    const rows = page?.result || [];
+    for (const o of rows) if (Number(o.created || 0) >= fromSec) out.push(o);
+    if (rows.length < 100 || Number(rows[rows.length - 1]?.created || 0) < fromSec) break;
+  }
+  return out;
+}
+
+async function loadLedgerRows(externalIds) {
+  const map = new Map();
+  for (let i = 0; i < externalIds.length; i += 100) {
+    const { data, error } = await supabase.from('printful_orders').select('*').in('external_id', externalIds.slice(i, i + 100));
+    if (error) throw error;
+    for (const r of (data || [])) map.set(r.external_id, r);
+  }
+  return map;
+}
+
+async function runReconciliation({ from, to, trigger = 'manual' }) {
+  const started_at = new Date().toISOString();
+  const fromSec = Math.floor(from.getTime() / 1000);
+  const toSec = Math.floor(to.getTime() / 1000);
+
+  // Sessions may be completed up to 24h after they were created, so look back an extra day
+  const sessions = [];
+  let truncated = false;
+  for await (const sess of stripe.checkout.sessions.list({ created: { gte: fromSec - 86400, lte: toSec }, limit: 100 })) {
+    if (sessions.length >= RECONCILE_MAX_SESSIONS) { truncated = true; break; }
+    sessions.push(sess);
+  }
+  const paid = sessions.filter(sn => sn.status === 'complete'
+    && sn.payment_status === 'paid'
+    && sn.metadata?.intent !== 'donation'
+    && sessionHasPrintfulItems(sn));
+  const bySession = new Map(paid.map(sn => [mkPfExternalId(sn.id), sn]));
+  const knownIds = new Set(sessions.map(sn => mkPfExternalId(sn.id)));
+
+  const pfOrders = await listPrintfulOrdersSince(fromSec);
+  const pfByExternal = new Map(pfOrders.filter(o => o.external_id).map(o => [o.external_id, o]));
+  const ledger = await loadLedgerRows(Array.from(new Set([...bySession.keys(), ...pfByExternal.keys()])));
+
+  const findings = [];
+  const add = (category, external_id, detail, extra = {}) => findings.push({
+    category,
+    external_id,
+    order_ref: orderReferenceFromExternalId(external_id),
+    detail,
+    remediation: RECONCILE_REMEDIATIONS[category],
+    ...extra
+  });
+
+  for (const [external_id, sn] of bySession) {
+    const rec = ledger.get(external_id) || null;
+    let pf = pfByExternal.get(external_id) || null;
+    if (!pf && rec?.pf_order_id) {
+      // Created before the window's Printful page walk reached it
+      try { pf = (await printfulGetOrder(rec.pf_order_id))?.result || null; } catch {}
+    }
+    const base = { session_id: sn.id, pf_order_id: pf?.id || rec?.pf_order_id || null, ledger_status: rec?.status || null, pf_status: pf?.status || null };
+    const refunded = Number(rec?.amount_refunded || 0);
+    const fullyRefunded = refunded >= Number(sn.amount_total || 0) && Number(sn.amount_total || 0) > 0;
+
+    if (!pf) {
+      if (!fullyRefunded && rec?.status !== 'canceled') add('missing_order', external_id, rec ? `Ledger is ${rec.status} but Printful has no order` : 'Paid session has no Printful order or ledger row', base);
+      continue;
+    }
+    const pfStatus = String(pf.status || '').toLowerCase();
+    if ((pfStatus === 'canceled' || rec?.status === 'canceled') && !fullyRefunded) {
+      add('canceled_but_paid', external_id, `Order is canceled but only ${formatMoney(refunded, sn.currency)} of ${formatMoney(sn.amount_total, sn.currency)} was refunded`, base);
+      continue;
+    }
+    if (rec && (Number(rec.amount_total ?? sn.amount_total) !== Number(sn.amount_total) || (rec.amount_captured != null && Number(rec.amount_captured) !== Number(sn.amount_total)))) {
+      add('amount_mismatch', external_id, `Stripe total ${formatMoney(sn.amount_total, sn.currency)}, ledger total ${formatMoney(rec.amount_total, sn.currency)}, captured ${formatMoney(rec.amount_captured, sn.currency)}`, base);
+    } else if (!rec) {
+      add('amount_mismatch', external_id, 'Printful order exists but the ledger has no row', base);
+    }
+    const ageHours = (Date.now() / 1000 - Number(pf.created || 0)) / 3600;
+    if (pfStatus === 'draft' && ageHours >= RECONCILE_STALE_DRAFT_HOURS && rec?.review_status !== 'pending' && !rec?.fulfillment_hold) {
+      add('stale_draft', external_id, `Draft for ${Math.floor(ageHours)}h`, base);
+    }
+  }
+
+  for (const [external_id, pf] of pfByExternal) {
+    if (bySession.has(external_id) || !/^ce[0-9a-f]{24}$/.test(external_id)) continue;
+    const pfStatus = String(pf.status || '').toLowerCase();
+    if (pfStatus === 'canceled') continue;
+    const rec = ledger.get(external_id) || null;
+    // Outside the session window and not ours to judge
+    if (!knownIds.has(external_id) && !rec) continue;
+    add('unpaid_order', external_id, `Printful order is ${pfStatus} but its Stripe session is not paid`, {
+      session_id: rec?.session_id || null, pf_order_id: pf.id, ledger_status: rec?.status || null, pf_status: pfStatus
+    });
+  }
+
+  const summary = { sessions: sessions.length, paid_orders: bySession.size, printful_orders: pfOrders.length, findings: findings.length, truncated };
+  for (const f of findings) summary[f.category] = (summary[f.category] || 0) + 1;
+
+  const run = {
+    trigger,
+    range_from: from.toISOString(),
+    range_to: to.toISOString(),
+    started_at,
+    finished_at: new Date().toISOString(),
+    summary,
+    findings
+  };
+  const { data, error } = await supabase.from('reconciliation_runs').insert(run).select().maybeSingle();
+  if (error) console.error('reconciliation run save failed:', error.message || error);
+  return data || run;
+}
+
+async function remediateFinding({ external_id, action, actor, session_id }) {
+  const rec = await getOrderByExternalId(external_id);
+  if (action === 'refund') {
+    return refundOrder(external_id, { reason: 'requested_by_customer', note: 'reconciliation: canceled_but_paid', actor });
+  }
+  if (action === 'confirm') {
+    if (!rec?.pf_order_id) throw httpError(404, 'order_not_found');
+    if (rec.review_status === 'pending') throw httpError(409, 'order is pending review; use /admin/orders/:external_id/review');
+    if (rec.fulfillment_hold) throw httpError(409, 'order is on hold for a dispute');
+    const confirmed = await printfulConfirmOrder(rec.pf_order_id);
+    await upsertOrderRecord({ external_id, pf_order_id: rec.pf_order_id, status: 'confirmed', pf_status: String(confirmed?.result?.status || '').toLowerCase() || null, meta: { reconciled_by: actor }, last_event_type: 'reconcile_confirm' });
+    return { confirmed: true, pf_order_id: rec.pf_order_id };
+  }
+  if (action === 'cancel') {
+    const live = (await printfulGetOrder(`@${external_id}`))?.result;
+    if (!live) throw httpError(404, 'printful_order_not_found');
+    const status = String(live.status || '').toLowerCase();
+    if (!PRINTFUL_CANCELLABLE_STATUSES.includes(status)) throw httpError(409, `Printful order is ${status} and cannot be canceled`);
+    await printfulCancelOrder(live.id);
+    if (rec) await cancelOrderRecord({ external_id, pf_order_id: live.id, refund_status: 'reconcile_unpaid' });
+    return { canceled: true, pf_order_id: live.id };
+  }
+  if (action === 'create_order' || action === 'sync_ledger') {
+    // Orders with no ledger row yet need the finding's session_id
+    const sessionId = rec?.session_id || (session_id && mkPfExternalId(session_id) === external_id ? session_id : null);
+    const sn = sessionId ? await stripe.checkout.sessions.retrieve(sessionId) : null;
+    if (!sn) throw httpError(409, 'no Stripe session for this order; pass the finding\'s session_id');
+    if (action === 'create_order') {
+      const { data: job } = await supabase.from('printful_jobs').select('status').eq('external_id', external_id).maybeSingle();
+      if (job) {
+        if (job.status === 'running' || job.status === 'succeeded') throw httpError(409, `Printful job is ${job.status}`);
+        await supabase.from('printful_jobs').update({ status: 'queued', next_run_at: new Date().toISOString(), updated_at: new Date().toISOString() }).eq('external_id', external_id);
+      } else {
+        await enqueuePrintfulJob(external_id, await printfulPayloadFromSession(sn), 'reconciliation: missing order');
+      }
+      kickWorker('printful-jobs');
+      return { queued: true };
+    }
+    const pi = sn.payment_intent ? await stripe.paymentIntents.retrieve(sn.payment_intent, { expand: ['latest_charge'] }) : null;
+    const charge = (pi?.latest_charge && typeof pi.latest_charge === 'object') ? pi.latest_charge : null;
+    let created = {};
+    if (!rec) {
+      const live = (await printfulGetOrder(`@${external_id}`))?.result;
+      if (!live) throw httpError(404, 'printful_order_not_found');
+      const pfStatus = String(live.status || '').toLowerCase();
+      created = {
+        pf_order_id: live.id,
+        pf_status: pfStatus,
+        status: pfStatus === 'draft' ? 'draft' : 'confirmed',
+        pi_id: pi?.id || null,
+        charge_id: charge?.id || null,
+        ...ledgerFieldsFromSession(sn, unpackSessionItems(sn))
+      };
+    }
+    await upsertOrderRecord({
+      external_id,
+      ...created,
+      amount_total: sn.amount_total,
+      amount_captured: charge ? Number(charge.amount_captured ?? charge.amount) : undefined,
+      amount_refunded: charge ? Number(charge.amount_refunded || 0) : undefined,
+      currency: (sn.currency || 'usd').toLowerCase(),
+      meta: { reconciled_by: actor },
+      last_event_type: 'reconcile_sync'
+    });
+    return { synced: true };
+  }
+  throw httpError(400, `unknown action ${action}`);
+}
+
+if (RECONCILE_INTERVAL_HOURS > 0) {
+  startBackgroundWorker('reconcile', RECONCILE_INTERVAL_HOURS * 3600 * 1000, async () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - RECONCILE_LOOKBACK_DAYS * 86400 * 1000);
+    const run = await runReconciliation({ from, to, trigger: 'scheduled' });
+    if (!run.findings.length) return;
+    await notifyOps('reconciliation', {
+      subject: `[CatfishEmpire] Reconciliation found ${run.findings.length} issue(s)`,
+      title: 'Reconciliation findings',
+      intro: `${from.toISOString().slice(0, 10)} to ${to.toISOString().slice(0, 10)}`,
+      fields: Object.entries(run.summary).filter(([k]) => RECONCILE_REMEDIATIONS[k]).map(([k, v]) => [k, String(v)]),
+      details: run.findings.slice(0, 50).map(f => `${f.category} ${f.external_id}: ${f.detail}`).join('\n'),
+      action: run.id ? `GET /admin/reconcile/runs/${run.id}` : 'GET /admin/reconcile'
+    });
+  });
+}
+
+// ===== ADMIN: Reconciliation =====
+// GET /admin/reconcile returns the latest run
+app.get('/admin/reconcile', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const { data, error } = await supabase
+      .from('reconciliation_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    res.json({ ok: true, run: data || null });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /admin/reconcile { from?: YYYY-MM-DD, to?: YYYY-MM-DD } (default: last 7 days) runs a fresh pass
+app.post('/admin/reconcile', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const to = req.body?.to ? new Date(String(req.body.to)) : new Date();
+    const from = req.body?.from ? new Date(String(req.body.from)) : new Date(to.getTime() - 7 * 86400 * 1000);
+    if (isNaN(from) || isNaN(to) || from >= to) return res.status(400).json({ ok: false, error: 'invalid from/to' });
+    if (to - from > 92 * 86400 * 1000) return res.status(400).json({ ok: false, error: 'range is limited to 92 days' });
+    const run = await runReconciliation({ from, to, trigger: 'manual' });
+    res.json({ ok: true, run });
+  } catch (e) {
+    console.error('reconcile error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get('/admin/reconcile/runs', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const { data, error } = await supabase
+      .from('reconciliation_runs')
+      .select('id, trigger, range_from, range_to, started_at, finished_at, summary')
+      .order('started_at', { ascending: false })
+      .limit(50);
+    if (error) throw error;
+    res.json({ ok: true, runs: data || [] });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/admin/reconcile/runs/:id', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const { data, error } = await supabase.from('reconciliation_runs').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ ok: false, error: 'run_not_found' });
+    res.json({ ok: true, run: data });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// body: { external_id, action, session_id? } where action is a finding's remediation.action
+app.post('/admin/reconcile/remediate', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.body?.external_id || '').trim();
+    const action = String(req.body?.action || '').trim();
+    if (!external_id || !action) return res.status(400).json({ ok: false, error: 'external_id and action are required' });
+    const result = await remediateFinding({
+      external_id,
+      action,
+      actor: String(req.body?.actor || 'admin'),
+      session_id: req.body?.session_id ? String(req.body.session_id) : null
+    });
+    res.json({ ok: true, external_id, action, result });
+  } catch (e) {
+    if (e?.code === 'illegal_transition' || e?.code === 'concurrent_update') return res.status(409).json({ ok: false, error: e.message });
+    console.error('reconcile remediate error:', e?.message || e);
+    res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ===== DISPUTES =====
+// A dispute cancels any Printful order that has not gone into production, drafts included.
+// Orders already in production, and orders not yet created, are held instead
+// (fulfillment_hold blocks every confirm and create path) and flagged to ops.
+function disputeFields(dispute) {
+  return [
+    ["Dispute", dispute.id],
+    ["Reason", dispute.reason || "n/a"],
+    ["Amount", formatMoney(dispute.amount, dispute.currency)],
+    ["Status", dispute.status],
+    ["Evidence due", dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : "n/a"]
+  ];
+}
+
+function disputeSnapshot(dispute) {
+  return {
+    id: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason || null,
+    amount: dispute.amount,
+    currency: (dispute.currency || "usd").toLowerCase(),
+    evidence_due_by: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+async function holdOrderForDispute(rec, dispute) {
+  const external_id = rec.external_id;
+  let pfStatus = rec.pf_status || null;
+  let outcome;
+  let canceled = false;
+  if (rec.pf_order_id) {
+    const live = await printfulGetOrder(rec.pf_order_id);
+    pfStatus = String(live?.result?.status || "").toLowerCase() || pfStatus;
+    if (PRINTFUL_CANCELLABLE_STATUSES.includes(pfStatus)) {
+      await printfulCancelOrder(rec.pf_order_id);
+      pfStatus = "canceled";
+      canceled = true;
+      outcome = "canceled";
+    } else {
+      outcome = `not_stoppable:${pfStatus || "unknown"}`;
+    }
+  } else {
+    await supabase.from("printful_jobs")
+      .update({ status: "abandoned", last_error: "abandoned: dispute opened", updated_at: new Date().toISOString() })
+      .eq("external_id", external_id)
+      .in("status", ["queued", "exhausted"]);
+    outcome = "held_no_printful_order";
+  }
+  await upsertOrderRecord({
+    external_id,
+    pf_order_id: rec.pf_order_id,
+    status: canceled ? "canceled" : rec.status,
+    pf_status: pfStatus,
+    fulfillment_hold: !canceled,
+    dispute: disputeSnapshot(dispute),
+    cancel_reason: canceled ? "dispute" : rec.cancel_reason,
+    cancelled_at: canceled ? new Date().toISOString() : undefined,
+    last_event_type: "charge.dispute.created"
+  });
+  return outcome;
+}
+
+// Won: release the hold so the order can go ahead. Lost: cancel a held order Printful can still stop.
+async function closeOrderDispute(rec, dispute) {
+  const won = dispute.status === "won" || dispute.status === "warning_closed";
+  let outcome = won ? "released" : "kept_hold";
+  let canceled = false;
+  if (!won && rec.fulfillment_hold && rec.pf_order_id) {
+    const live = await printfulGetOrder(rec.pf_order_id);
+    if (PRINTFUL_CANCELLABLE_STATUSES.includes(String(live?.result?.status || "").toLowerCase())) {
+      await printfulCancelOrder(rec.pf_order_id);
+      canceled = true;
+      outcome = "canceled";
+    }
+  }
+  await upsertOrderRecord({
+    external_id: rec.external_id,
+    pf_order_id: rec.pf_order_id,
+    status: canceled ? "canceled" : rec.status,
+    pf_status: canceled ? "canceled" : rec.pf_status,
+    fulfillment_hold: won ? false : !canceled && !!rec.fulfillment_hold,
+    dispute: disputeSnapshot(dispute),
+    cancel_reason: canceled ? "dispute_lost" : rec.cancel_reason,
+    cancelled_at: canceled ? new Date().toISOString() : undefined,
+    last_event_type: "charge.dispute.closed"
+  });
+  return outcome;
+}
+
+function isoFromPrintfulTime(t) {
+  if (!t) return null;
+  return typeof t === 'number' ? new Date(t * 1000).toISOString() : String(t);
+}
+
+// Zip of everything useful for a dispute response, assembled from the ledger,
+// Stripe, Printful and the email outbox
+async function buildDisputeEvidence(rec) {
+  const AdmZip = require('adm-zip');
+  const zip = new AdmZip();
+  const json = (name, value) => zip.addFile(name, Buffer.from(JSON.stringify(value, null, 2)));
+  const external_id = rec.external_id;
+
+  const [history, sess, charge, live, emails] = await Promise.allSettled([
+    getOrderHistory(external_id),
+    rec.session_id ? stripe.checkout.sessions.retrieve(rec.session_id, { expand: ['line_items'] }) : Promise.resolve(null),
+    rec.charge_id ? stripe.charges.retrieve(rec.charge_id) : Promise.resolve(null),
+    rec.pf_order_id ? printfulGetOrder(rec.pf_order_id) : Promise.resolve(null),
+    supabase.from('email_outbox').select('id, template, to_address, subject, html, text, status, created_at, sent_at').eq('ref', external_id).order('created_at', { ascending: true })
+  ]);
+  const val = r => (r.status === 'fulfilled' ? r.value : null);
+  const session = val(sess);
+  const ch = val(charge);
+  const pfOrder = val(live)?.result || null;
+  const outbox = val(emails)?.data || [];
+
+  const address = session ? {
+    name: session.shipping_details?.name || session.customer_details?.name || null,
+    email: session.customer_details?.email || session.customer_email || null,
+    phone: session.customer_details?.phone || null,
+    shipping: session.shipping_details?.address || session.customer_details?.address || null,
+    billing: ch?.billing_details?.address || null
+  } : null;
+  // Delivery fields are included whenever Printful reports them on the shipment
+  const tracking = (pfOrder?.shipments?.length ? pfOrder.shipments : (rec.shipments || [])).map(sh => ({
+    id: sh.id,
+    carrier: sh.carrier || null,
+    service: sh.service || null,
+    tracking_number: sh.tracking_number || null,
+    tracking_url: sh.tracking_url || null,
+    ship_date: sh.ship_date || null,
+    shipped_at: isoFromPrintfulTime(sh.shipped_at),
+    delivery_status: sh.delivery_status || sh.status || null,
+    delivered_at: isoFromPrintfulTime(sh.delivered_at)
+  }));
+
+  const summary = [
+    `Order ${orderReferenceFromExternalId(external_id)} (${external_id})`,
+    `Customer: ${address?.name || rec.customer_name || 'n/a'} <${address?.email || rec.customer_email || 'n/a'}>`,
+    `Paid: ${formatMoney(rec.amount_captured ?? rec.amount_total, rec.currency)} on ${ch?.created ? new Date(ch.created * 1000).toISOString() : 'n/a'}`,
+    `Refunded: ${formatMoney(rec.amount_refunded || 0, rec.currency)}`,
+    `Dispute: ${rec.dispute ? `${rec.dispute.id} (${rec.dispute.reason || 'n/a'}, ${rec.dispute.status})` : 'none recorded'}`,
+    `Printful: ${rec.pf_order_id || 'none'} status ${pfOrder?.status || rec.pf_status || 'n/a'}`,
+    '',
+    'Shipments:',
+    ...(tracking.length ? tracking.map(t => `  ${t.carrier || ''} ${t.tracking_number || 'no tracking'} shipped ${t.shipped_at || t.ship_date || 'n/a'}${t.delivered_at ? `, delivered ${t.delivered_at}` : ''}`) : ['  none']),
+    '',
+    'Customer emails:',
+    ...(outbox.length ? outbox.map(m => `  ${m.sent_at || m.created_at} ${m.template || ''} to ${m.to_address} (${m.status}): ${m.subject}`) : ['  none'])
+  ].join('\n');
+
+  zip.addFile('summary.txt', Buffer.from(summary));
+  json('shipping_address.json', address);
+  json('tracking.json', tracking);
+  json('order.json', { ...rec, meta: undefined });
+  json('history.json', val(history) || []);
+  if (ch) {
+    json('payment.json', {
+      id: ch.id,
+      amount: ch.amount,
+      currency: ch.currency,
+      created: new Date(ch.created * 1000).toISOString(),
+      receipt_url: ch.receipt_url || null,
+      billing_details: ch.billing_details || null,
+      card: ch.payment_method_details?.card ? {
+        brand: ch.payment_method_details.card.brand,
+        last4: ch.payment_method_details.card.last4,
+        checks: ch.payment_method_details.card.checks || null
+      } : null,
+      risk_level: ch.outcome?.risk_level || null
+    });
+  }
+  if (session?.line_items?.data) {
+    json('line_items.json', session.line_items.data.map(l => ({ description: l.description, quantity: l.quantity, amount_total: l.amount_total })));
+  }
+  if (pfOrder) json('printful_order.json', { id: pfOrder.id, status: pfOrder.status, created: pfOrder.created, recipient: pfOrder.recipient, shipments: pfOrder.shipments || [] });
+  outbox.forEach((m, i) => {
+    const base = `emails/${String(i + 1).padStart(2, '0')}-${m.template || 'email'}`;
+    if (m.html) zip.addFile(`${base}.html`, Buffer.from(m.html));
+    if (m.text) zip.addFile(`${base}.txt`, Buffer.from(m.text));
+  });
+  return zip.toBuffer();
+}
+
+app.get('/admin/orders/:external_id/dispute-evidence', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.params.external_id || '').trim();
+    const rec = await getOrderByExternalId(external_id);
+    if (!rec) return res.status(404).json({ ok: false, error: 'order_not_found' });
+    const buf = await buildDisputeEvidence(rec);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="evidence-${orderReferenceFromExternalId(external_id)}.zip"`);
+    res.send(buf);
+  } catch (e) {
+    console.error('dispute evidence error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ===== ADMIN: Webhook event journal =====
+// GET /admin/webhooks/events?type=&status=&before=<received_at>&limit=
+app.get('/admin/webhooks/events', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+    let q = supabase
+      .from('webhook_events')
+      .select('id, type, status, outcome, error, attempts, received_at, last_attempt_at, replayed_at')
+      .order('received_at', { ascending: false })
+      .limit(limit);
+    if (req.query.type) q = q.in('type', String(req.query.type).split(',').map(x => x.trim()).filter(Boolean));
+    if (req.query.status) q = q.in('status', String(req.query.status).split(',').map(x => x.trim()).filter(Boolean));
+    if (req.query.before) {
+      const d = new Date(String(req.query.before));
+      if (isNaN(d)) return res.status(400).json({ ok: false, error: 'invalid before' });
+      q = q.lt('received_at', d.toISOString());
+    }
+    const { data, error } = await q;
+    if (error) throw error;
+    const events = data || [];
+    res.json({ ok: true, events, next_before: events.length === limit ? events[events.length - 1].received_at : null });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/admin/webhooks/events/:id', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const { data, error } = await supabase.from('webhook_events').select('*').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ ok: false, error: 'event_not_found' });
+    res.json({ ok: true, event: data });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Re-runs the stored payload through handleStripeEvent. The payload was verified when it
+// arrived; we never accept an event body from the caller here.
+app.post('/admin/webhooks/events/:id/replay', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const { data: row, error } = await supabase.from('webhook_events').select('id, payload, attempts, status').eq('id', req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!row?.payload) return res.status(404).json({ ok: false, error: 'event_not_found' });
+    if (['queued', 'processing', 'retrying'].includes(row.status)) return res.status(409).json({ ok: false, error: `event is ${row.status}; the worker will run it` });
+    await supabase.from('webhook_events')
+      .update({ attempts: Number(row.attempts || 0) + 1, last_attempt_at: new Date().toISOString() })
+      .eq('id', row.id);
+    let out;
+    try {
+      out = await handleStripeEvent(row.payload, { replay: true });
+    } catch (e) {
+      await finishJournalEntry(row.id, { error: e, replayed: true });
+      return res.status(500).json({ ok: false, id: row.id, error: e?.message || String(e) });
+    }
+    await finishJournalEntry(row.id, { result: out, replayed: true });
+    const { data: after } = await supabase.from('webhook_events').select('status, outcome, error').eq('id', row.id).maybeSingle();
+    res.json({ ok: true, id: row.id, result: out, ...(after || {}) });
+  } catch (e) {
+    console.error('webhook replay error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ===== ADMIN/DEBUG: Printful last order =====
+app.get('/admin/printful/last', cors(), async (req, res) => {
+  if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+  res.json({ ...LAST_PF_ORDER });
+});
+
+// Admin endpoint to re-confirm by external_id (recover stuck drafts)
+app.post("/admin/printful/reconfirm", cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.body?.external_id || "").trim();
+    if (!external_id) return res.status(400).json({ ok:false, error:"missing external_id" });
+
+    const rec = await getOrderByExternalId(external_id);
+    if (!rec?.pf_order_id) return res.status(404).json({ ok:false, error:"order_not_found" });
+    if (!canTransitionOrder(rec.status, "confirmed")) {
+      return res.status(409).json({ ok:false, error:"illegal_transition", status: rec.status });
+    }
+    if (rec.fulfillment_hold) return res.status(409).json({ ok:false, error:"order is on hold for a dispute" });
+
+    const confirmRes = await printfulConfirmOrder(rec.pf_order_id);
+    await upsertOrderRecord({
+      external_id,
+      pf_order_id: rec.pf_order_id,
+      status: "confirmed",
+      meta: { reconfirmed_at: new Date().toISOString(), confirmRes },
+      last_event_type: "admin_reconfirm"
+    });
+
+    return res.json({ ok:true, external_id, pf_order_id: rec.pf_order_id });
+  } catch (e) {
+    console.error("admin reconfirm error:", e?.message || e);
+    if (e?.code === "illegal_transition") return res.status(409).json({ ok:false, error: e.message });
+    return res.status(500).json({ ok:false, error: e?.message || "reconfirm_failed" });
+  }
+});
+
+// Debug a specific order quickly
+app.get("/admin/printful/order/:external_id", cors(), async (req, res) => {
+  let rec = null;
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = req.params.external_id;
+    rec = await getOrderByExternalId(external_id);
+    if (!rec) return res.status(404).json({ ok:false });
+    const history = await getOrderHistory(external_id);
+    if (!rec.pf_order_id) return res.json({ ok:true, record: rec, history, live: null });
+    const live = await printfulGetOrder(rec.pf_order_id);
+    return res.json({ ok:true, record: rec, history, live });
+  } catch (e) {
+    return res.status(500).json({ ok:false, error: e?.message || String(e), record: rec });
+  }
+});
+
+// Admin cancel endpoint (manual recovery)
+app.post("/admin/printful/cancel", cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const external_id = String(req.body?.external_id || "").trim();
+    if (!external_id) return res.status(400).json({ ok:false, error:"missing external_id" });
+
+    const rec = await getOrderByExternalId(external_id);
+    if (!rec?.pf_order_id) return res.status(404).json({ ok:false, error:"order_not_found" });
+
+    const live = await printfulGetOrder(rec.pf_order_id);
+    const status = (live?.result?.status || "").toLowerCase();
+    if (/fulfilled|shipped|canceled/.test(status)) {
+      return res.json({ ok:true, external_id, pf_order_id: rec.pf_order_id, message: `No action: status=${status}` });
+    }
+
+    const out = await printfulCancelOrder(rec.pf_order_id);
+    await cancelOrderRecord({
+      external_id: rec.external_id,
+      pf_order_id: rec.pf_order_id,
+      refund_status: "admin_cancel"
+    });
+    return res.json({ ok:true, external_id, pf_order_id: rec.pf_order_id, result: out });
+  } catch (e) {
+    console.error("admin cancel error:", e?.message || e);
+    return res.status(500).json({ ok:false, error: e?.message || "cancel_failed" });
+  }
+});
+
+// Admin/Debug: token bypass to view last PF payload/response
+const DEBUG_TOKEN = process.env.ADMIN_DEBUG_TOKEN || '';
+app.get('/admin/printful/debug', cors(), async (req, res) => {
   const okByToken = DEBUG_TOKEN && req.query.token === DEBUG_TOKEN;
   const okBySession = !!(req.session?.authenticated) || req.session?.isAdmin === true;
   if (!okByToken && !okBySession) return res.status(401).json({ error: 'unauthorized' });
@@ -3087,138 +5877,492 @@ app.get("/test/mockups/:productId", corsAllow, async (req, res) => {
   }
 });
 
+// ===== SHIPPING ZONES =====
+// shipping_zones: id, name, countries (text[] of ISO codes), rate_cents (flat rate, USD cents),
+// free_over_cents (USD subtotal after promo that ships free, null = never), excluded_product_ids
+// (text[] of Printful sync product ids that cannot ship to the zone), live_rates (bool, quote
+// Printful instead of the flat rate), active, sort_index. The first active zone listing a
+// country wins. Without any rows the store ships to US and CA at SHIPPING_FLAT_CENTS.
+const DEFAULT_SHIPPING_ZONES = [{
+  id: 'default', name: 'US & Canada', countries: ['US', 'CA'], rateCents: null,
+  freeOverCents: null, excludedProductIds: [], liveRates: true
+}];
+
+async function loadShippingZones() {
+  const cached = getCache('shipping:zones');
+  if (cached) return cached;
+  let zones = DEFAULT_SHIPPING_ZONES;
+  try {
+    const { data, error } = await supabase
+      .from('shipping_zones')
+      .select('id, name, countries, rate_cents, free_over_cents, excluded_product_ids, live_rates')
+      .eq('active', true)
+      .order('sort_index', { ascending: true });
+    if (error) throw error;
+    if (Array.isArray(data) && data.length) {
+      zones = data.map(z => ({
+        id: String(z.id),
+        name: z.name || String(z.id),
+        countries: (z.countries || []).map(c => String(c).trim().toUpperCase()).filter(Boolean),
+        rateCents: Number.isFinite(Number(z.rate_cents)) && z.rate_cents !== null ? Math.max(0, Math.round(Number(z.rate_cents))) : null,
+        freeOverCents: Number(z.free_over_cents) > 0 ? Math.round(Number(z.free_over_cents)) : null,
+        excludedProductIds: (z.excluded_product_ids || []).map(String),
+        liveRates: z.live_rates !== false
+      }));
+    }
+  } catch (e) {
+    console.warn('shipping zones lookup failed, using defaults:', e?.message || e);
+  }
+  setCache('shipping:zones', zones, 60 * 1000);
+  return zones;
+}
+
+function shippingError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// All countries any active zone ships to
+async function shippableCountries() {
+  const zones = await loadShippingZones();
+  return Array.from(new Set(zones.flatMap(z => z.countries)));
+}
+
+// Zone for the destination; throws err.code 'country_not_shipped' or 'excluded_items'
+async function resolveShippingZone(lines, country) {
+  const cc = String(country || 'US').toUpperCase();
+  const zone = (await loadShippingZones()).find(z => z.countries.includes(cc));
+  if (!zone) throw shippingError('country_not_shipped', `We don't ship to ${cc} yet.`);
+  const excluded = (lines || []).filter(l => l.productId && zone.excludedProductIds.includes(String(l.productId)));
+  if (excluded.length) {
+    throw shippingError('excluded_items', `Some items can't ship to ${cc}.`, {
+      items: excluded.map(l => ({ index: l.index, name: l.name, product_id: l.productId }))
+    });
+  }
+  return zone;
+}
+
+function isShippingError(e) {
+  return e?.code === 'country_not_shipped' || e?.code === 'excluded_items';
+}
+
+// ===== SHIPPING RATES =====
+// Live rates from Printful's /shipping/rates for the cart's Printful items, marked up by
+// SHIPPING_MARKUP_PERCENT / SHIPPING_MARKUP_CENTS, for zones with live_rates; other zones charge
+// their flat rate. Self-fulfilled items ship from our own stock and add the flat rate on top. When Printful
+// is slow or down every cart falls back to the flat rate. Rates are quoted in the presentment
+// currency; USD amounts (flat rate, markup) are converted unless SHIPPING_FLAT_CENTS_<CUR> is set.
+const SHIPPING_MARKUP_PERCENT = Number(process.env.SHIPPING_MARKUP_PERCENT || 0) || 0;
+const SHIPPING_MARKUP_CENTS = parseInt(process.env.SHIPPING_MARKUP_CENTS || '0', 10) || 0;
+const SHIPPING_MAX_OPTIONS = Math.min(5, Math.max(1, parseInt(process.env.SHIPPING_MAX_OPTIONS || '3', 10) || 3));
+const SHIPPING_QUOTE_TIMEOUT_MS = parseInt(process.env.SHIPPING_QUOTE_TIMEOUT_MS || '4000', 10);
+
+function flatShippingCents(currency, zone) {
+  if (zone && zone.rateCents != null) return convertUsdCents(zone.rateCents, currency);
+  const own = parseInt(process.env[`SHIPPING_FLAT_CENTS_${String(currency).toUpperCase()}`] || '', 10);
+  return Number.isFinite(own) && own >= 0 ? own : convertUsdCents(SHIPPING_FLAT_CENTS, currency);
+}
+
+function flatShippingQuote(reason, currency = 'usd', zone = null) {
+  return {
+    source: 'flat',
+    reason: reason || null,
+    currency,
+    options: [{ id: 'FLAT', name: 'Flat Rate Shipping', amountCents: flatShippingCents(currency, zone), currency, minDays: null, maxDays: null }]
+  };
+}
+
+function withShippingMarkup(cents, currency) {
+  return Math.max(0, Math.round(cents * (1 + SHIPPING_MARKUP_PERCENT / 100)) + convertUsdCents(SHIPPING_MARKUP_CENTS, currency));
+}
+
+// lines: priced cart lines ({ index, type, variantId, productId, qty, unitCents });
+// region: { country, state, zip }. Throws the resolveShippingZone errors.
+async function quoteShipping(lines, region = {}, currency = 'usd') {
+  const country = String(region.country || 'US').toUpperCase();
+  const zone = await resolveShippingZone(lines, country);
+  const quote = zone.liveRates
+    ? await quotePrintfulRates(lines, { ...region, country }, currency, zone)
+    : flatShippingQuote('zone_flat_rate', currency, zone);
+  quote.zone = zone.id;
+  quote.country = country;
+  quote.state = region.state ? String(region.state).toUpperCase() : null;
+
+  // Free-shipping threshold is a USD amount on the discounted subtotal
+  const subtotalCents = (lines || []).reduce((s, l) => s + Number(l.unitCents || 0) * l.qty, 0);
+  if (zone.freeOverCents && toUsdCents(subtotalCents, currency) >= zone.freeOverCents && quote.options.length) {
+    quote.options[0] = { ...quote.options[0], id: `FREE_${quote.options[0].id}`, name: 'Free Shipping', amountCents: 0 };
+    quote.free_shipping = true;
+  }
+  return quote;
+}
+
+async function quotePrintfulRates(lines, region, currency, zone) {
+  const printfulLines = (lines || []).filter(l => l.type === 'printful');
+  const extraCents = (lines || []).some(l => l.type !== 'printful') ? flatShippingCents(currency, zone) : 0;
+  if (!printfulLines.length) return flatShippingQuote('no_printful_items', currency, zone);
+
+  const country = region.country;
+  const state = region.state ? String(region.state).toUpperCase() : '';
+  const zip = region.zip ? String(region.zip) : '';
+  const items = [];
+  for (const l of printfulLines) {
+    const v = await getVariantPricing(l.variantId);
+    if (!v.catalogVariantId) return flatShippingQuote('variant_without_catalog_id', currency, zone);
+    items.push({ variant_id: v.catalogVariantId, quantity: l.qty });
+  }
+
+  const cacheKey = `shipping:${currency}|${country}|${state}|${zip}|${items.map(i => `${i.variant_id}x${i.quantity}`).sort().join(',')}`;
+  let rates = getCache(cacheKey);
+  if (!rates) {
+    // Aborting the request (rather than racing a timer) leaves nothing pending once it settles
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), SHIPPING_QUOTE_TIMEOUT_MS);
+    try {
+      const body = { recipient: { country_code: country, ...(state && PRINTFUL_STATE_COUNTRIES.includes(country) ? { state_code: state } : {}), ...(zip ? { zip } : {}) }, items, currency: currency.toUpperCase() };
+      const resp = await pfFetch('/shipping/rates', { method: 'POST', body: JSON.stringify(body), signal: timeout.signal }, 1);
+      rates = Array.isArray(resp?.result) ? resp.result : [];
+      if (rates.length) setCache(cacheKey, rates, 10 * 60 * 1000);
+    } catch (e) {
+      const reason = timeout.signal.aborted ? 'timed out' : (e?.message || e);
+      console.warn('Printful shipping rates unavailable, using flat rate:', reason);
+      return flatShippingQuote('printful_unavailable', currency, zone);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  if (!rates.length) return flatShippingQuote('no_rates', currency, zone);
+
+  const options = rates
+    .map(r => ({
+      id: String(r.id || ''),
+      name: String(r.name || r.id || 'Shipping').replace(/\s*\(.*\)\s*$/, ''),
+      // Printful falls back to USD when it cannot quote the requested currency
+      amountCents: withShippingMarkup(String(r.currency || 'USD').toLowerCase() === currency
+        ? Math.round(Number(r.rate || 0) * 100)
+        : convertUsdCents(Math.round(Number(r.rate || 0) * 100), currency), currency) + extraCents,
+      currency,
+      minDays: Number.isFinite(Number(r.minDeliveryDays)) ? Number(r.minDeliveryDays) : null,
+      maxDays: Number.isFinite(Number(r.maxDeliveryDays)) ? Number(r.maxDeliveryDays) : null
+    }))
+    .sort((a, b) => a.amountCents - b.amountCents)
+    .slice(0, SHIPPING_MAX_OPTIONS);
+  return { source: 'printful', reason: null, currency, options };
+}
+
+function stripeShippingOptions(quote) {
+  return quote.options.map(o => ({
+    shipping_rate_data: {
+      type: 'fixed_amount',
+      fixed_amount: { amount: o.amountCents, currency: o.currency },
+      display_name: o.name,
+      ...(o.minDays && o.maxDays ? {
+        delivery_estimate: {
+          minimum: { unit: 'business_day', value: o.minDays },
+          maximum: { unit: 'business_day', value: o.maxDays }
+        }
+      } : {}),
+      metadata: { printful_shipping: o.id }
+    }
+  }));
+}
+
+// POST /api/shipping/quote { items, country, state, zip }
+app.post('/api/shipping/quote', corsAllow, express.json(), async (req, res) => {
+  try {
+    const items = req.body?.items;
+    if (!Array.isArray(items) || !items.length) return res.status(400).json({ ok: false, error: 'items required' });
+    const currency = currencyForCountry(req.body?.country);
+    const priced = await priceCartServerSide(items, { currency });
+    const quote = await quoteShipping(priced.lines, { country: req.body?.country, state: req.body?.state, zip: req.body?.zip }, currency);
+    res.json({
+      ok: true,
+      source: quote.source,
+      zone: quote.zone,
+      free_shipping: !!quote.free_shipping,
+      currency,
+      options: quote.options.map(o => ({ id: o.id, name: o.name, amount_cents: o.amountCents, currency: o.currency, min_delivery_days: o.minDays, max_delivery_days: o.maxDays }))
+    });
+  } catch (e) {
+    if (e?.code === 'invalid_item') return res.status(400).json({ ok: false, error: e.message });
+    if (isShippingError(e)) return res.status(400).json({ ok: false, error: e.message, code: e.code, items: e.items || [] });
+    console.error('shipping quote error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Countries the storefront may offer, with the currency each is charged in
+app.get('/api/shipping/countries', corsAllow, async (_req, res) => {
+  try {
+    const countries = await shippableCountries();
+    res.json({ ok: true, countries: countries.map(cc => ({ country: cc, currency: currencyForCountry(cc) })) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ===== CART QUOTE =====
+// Session promo resolution shared by /api/cart/quote and /create-checkout-session so the
+// quote and the Stripe session never disagree about which promo applies.
+async function resolveCartPromo(req, rawCode) {
+  let promoCode = rawCode;
+  if (Array.isArray(promoCode)) promoCode = promoCode[0] || '';
+  if (typeof promoCode === 'string' && promoCode.includes(',')) promoCode = promoCode.split(',')[0].trim();
+  promoCode = String(promoCode || '').toLowerCase().trim();
+  let activePromo = getActivePromo(req);
+  // Recovery codes are one-time; drop one that was redeemed since it was applied
+  if (activePromo?.recovery_token && !(await findRecoveryPromo(activePromo.code))) {
+    clearActivePromo(req);
+    activePromo = null;
+  }
+  const isOneDollarOverride = isOneDollarCode(promoCode) || isOneDollarCode(activePromo?.code);
+  const isFlat50Override = !isOneDollarOverride && (isFlat50For(promoCode) || isFlat50For(activePromo?.code));
+  return { promoCode, activePromo, isOneDollarOverride, isFlat50Override };
+}
+
+// Stripe Tax estimate for the priced lines plus shipping. Returns { status, cents }:
+// 'estimated' | 'needs_address' | 'not_applicable' | 'unavailable'.
+async function estimateCartTax(lines, shippingCents, { country, state, zip }, currency = 'usd') {
+  if (!country || (country === 'US' && !zip)) return { status: 'needs_address', cents: null };
+  const key = `taxquote:${currency}|${country}|${state || ''}|${zip || ''}|${shippingCents}|${lines.map(l => `${l.unitCents}x${l.qty}`).join(',')}`;
+  const cached = getCache(key);
+  if (cached) return cached;
+  try {
+    const calc = await stripe.tax.calculations.create({
+      currency,
+      line_items: lines.map(l => ({ amount: l.unitCents * l.qty, quantity: l.qty, reference: `line-${l.index}`, tax_behavior: 'exclusive' })),
+      shipping_cost: { amount: shippingCents, tax_behavior: 'exclusive' },
+      customer_details: {
+        address: { country, ...(state ? { state } : {}), ...(zip ? { postal_code: zip } : {}) },
+        address_source: 'shipping'
+      }
+    });
+    const out = { status: 'estimated', cents: Number(calc.tax_amount_exclusive || 0) };
+    setCache(key, out, 10 * 60 * 1000);
+    return out;
+  } catch (e) {
+    console.warn('Stripe tax estimate failed:', e?.message || e);
+    return { status: 'unavailable', cents: null };
+  }
+}
+
+// POST /api/cart/quote { items, promoCode?, shippingCountry?, shippingState?, shippingZip? }
+// Same items payload as /create-checkout-session; returns what Stripe will charge.
+app.post('/api/cart/quote', corsAllow, express.json(), async (req, res) => {
+  const { items } = req.body || {};
+  if (!Array.isArray(items) || !items.length) return res.status(400).json({ ok: false, error: 'Invalid cart format' });
+  try {
+    const { promoCode, activePromo, isOneDollarOverride, isFlat50Override } = await resolveCartPromo(req, req.body.promoCode);
+    const region = {
+      country: String(req.body.shippingCountry || 'US').toUpperCase(),
+      state: req.body.shippingState ? String(req.body.shippingState).toUpperCase() : '',
+      zip: req.body.shippingZip ? String(req.body.shippingZip).trim() : ''
+    };
+    const currency = currencyForCountry(region.country);
+    let priced;
+    try {
+      priced = await priceCartServerSide(items, { promo: activePromo, flat50: isFlat50Override, currency, clientCurrency: req.body.currency, excludeHoldId: req.session?.checkoutHoldId });
+    } catch (e) {
+      if (e?.code === 'invalid_item') return res.status(400).json({ ok: false, error: e.message });
+      throw e;
+    }
+
+    const listSubtotalCents = priced.lines.reduce((s, l) => s + l.listCents * l.qty, 0);
+    let subtotalCents = priced.subtotalCents;
+    let shippingOptions;
+    let shippingSource = 'promo';
+    let shippingZone = null;
+    if (isOneDollarOverride || isFlat50Override) shippingZone = (await resolveShippingZone(priced.lines, region.country)).id;
+    if (isOneDollarOverride) {
+      subtotalCents = 100;
+      shippingOptions = [{ id: 'FREE', name: 'Free Shipping — TAKE5 Test', amountCents: 0, currency, minDays: null, maxDays: null }];
+    } else if (isFlat50Override) {
+      shippingOptions = [{ id: 'FREE', name: 'Free Shipping (Promo)', amountCents: 0, currency, minDays: null, maxDays: null }];
+    } else {
+      const quote = await quoteShipping(priced.lines, region, currency);
+      shippingOptions = quote.options;
+      shippingSource = quote.source;
+      shippingZone = quote.zone;
+    }
+    // Stripe preselects the first (cheapest) option
+    const shippingCents = shippingOptions[0]?.amountCents || 0;
+    const tax = isOneDollarOverride || isFlat50Override
+      ? { status: 'not_applicable', cents: 0 }
+      : await estimateCartTax(priced.lines, shippingCents, region, currency);
+
+    res.json({
+      ok: true,
+      currency: priced.currency,
+      promo: isOneDollarOverride ? { code: 'take5', mode: 'oneDollar' }
+        : isFlat50Override ? { code: promoCode || activePromo?.code || null, mode: 'flat50' }
+        : activePromo ? { code: activePromo.code, percent: activePromo.percent || 0, mode: 'normal' } : null,
+      lines: priced.lines.map(l => ({
+        index: l.index, type: l.type, variant_id: l.variantId || null, product_id: l.productId || null,
+        name: l.name, image: l.image || null, color: l.color || null, size: l.size || null, sku: l.sku || null,
+        qty: l.qty, list_cents: l.listCents, unit_cents: l.unitCents, total_cents: l.unitCents * l.qty
+      })),
+      mismatches: priced.mismatches,
+      subtotal_cents: listSubtotalCents,
+      discount_cents: Math.max(0, listSubtotalCents - subtotalCents),
+      shipping: {
+        source: shippingSource,
+        zone: shippingZone,
+        selected_cents: shippingCents,
+        options: shippingOptions.map(o => ({ id: o.id, name: o.name, amount_cents: o.amountCents, currency: o.currency, min_delivery_days: o.minDays, max_delivery_days: o.maxDays }))
+      },
+      tax: { status: tax.status, cents: tax.cents },
+      total_cents: subtotalCents + shippingCents + (tax.cents || 0)
+    });
+  } catch (e) {
+    if (isShippingError(e)) return res.status(400).json({ ok: false, error: e.message, code: e.code, items: e.items || [] });
+    console.error('cart quote error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
 // ===== STRIPE CHECKOUT =====
+// CHECKOUT_PAYMENT_METHODS: comma list for payment_method_types (default "card"), e.g.
+// "card,us_bank_account". Delayed methods are fulfilled on async_payment_succeeded.
+const CHECKOUT_PAYMENT_METHODS = String(process.env.CHECKOUT_PAYMENT_METHODS || "card")
+  .split(",").map(x => x.trim()).filter(Boolean);
+
 app.post("/create-checkout-session", async (req, res) => {
   const { items, shippingState } = req.body;
-  let { promoCode } = req.body;
-  if (Array.isArray(promoCode)) promoCode = promoCode[0] || '';
-  if (typeof promoCode === 'string' && promoCode.includes(',')) promoCode = promoCode.split(',')[0].trim();
-  promoCode = (promoCode || '').toLowerCase().trim();
   if (!items || !Array.isArray(items))
     return res.status(400).json({ error: "Invalid cart format" });
 
   try {
     // Create line items with dynamic pricing based on product type
-    const activePromo = getActivePromo(req);
-    const isOneDollarOverride = isOneDollarCode(promoCode) || isOneDollarCode(activePromo?.code);
-    const isFlat50Override = !isOneDollarOverride && (isFlat50For(promoCode) || isFlat50For(activePromo?.code));
-    
+    const { promoCode, activePromo, isOneDollarOverride, isFlat50Override } = await resolveCartPromo(req, req.body.promoCode);
+    // Presentment currency follows the shopper's shipping country (US/USD when the client sends none)
+    const hasPrintful = items.some(i => i?.type === 'printful');
+    const shippingCountry = String(req.body.shippingCountry || 'US').toUpperCase();
+    const currency = currencyForCountry(shippingCountry);
+
+    // Unit amounts always come from the server; client prices are only compared
+    let priced;
+    try {
+      priced = await priceCartServerSide(items, { promo: activePromo, flat50: isFlat50Override, currency, clientCurrency: req.body.currency, excludeHoldId: req.session?.checkoutHoldId });
+    } catch (e) {
+      if (e?.code === 'invalid_item') return res.status(400).json({ error: e.message });
+      throw e;
+    }
+    const expectedSubtotal = req.body.expectedSubtotalCents;
+    const subtotalMismatch = !isOneDollarOverride && expectedSubtotal != null && Math.round(Number(expectedSubtotal)) !== priced.subtotalCents;
+    if (priced.mismatches.length || subtotalMismatch) {
+      return res.status(409).json({
+        error: 'price_mismatch',
+        message: 'Some prices in your cart have changed. Please review your cart before checking out.',
+        items: priced.mismatches,
+        client_subtotal_cents: expectedSubtotal != null ? Math.round(Number(expectedSubtotal)) : null,
+        server_subtotal_cents: priced.subtotalCents,
+        currency: priced.currency,
+        lines: priced.lines.map(l => ({ index: l.index, name: l.name, qty: l.qty, list_cents: l.listCents, unit_cents: l.unitCents }))
+      });
+    }
+
     // Store real cart items in metadata for webhook Printful order creation
-    const printfulItems = items
-      .filter(it => it.type === 'printful' && it.variantId)
-      .map(it => ({ sync_variant_id: Number(it.variantId), quantity: Math.max(1, Number(it.qty) || 1) }));
-    
+    const printfulItems = priced.lines
+      .filter(l => l.type === 'printful')
+      .map(l => ({ sync_variant_id: Number(l.variantId), quantity: l.qty }));
+
     let line_items = [];
-    
+
     if (isOneDollarOverride) {
       // TAKE5 -> single $1.00 line item
       const orderSummaryName = items.length ? `${items[0].name || 'Item'} +${Math.max(0, items.length-1)} more` : "Order";
       line_items = [{
         quantity: 1,
         price_data: {
-          currency: "usd",
+          currency,
           unit_amount: 100,
           product_data: { name: `TAKE5 Test — ${orderSummaryName}` }
         }
       }];
     } else {
-    for (const item of items) {
-      if (item.type === 'printful') {
-        let variantId = item.variantId || item.variant_id;
-        let priceInCents = Number.isFinite(item.priceCents) ? Number(item.priceCents) : Math.round((item.price || 0) * 100);
-        let name = item.name || 'Catfish Empire Product';
-        let image = item.image || '';
-
-        // Reconstruct variant if missing
-        if (!variantId && item.productId && item.color && item.size) {
-          try {
-            const full = await getPrintfulProductDetailCached(item.productId, process.env.PRINTFUL_API_KEY);
-            const d = full?.result || {};
-            const key = `${String(item.color).toLowerCase()}|${String(item.size).toLowerCase()}`;
-            variantId = (d.variantMatrix && d.variantMatrix[key]) || (full.variantMatrix && full.variantMatrix[key]);
-            const pbk = (full.priceByKey || d.priceByKey || {});
-            if (pbk[key]) priceInCents = pbk[key];
-            const gbc = (full.galleryByColor || d.galleryByColor || {});
-            const col = gbc[String(item.color).toLowerCase()];
-            image = image || col?.views?.front || col?.images?.[0] || (d.images?.[0]) || image;
-            name = d.name || name;
-          } catch (e) {
-            console.warn('Variant reconstruction failed:', e.message);
-          }
-        }
-
-        // Validate or enrich via variant fetch
-        if (variantId) {
-          try {
-            const v = await fetchPrintfulVariantDetails(variantId);
-            name = v.name || name;
-            image = v.image_url || image;
-            if (!priceInCents) priceInCents = Math.round((v.price || 0) * 100);
-          } catch (e) {
-            console.warn('Variant fetch failed, using provided price:', e.message);
-          }
-        }
-        priceInCents = isFlat50Override ? 50 : priceAfterPromo(priceInCents, activePromo?.percent);
-        if (!priceInCents || priceInCents < TEST_MIN_CHARGE_CENTS) {
-          return res.status(400).json({ error: `Printful variant price invalid for variant ${variantId || 'unknown'} (computed ${priceInCents}c).` });
+      for (const l of priced.lines) {
+        if (l.unitCents < TEST_MIN_CHARGE_CENTS) {
+          return res.status(400).json({ error: `Price invalid for ${l.name} (computed ${l.unitCents}c).` });
         }
-        line_items.push({
-          price_data: {
-            currency: (item.currency || 'USD').toLowerCase(),
-            product_data: {
-              name,
-              images: image ? [image] : [],
-              metadata: {
-                ...(variantId ? { printful_variant_id: String(variantId) } : {}),
-                product_id: String(item.productId || ''),
-                color: String(item.color || ''),
-                size: String(item.size || ''),
-                external_id: item.external_id ? String(item.external_id) : undefined
-              }
+        if (l.type === 'printful') {
+          const item = items[l.index];
+          line_items.push({
+            price_data: {
+              currency: priced.currency,
+              product_data: {
+                name: l.name,
+                images: l.image ? [l.image] : [],
+                metadata: {
+                  printful_variant_id: String(l.variantId),
+                  product_id: String(l.productId || ''),
+                  color: String(l.color || ''),
+                  size: String(l.size || ''),
+                  external_id: item.external_id ? String(item.external_id) : undefined
+                }
+              },
+              unit_amount: l.unitCents
             },
-            unit_amount: priceInCents
-          },
-          quantity: item.qty || 1
-        });
-      } else {
-        // Sunglasses product - use existing hardcoded pricing
-        let priceInCents = isFlat50Override ? 50 : 1499;
-        if (!isFlat50Override) priceInCents = priceAfterPromo(priceInCents, activePromo?.percent);
-        line_items.push({
-        price_data: {
-          currency: "usd",
-          product_data: { name: `Catfish Empire™ ${item.color} Sunglasses` },
-          unit_amount: priceInCents,
-        },
-        quantity: item.qty,
-        });
+            quantity: l.qty
+          });
+        } else {
+          line_items.push({
+            price_data: {
+              currency: priced.currency,
+              product_data: {
+                name: l.name,
+                images: l.image ? [l.image] : [],
+                metadata: { self_product_id: String(l.productId), sku: String(l.sku || '') }
+              },
+              unit_amount: l.unitCents,
+            },
+            quantity: l.qty,
+          });
+        }
       }
     }
-    }
 
-    // Flat shipping rate for all orders (promo does not affect shipping)
-    const isTestPromo = false;
-    const shippingOptions = [
-        {
+    // Live Printful rates for the shopper's region; flat50 ships free
+    let shippingZone, shippingQuote;
+    try {
+      shippingZone = await resolveShippingZone(priced.lines, shippingCountry);
+      shippingQuote = isFlat50Override || isOneDollarOverride
+        ? null
+        : await quoteShipping(priced.lines, { country: shippingCountry, state: shippingState, zip: req.body.shippingZip }, currency);
+    } catch (e) {
+      if (isShippingError(e)) return res.status(400).json({ error: e.message, code: e.code, items: e.items || [] });
+      throw e;
+    }
+    const shippingOptions = shippingQuote
+      ? stripeShippingOptions(shippingQuote)
+      : [{
           shipping_rate_data: {
             type: "fixed_amount",
-            fixed_amount: { amount: isFlat50Override ? 0 : 599, currency: "usd" },
-            display_name: isFlat50Override ? "Free Shipping (Promo)" : "Flat Rate Shipping",
+            fixed_amount: { amount: 0, currency },
+            display_name: "Free Shipping (Promo)",
           },
-        },
-    ];
+        }];
 
     // Build compact metadata + store real cart for webhook Printful order
     const metadata = {};
-    (items || []).forEach((it, idx) => { metadata[`i${idx}`] = packItem(it); });
+    priced.lines.forEach((l, idx) => {
+      metadata[`i${idx}`] = packItem(l.type === 'printful'
+        ? { ...items[l.index], variantId: l.variantId, qty: l.qty }
+        : { type: 'self', productId: l.productId, option: l.option, qty: l.qty });
+    });
     metadata.cart_count = String(items ? items.length : 0);
     metadata.promo_code = activePromo?.code || promoCode || '';
     metadata.mode = isOneDollarOverride ? 'oneDollar' : (isFlat50Override ? 'flat50' : 'normal');
+    metadata.currency = currency;
     metadata.order_cart = JSON.stringify({ items: printfulItems });
     if (shippingState) metadata.shippingState = String(shippingState);
+    const recoveryToken = activePromo?.recovery_token || req.session?.recoveryToken || null;
+    if (recoveryToken) metadata.recovery_token = String(recoveryToken);
+    metadata.shipping_zone = shippingZone.id;
+    if (shippingQuote) metadata.shipping_quote = `${shippingQuote.source}:${shippingQuote.country}${shippingQuote.state ? '-' + shippingQuote.state : ''}`;
 
     const sessionParams = {
-      payment_method_types: ["card"],
       mode: "payment",
       customer_creation: "always",
       line_items,
@@ -3227,17 +6371,22 @@ app.post("/create-checkout-session", async (req, res) => {
       success_url: `${process.env.CLIENT_URL}/success.html`,
       cancel_url: `${process.env.CLIENT_URL}/cart.html`,
     };
+    // "automatic" leaves the choice to the Stripe dashboard's payment method settings
+    if (!CHECKOUT_PAYMENT_METHODS.includes("automatic")) sessionParams.payment_method_types = CHECKOUT_PAYMENT_METHODS;
     // Require shipping address only if cart contains Printful items
-    const hasPrintful = Array.isArray(items) && items.some(i => i.type === 'printful');
     if (hasPrintful) {
-      sessionParams.shipping_address_collection = { allowed_countries: ["US","CA"] };
+      // Live rates are only valid for the quoted country; zone rates for the zone's countries
+      // priced in the same currency
+      sessionParams.shipping_address_collection = {
+        allowed_countries: shippingQuote?.source === 'printful' ? [shippingCountry] : countriesForCurrency(currency, shippingZone.countries)
+      };
     }
     if (isOneDollarOverride) {
       sessionParams.shipping_options = [{
         shipping_rate_data: {
           display_name: "Free Shipping — TAKE5 Test",
           type: "fixed_amount",
-          fixed_amount: { amount: 0, currency: "usd" }
+          fixed_amount: { amount: 0, currency }
         }
       }];
     } else {
@@ -3251,316 +6400,899 @@ app.post("/create-checkout-session", async (req, res) => {
       }
     }
 
-    const session = await stripe.checkout.sessions.create(sessionParams);
+    // The new cart is valid, so the previous attempt's session and hold can go
+    if (req.session?.checkoutHoldId) {
+      await supersedeCheckoutHold(req.session.checkoutHoldId, req.session.checkoutSessionId)
+        .catch(e => console.warn('hold release failed:', e?.message || e));
+      req.session.checkoutHoldId = null;
+      req.session.checkoutSessionId = null;
+    }
+
+    // Hold self-fulfilled units for as long as the session can be paid; such sessions expire
+    // after CHECKOUT_SESSION_TTL_MINUTES instead of Stripe's 24 hours
+    const selfLines = priced.lines.filter(l => l.type === 'self');
+    let holdId = null;
+    if (selfLines.length) {
+      const expiresAt = Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_TTL_MINUTES * 60;
+      sessionParams.expires_at = expiresAt;
+      holdId = `hold_${crypto.randomBytes(12).toString('hex')}`;
+      try {
+        await reserveInventory(holdId, selfLines, new Date((expiresAt + RESERVATION_GRACE_MINUTES * 60) * 1000));
+      } catch (e) {
+        if (e?.code === 'out_of_stock') return res.status(409).json({ error: 'out_of_stock', message: e.message, items: e.items });
+        throw e;
+      }
+      metadata.hold_id = holdId;
+    }
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create(sessionParams);
+    } catch (e) {
+      if (holdId) await releaseReservations(holdId, 'checkout_failed').catch(() => {});
+      throw e;
+    }
+    if (holdId) {
+      req.session.checkoutHoldId = holdId;
+      req.session.checkoutSessionId = session.id;
+      const { error: linkErr } = await supabase.from('inventory_reservations').update({ session_id: session.id }).eq('hold_id', holdId);
+      if (linkErr) console.warn(`hold ${holdId} not linked to ${session.id}:`, linkErr.message);
+    }
+
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error("Stripe error:", err);
+    const msg = (err && err.message) ? err.message : 'Checkout failed';
+    res.status(500).json({ error: msg });
+  }
+});
+
+// ===== ABANDONED CART RECOVERY =====
+// checkout.session.expired stores the cart in abandoned_carts: session_id (primary key), email,
+// name, items (unpackSessionItems), lines (Stripe line items), amount_total, currency,
+// expired_at, recovery_token, status (pending|converted|exhausted|skipped), emails_sent,
+// next_email_at, promo_code, promo_percent, promo_redeemed_at, recovered_at,
+// converted_session_id, converted_amount, converted_at, created_at, updated_at.
+// The worker sends one email per entry in RECOVERY_EMAIL_DELAYS_HOURS (hours after expiry).
+const RECOVERY_EMAIL_DELAYS_HOURS = String(process.env.RECOVERY_EMAIL_DELAYS_HOURS || '1,24,72')
+  .split(',').map(x => Number(x.trim())).filter(x => Number.isFinite(x) && x >= 0);
+const RECOVERY_PROMO_PERCENT = Math.min(100, Math.max(0, parseInt(process.env.RECOVERY_PROMO_PERCENT || '0', 10) || 0));
+const RECOVERY_PROMO_FROM_EMAIL = Math.max(1, parseInt(process.env.RECOVERY_PROMO_FROM_EMAIL || '2', 10) || 2);
+const RECOVERY_INTERVAL_MS = parseInt(process.env.RECOVERY_INTERVAL_MS || String(5 * 60 * 1000), 10);
+const RECOVERY_SEND_LEASE_MS = 10 * 60 * 1000;
+
+function recoveryLink(token) {
+  const base = process.env.RECOVERY_LINK_BASE || `${process.env.CLIENT_URL}/cart.html`;
+  return `${base}${base.includes('?') ? '&' : '?'}recover=${encodeURIComponent(token)}`;
+}
+
+function recoveryEmailAt(expiredAtIso, index) {
+  if (index >= RECOVERY_EMAIL_DELAYS_HOURS.length) return null;
+  return new Date(new Date(expiredAtIso).getTime() + RECOVERY_EMAIL_DELAYS_HOURS[index] * 3600 * 1000).toISOString();
+}
+
+// The ledger only has Printful orders; self-fulfilled-only purchases are found through Stripe
+async function hasOrderedSince(email, sinceIso) {
+  const { count } = await supabase
+    .from('printful_orders')
+    .select('external_id', { count: 'exact', head: true })
+    .ilike('customer_email', likeEscape(email))
+    .gte('created_at', sinceIso);
+  if ((count || 0) > 0) return true;
+  try {
+    const paid = await stripe.checkout.sessions.list({
+      customer_details: { email },
+      status: 'complete',
+      created: { gte: Math.floor(new Date(sinceIso).getTime() / 1000) },
+      limit: 10
+    });
+    return (paid.data || []).some(sn => sn.metadata?.intent !== 'donation');
+  } catch (e) {
+    console.warn('hasOrderedSince Stripe lookup failed:', e?.message || e);
+    return false;
+  }
+}
+
+async function recordAbandonedCart(session) {
+  if (session.metadata?.intent === 'donation') return 'donation';
+  // A recovery checkout that expires again belongs to the original cart's sequence
+  if (session.metadata?.recovery_token) return 'recovery_session';
+  const email = session.customer_details?.email || session.customer_email || null;
+  if (!isDeliverableEmail(email)) return 'no_email';
+  const items = unpackSessionItems(session);
+  if (!items.length) return 'empty_cart';
+  if (!RECOVERY_EMAIL_DELAYS_HOURS.length) return 'disabled';
+
+  let lines = [];
+  try {
+    const li = await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 });
+    lines = (li.data || []).map(l => ({ name: l.description, quantity: l.quantity, amountCents: l.amount_total }));
+  } catch (e) {
+    console.warn('abandoned cart line items unavailable:', e?.message || e);
+  }
+
+  const now = new Date().toISOString();
+  const expiredAt = session.expires_at ? new Date(session.expires_at * 1000).toISOString() : now;
+  const createdAt = session.created ? new Date(session.created * 1000).toISOString() : expiredAt;
+  const skip = await hasOrderedSince(email, createdAt);
+  const { error } = await supabase.from('abandoned_carts').insert({
+    session_id: session.id,
+    email,
+    name: session.customer_details?.name || null,
+    items,
+    lines,
+    amount_total: session.amount_total ?? null,
+    currency: (session.currency || 'usd').toLowerCase(),
+    expired_at: expiredAt,
+    recovery_token: crypto.randomBytes(24).toString('base64url'),
+    status: skip ? 'skipped' : 'pending',
+    emails_sent: 0,
+    next_email_at: skip ? null : recoveryEmailAt(expiredAt, 0),
+    promo_percent: RECOVERY_PROMO_PERCENT || null,
+    created_at: now,
+    updated_at: now
+  });
+  if (error && error.code !== '23505') throw error;
+  return skip ? 'skipped_already_ordered' : 'stored';
+}
 
-    res.json({ url: session.url });
-  } catch (err) {
-    console.error("Stripe error:", err);
-    const msg = (err && err.message) ? err.message : 'Checkout failed';
-    res.status(500).json({ error: msg });
+async function sendRecoveryEmail(cart) {
+  const { data: claimed } = await supabase
+    .from('abandoned_carts')
+    .update({ next_email_at: new Date(Date.now() + RECOVERY_SEND_LEASE_MS).toISOString(), updated_at: new Date().toISOString() })
+    .eq('session_id', cart.session_id)
+    .eq('status', 'pending')
+    .eq('next_email_at', cart.next_email_at)
+    .select()
+    .maybeSingle();
+  if (!claimed) return;
+
+  if (await hasOrderedSince(cart.email, cart.created_at)) {
+    await supabase.from('abandoned_carts').update({ status: 'skipped', next_email_at: null, updated_at: new Date().toISOString() }).eq('session_id', cart.session_id);
+    return;
   }
-});
 
-// ===== STRIPE WEBHOOK =====
-app.post("/webhook", async (req, res) => {
-  let event;
-  try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      req.headers["stripe-signature"],
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
-  } catch (err) {
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+  const step = Number(cart.emails_sent || 0) + 1;
+  const update = { emails_sent: step, updated_at: new Date().toISOString() };
+  let promoCode = cart.promo_code || null;
+  if (!promoCode && cart.promo_percent && step >= RECOVERY_PROMO_FROM_EMAIL) {
+    promoCode = `BACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    update.promo_code = promoCode;
   }
 
-  if (event.type === "checkout.session.completed") {
-    const firstTime = await markStripeEventProcessedOnce(event.id, event.type);
-    if (!firstTime) {
-      return res.status(200).send("[ok] duplicate event ignored");
+  await sendTemplatedEmail('cart_recovery', cart.email, {
+    name: cart.name,
+    lines: cart.lines || [],
+    currency: cart.currency,
+    step,
+    recoverUrl: recoveryLink(cart.recovery_token),
+    promoCode,
+    promoPercent: promoCode ? cart.promo_percent : 0
+  }, { ref: cart.session_id });
+
+  const next = recoveryEmailAt(cart.expired_at, step);
+  update.next_email_at = next;
+  if (!next) update.status = 'exhausted';
+  await supabase.from('abandoned_carts').update(update).eq('session_id', cart.session_id);
+}
+
+async function runCartRecovery() {
+  const { data, error } = await supabase
+    .from('abandoned_carts')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_email_at', new Date().toISOString())
+    .order('next_email_at', { ascending: true })
+    .limit(25);
+  if (error) throw error;
+  for (const cart of (data || [])) {
+    try {
+      await sendRecoveryEmail(cart);
+    } catch (e) {
+      console.error(`cart recovery email for ${cart.session_id} failed:`, e?.message || e);
     }
+  }
+}
 
-    const session = event.data.object;
-    const stripeCheckoutId = session.id;
+startBackgroundWorker('cart-recovery', RECOVERY_INTERVAL_MS, runCartRecovery);
+
+// One-time recovery codes are only good while their cart is unconverted and unredeemed
+async function findRecoveryPromo(code) {
+  const c = String(code || '').trim();
+  if (!/^back-[0-9a-f]{8}$/i.test(c)) return null;
+  const { data } = await supabase
+    .from('abandoned_carts')
+    .select('session_id, recovery_token, promo_code, promo_percent, promo_redeemed_at, status')
+    .ilike('promo_code', likeEscape(c))
+    .maybeSingle();
+  if (!data || data.promo_redeemed_at || data.status === 'converted' || !data.promo_percent) return null;
+  return { code: data.promo_code, percent: data.promo_percent, recovery_token: data.recovery_token };
+}
 
-    const isDonation = session.metadata?.intent === "donation";
-    if (isDonation) {
-      try {
-        const email = session.customer_email || session.customer_details?.email || "Unknown";
-        const name = session.customer_details?.name || "Donor";
-        const amount = (session.amount_total || 0) / 100;
-        const when = new Date((event.created || Math.floor(Date.now()/1000)) * 1000);
-
-        const donorMsg = `Thank you for supporting Catfish Empire!\n\nCharitable Donation to Catfish Empire\nAmount: $${amount.toFixed(2)}\nDate: ${when.toLocaleString()}\n\nWe appreciate your support!\n— Catfish Empire`;
-        transporter.sendMail({
-          from: `"Catfish Empire" <${process.env.SMTP_USER}>`,
-          to: email,
-          subject: "Thank you for your donation to Catfish Empire",
-          text: donorMsg
-        }, () => {});
-
-        const adminMsg = `🧾 NEW DONATION\n\n👤 Donor: ${name} <${email}>\n💵 Amount: $${amount.toFixed(2)}\n🕒 Date: ${when.toLocaleString()}\n🔗 Stripe Session: ${session.id}\n`;
-        transporter.sendMail({
-          from: `"Catfish Empire" <${process.env.SMTP_USER}>`,
-          to: "rich@richmediaempire.com",
-          subject: "New Donation Received",
-          text: adminMsg
-        }, () => {});
-      } catch (e) { console.error('Donation email error:', e.message); }
-      return res.json({ received: true });
-    }
-
-    const items = unpackSessionItems(session);
-    try { console.log('Decoded session items:', items.map(i => ({ t:i.type, pid:i.productId, vid:i.variantId, q:i.qty, c:i.color, s:i.size }))); } catch(_){}
-    const shippingState = session.metadata?.shippingState || "Unknown";
-
-    const shipping =
-      session.shipping?.address ||
-      session.collected_information?.shipping_details?.address ||
-      {};
-
-    const shippingName =
-      session.shipping?.name || session.customer_details?.name || "No name";
-    const email =
-      session.customer_email || session.customer_details?.email || "Unknown email";
-
-    let updated = [];
-    const printfulLineItems = [];
-    for (const item of items) {
-      console.log(`🔍 Processing item:`, { type: item.type, color: item.color, qty: item.qty, inventoryHasColor: inventory[item.color] !== undefined });
-      
-      if (item.type === 'printful') {
+async function markCartRecoveryConverted(session) {
+  const token = session.metadata?.recovery_token;
+  if (!token) return;
+  const now = new Date().toISOString();
+  const promoUsed = String(session.metadata?.promo_code || '').toLowerCase();
+  const { data: cart } = await supabase.from('abandoned_carts').select('session_id, promo_code, status').eq('recovery_token', token).maybeSingle();
+  if (!cart || cart.status === 'converted') return;
+  const { error } = await supabase.from('abandoned_carts').update({
+    status: 'converted',
+    next_email_at: null,
+    converted_session_id: session.id,
+    converted_amount: session.amount_total ?? null,
+    converted_at: now,
+    ...(cart.promo_code && cart.promo_code.toLowerCase() === promoUsed ? { promo_redeemed_at: now } : {}),
+    updated_at: now
+  }).eq('session_id', cart.session_id);
+  if (error) console.error('cart recovery conversion update failed:', error.message || error);
+  else console.log(`🛒 Recovered cart ${cart.session_id} converted as ${session.id}`);
+}
+
+// Rebuild a client cart from the stored items; sets the cart's promo as the active promo
+app.get('/api/cart/recover/:token', corsAllow, async (req, res) => {
+  try {
+    const token = String(req.params.token || '');
+    const { data: cart, error } = await supabase.from('abandoned_carts').select('*').eq('recovery_token', token).maybeSingle();
+    if (error) throw error;
+    if (!cart) return res.status(404).json({ ok: false, error: 'not_found' });
+    if (cart.status === 'converted') return res.status(410).json({ ok: false, error: 'already_ordered' });
+
+    // Prices are in the abandoned session's currency, as priceCartServerSide will charge them
+    const currency = CURRENCY_RULES[cart.currency] ? cart.currency : 'usd';
+    const items = [];
+    for (const it of (cart.items || [])) {
+      if (it.type === 'printful') {
+        const item = { type: 'printful', productId: it.productId, variantId: it.variantId, qty: it.qty || 1, color: it.color, size: it.size };
         try {
-          const safe = await coercePrintfulCartItem(item);
-          printfulLineItems.push(safe);
-          updated.push(`${safe.quantity} × ${safe.name} (Printful) - $${(safe.priceCents/100).toFixed(2)}`);
+          const v = await getVariantPricing(it.variantId);
+          const overrideCents = await getPriceOverrideCents(v.syncProductId || it.productId);
+          const priceCents = (await getCurrencyPriceCents(currency, [`variant:${it.variantId}`, v.syncProductId && `product:${v.syncProductId}`]))
+            || localizeListCents(overrideCents || v.retailCents, currency);
+          Object.assign(item, { name: v.name, image: v.image, priceCents });
         } catch (e) {
-          console.error('Coerce printful item failed in webhook:', e.message);
-        }
-      } else if (item.type === 'sunglasses' || inventory[item.color] !== undefined) {
-        // Sunglasses products - update inventory (handle both old and new formats)
-        const color = typeof item.color === 'string' ? item.color.trim() : item.color;
-        const qty = item.qty || item.q || 1;
-        const colorKey = typeof color === 'string' ? color.toLowerCase() : color;
-        // Case-insensitive match for inventory colors
-        let invKey = null;
-        if (colorKey && inventory[colorKey] !== undefined) {
-          invKey = colorKey;
-        } else if (colorKey) {
-          const found = Object.keys(inventory).find(k => String(k).toLowerCase() === colorKey);
-          if (found) invKey = found;
-        }
-        console.log(`🥽 Processing sunglasses: color=${color} (invKey=${invKey}), qty=${qty}, currentInventory=${invKey!=null?inventory[invKey]:undefined}`);
-        
-        if (invKey != null) {
-          const oldQty = inventory[invKey];
-          const nextQty = Math.max(0, Number(oldQty) - Number(qty));
-          inventory[invKey] = nextQty;
-          console.log(`📦 Updating inventory: ${invKey} ${oldQty} → ${nextQty}`);
-          await updateQuantity(invKey, nextQty);
-          updated.push(`${qty} × ${color} Sunglasses - $14.99`);
-        } else {
-          console.log(`⚠️ Skipping sunglasses: color=${color} not in inventory or undefined`);
+          console.warn(`recover: variant ${it.variantId} unavailable:`, e?.message || e);
+          continue;
         }
+        items.push(item);
       } else {
-        console.log(`❓ Unknown item type: ${item.type}`);
+        const self = await resolveSelfItem(it);
+        if (!self) continue;
+        items.push({
+          type: 'self', productId: self.product.id, option: self.variant.option, color: self.variant.option,
+          qty: it.qty || 1, name: self.name, image: self.image, priceCents: await selfListCents(self, currency)
+        });
       }
     }
 
-    const promoNote = session.metadata?.promo_code ? `\n🎟️ Promo: ${session.metadata.promo_code} (${session.metadata.test_discount_applied}% off)` : '';
-    const pfLines = printfulLineItems.map(safe => `PF: ${safe.quantity} × ${safe.name} — sync_variant_id=${safe.variantId} color=${safe.color||'n/a'} size=${safe.size||'n/a'}`).join("\n");
-    const message = `🧾 NEW ORDER
+    const promo = cart.promo_code ? await findRecoveryPromo(cart.promo_code) : null;
+    if (promo) setActivePromo(req, promo);
+    req.session.recoveryToken = token;
+    if (!cart.recovered_at) {
+      await supabase.from('abandoned_carts').update({ recovered_at: new Date().toISOString(), updated_at: new Date().toISOString() }).eq('session_id', cart.session_id);
+    }
+    res.json({ ok: true, items, currency, promo: promo ? { code: promo.code, percent: promo.percent } : null, dropped: (cart.items || []).length - items.length });
+  } catch (e) {
+    console.error('cart recover error:', e?.message || e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// PostgREST caps a plain select at 1000 rows, so stats use count queries
+async function abandonedCartCounts() {
+  const count = async (filter) => {
+    const { count: n, error } = await filter(supabase.from('abandoned_carts').select('session_id', { count: 'exact', head: true }));
+    if (error) throw error;
+    return n || 0;
+  };
+  const [carts, emailed, clicked, converted] = await Promise.all([
+    count(q => q),
+    count(q => q.gt('emails_sent', 0)),
+    count(q => q.not('recovered_at', 'is', null)),
+    count(q => q.eq('status', 'converted'))
+  ]);
+  return { carts, emailed, clicked, converted };
+}
 
-👤 Name: ${shippingName}
-📧 Email: ${email}
+// Reads every row of a query in pages of 1000 (PostgREST's default cap)
+async function selectAllRows(makeQuery, pageSize = 1000) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await makeQuery().range(from, from + pageSize - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
 
-📦 Ship To:
-${shipping.line1 || ""} ${shipping.line2 || ""}
-${shipping.city || ""}, ${shipping.state || ""} ${shipping.postal_code || ""}
-${shipping.country || "USA"}
-🗺️ Shipping State (client-supplied): ${shippingState}
+// GET /admin/carts/abandoned?status=pending,converted&limit=
+app.get('/admin/carts/abandoned', cors(), async (req, res) => {
+  try {
+    if (!req.session?.authenticated) return res.status(403).json({ error: 'Not logged in' });
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+    let q = supabase
+      .from('abandoned_carts')
+      .select('session_id, email, name, amount_total, currency, status, emails_sent, next_email_at, promo_code, promo_redeemed_at, recovered_at, converted_session_id, converted_amount, converted_at, expired_at')
+      .order('expired_at', { ascending: false })
+      .limit(limit);
+    if (req.query.status) q = q.in('status', String(req.query.status).split(',').map(x => x.trim()).filter(Boolean));
+    const { data, error } = await q;
+    if (error) throw error;
 
-🛍️ Items:
-${updated.join("\n")}
-${pfLines ? `\n${pfLines}` : ''}
+    // recovered_cents is in USD (other currencies converted); recovered_by_currency is exact
+    const stats = { ...(await abandonedCartCounts()), recovered_cents: 0, recovered_by_currency: {} };
+    const converted = await selectAllRows(() => supabase.from('abandoned_carts').select('converted_amount, currency').eq('status', 'converted').order('session_id'));
+    for (const r of converted) {
+      const cur = (r.currency || 'usd').toLowerCase();
+      stats.recovered_cents += toUsdCents(r.converted_amount, cur);
+      stats.recovered_by_currency[cur] = (stats.recovered_by_currency[cur] || 0) + Number(r.converted_amount || 0);
+    }
+    stats.conversion_rate = stats.emailed ? Number((stats.converted / stats.emailed).toFixed(4)) : 0;
+    res.json({ ok: true, stats, carts: data || [] });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-💰 Total: $${items.reduce((sum, item) => {
-  const price = item.type === 'printful' ? item.price : 14.99;
-  return sum + (price * item.qty);
-}, 0).toFixed(2)} + $5.99 shipping + tax${promoNote}${LAST_PF_ORDER?.error ? "\n⚠️ Printful error recorded; see /admin/printful/last" : ''}
-`;
+// ===== CHECKOUT FULFILLMENT =====
+// Everything a paid checkout triggers: donation receipts, inventory, admin + customer emails
+// and the Printful order. Runs from checkout.session.completed when the payment is already
+// settled or from checkout.session.async_payment_succeeded for delayed methods (ACH, bank
+// debits). Each side effect has its own once-per-session guard (the Printful order is guarded
+// by the ledger), so a replayed event only redoes the steps that never ran.
+// Returns the outcome recorded on the webhook event.
+async function fulfillCheckoutSession(session, event) {
+  const stripeCheckoutId = session.id;
+
+  const isDonation = session.metadata?.intent === "donation";
+  if (isDonation) {
+    try {
+      const email = session.customer_email || session.customer_details?.email || "Unknown";
+      const name = session.customer_details?.name || "Donor";
+      const when = new Date((event.created || Math.floor(Date.now()/1000)) * 1000);
+      const donation = {
+        name,
+        email,
+        amountCents: Number(session.amount_total || 0),
+        currency: session.currency || "usd",
+        date: when.toLocaleString(),
+        sessionId: session.id
+      };
 
-    transporter.sendMail(
-      {
-        from: `"Catfish Empire" <${process.env.SMTP_USER}>`,
-        to: "rich@richmediaempire.com",
-        subject: "New Order Received",
-        text: message,
-      },
-      (err) => {
-        if (err) console.error("❌ Email failed:", err);
-        else console.log("📨 Order email sent");
+      // Each email's guard is recorded once it is queued; a failure releases it and fails the
+      // event so the retry sends only what is missing
+      const failed = [];
+      if (isDeliverableEmail(email)) {
+        await runEventStepOnce("email", `donation:${session.id}`, event.type, async () => {
+          await sendTemplatedEmail("donation_thanks", email, donation, { ref: session.id });
+          return "queued";
+        }).catch(e => failed.push(`donor email: ${e?.message || e}`));
       }
-    );
+      await runEventStepOnce("email", `admin_new_donation:${session.id}`, event.type, async () => {
+        await queueNotification("donation", "admin_new_donation", donation, { ref: session.id });
+        return "queued";
+      }).catch(e => failed.push(`admin email: ${e?.message || e}`));
+      if (failed.length) throw new Error(`Donation ${session.id} incomplete: ${failed.join("; ")}`);
+    } catch (e) {
+      console.error('Donation email error:', e.message);
+      throw e;
+    }
+    return "donation";
+  }
 
-    // Attempt to create a Printful draft using robust recovery + diagnostics
-    globalThis.__LAST_PF_DECODED__   = null;
-    globalThis.__LAST_PF_ITEMS__     = null;
-    globalThis.__LAST_PF_PAYLOAD__   = null;
-    globalThis.__LAST_PF_RESPONSE__  = null;
-    try {
-      const sess = await stripe.checkout.sessions.retrieve(session.id, { expand: ['payment_intent','customer','customer_details'] });
-      try { await stripe.checkout.sessions.listLineItems(session.id, { expand: ['data.price.product'] }); } catch(_){ }
-      const token   = process.env.PRINTFUL_API_KEY;
-      const storeId = process.env.PRINTFUL_STORE_ID;
-      const decoded = items.map(x => ({ t: x.type || x.t, pid: Number(x.productId || x.pid || x.id || 0) || null, vid: Number(x.variantId || x.variant_id || x.vid || 0) || null, q: Number(x.qty || x.q || 1) || 1, c: x.color || x.c || '', s: x.size  || x.s || '' }));
-      globalThis.__LAST_PF_DECODED__ = decoded;
-      const pfItems = token ? await buildPrintfulItems(decoded, token, storeId) : [];
-      // annotate for clarity in debug
-      const debugItems = pfItems.map(x => ({ ...x }));
-      globalThis.__LAST_PF_ITEMS__ = debugItems;
-      if (token && pfItems.length){
-        const recipient = stripeToPrintfulRecipient(sess);
-        const incomplete = !recipient.address1 || !recipient.city || !recipient.state_code || !recipient.country_code || !recipient.zip;
-        if (incomplete){
-          console.warn('SKIP Printful: recipient incomplete', recipient);
-          globalThis.__LAST_PF_RESPONSE__ = { status:'SKIP', text:'Recipient incomplete', recipient };
-        } else {
-          const external_id = mkPfExternalId(stripeCheckoutId);
-          const autoConfirm = String(process.env.PRINTFUL_AUTO_CONFIRM || "").toLowerCase() === "true";
-          
-          // Capture PI and charge for refund mapping
-          let piId = session.payment_intent || null;
-          let chargeId = null;
-          let amountCaptured = null;
-          let currency = (session.currency || "usd").toLowerCase();
+  try {
+    await markCartRecoveryConverted(session);
+  } catch (e) {
+    console.error("Cart recovery conversion tracking failed:", e?.message || e);
+  }
+
+  const items = unpackSessionItems(session);
+  try { console.log('Decoded session items:', items.map(i => ({ t:i.type, pid:i.productId, vid:i.variantId, q:i.qty, c:i.color, s:i.size }))); } catch(_){}
+  const shippingState = session.metadata?.shippingState || "Unknown";
+
+  const shipping =
+    session.shipping?.address ||
+    session.collected_information?.shipping_details?.address ||
+    {};
+
+  const shippingName =
+    session.shipping?.name || session.customer_details?.name || "No name";
+  const email =
+    session.customer_email || session.customer_details?.email || "Unknown email";
+
+  let updated = [];
+  const printfulLineItems = [];
+  // Steps that failed after releasing their guard; thrown at the end so the event is retried
+  const stepErrors = [];
+  const currency = (session.currency || 'usd').toLowerCase();
+  // Summary lines show what was charged. Line items follow the metadata item order unless the
+  // session was collapsed into one line (TAKE5); list prices are the fallback
+  let paidLines = [];
+  try {
+    paidLines = (await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 })).data || [];
+  } catch (e) {
+    console.warn(`line items unavailable for ${session.id}:`, e?.message || e);
+  }
+  const paidCents = (itemIndex, fallbackCents) =>
+    paidLines.length === items.length ? Number(paidLines[itemIndex].amount_total ?? fallbackCents) : fallbackCents;
+  for (const [itemIndex, item] of items.entries()) {
+    console.log(`🔍 Processing item:`, { type: item.type, productId: item.productId, option: item.option ?? item.color, qty: item.qty });
+
+    if (item.type === 'printful') {
+      try {
+        const safe = await coercePrintfulCartItem(item);
+        printfulLineItems.push(safe);
+        updated.push(`${safe.quantity} × ${safe.name} (Printful) - ${formatMoney(paidCents(itemIndex, safe.priceCents * safe.quantity), currency)}`);
+      } catch (e) {
+        console.error('Coerce printful item failed in webhook:', e.message);
+      }
+    } else if (item.type === 'self' || item.type === 'sunglasses') {
+      // Self-fulfilled catalog items: decrement each variant's stock once per session. The
+      // guard is released when the decrement fails, so the event retry decrements it then.
+      const qty = item.qty || item.q || 1;
+      const self = await resolveSelfItem(item, { fresh: true, includeInactive: true });
+      if (!self) {
+        console.log(`⚠️ Skipping self item: ${item.productId || LEGACY_SELF_PRODUCT_ID}/${item.option ?? item.color} not in catalog`);
+        continue;
+      }
+      const line = `${qty} × ${self.name} - ${formatMoney(paidCents(itemIndex, (await selfListCents(self, currency)) * qty), currency)}`;
+      try {
+        const step = await runEventStepOnce("inventory", `session:${session.id}:${itemIndex}`, event.type, async () => {
+          const moved = await decrementSelfStock(self.product.id, self.variant.option, qty);
+          if (moved) console.log(`📦 Updating inventory: ${self.variant.sku} ${moved.from} → ${moved.to}`);
+          return moved ? `stock:${moved.from}->${moved.to}` : "no_variant_row";
+        });
+        if (!step.ran) console.log(`↩️ Inventory for ${session.id} already decremented; skipping ${self.variant.sku}`);
+      } catch (e) {
+        console.error(`Stock update failed for ${self.variant.sku}:`, e?.message || e);
+        stepErrors.push(`stock ${self.variant.sku}: ${e?.message || e}`);
+      }
+      updated.push(line);
+    } else {
+      console.log(`❓ Unknown item type: ${item.type}`);
+    }
+  }
+  // Stock is decremented above, so the session's hold no longer counts against it
+  await settleReservations(session, "convert");
+
+  const shipTo = shipToFromSession(session) || [
+    shippingName,
+    `${shipping.line1 || ""} ${shipping.line2 || ""}`.trim(),
+    `${shipping.city || ""}, ${shipping.state || ""} ${shipping.postal_code || ""}`.trim(),
+    shipping.country || "USA"
+  ];
+  try {
+    await runEventStepOnce("email", `admin_new_order:${session.id}`, event.type, async () => {
+      await queueNotification("new_order", "admin_new_order", {
+        orderRef: orderReferenceFromExternalId(mkPfExternalId(session.id)),
+        name: shippingName,
+        email,
+        sessionId: session.id,
+        shippingState,
+        shipTo,
+        items: updated,
+        printfulLines: printfulLineItems.map(safe => `PF: ${safe.quantity} × ${safe.name} — sync_variant_id=${safe.variantId} color=${safe.color||'n/a'} size=${safe.size||'n/a'}`),
+        ...orderTotalsFromSession(session),
+        printfulError: !!LAST_PF_ORDER?.error
+      }, { ref: mkPfExternalId(session.id) });
+      console.log("📨 Order email queued");
+      return "queued";
+    });
+  } catch (e) {
+    console.error("Admin order email failed:", e?.message || e);
+    stepErrors.push(`admin order email: ${e?.message || e}`);
+  }
+
+  try {
+    await sendOrderConfirmation(session);
+  } catch (e) {
+    console.error("Order confirmation failed:", e?.message || e);
+    stepErrors.push(`order confirmation: ${e?.message || e}`);
+  }
+
+  // Attempt to create a Printful draft using robust recovery + diagnostics
+  globalThis.__LAST_PF_DECODED__   = null;
+  globalThis.__LAST_PF_ITEMS__     = null;
+  globalThis.__LAST_PF_PAYLOAD__   = null;
+  globalThis.__LAST_PF_RESPONSE__  = null;
+  try {
+    const sess = await stripe.checkout.sessions.retrieve(session.id, { expand: ['payment_intent','customer','customer_details'] });
+    try { await stripe.checkout.sessions.listLineItems(session.id, { expand: ['data.price.product'] }); } catch(_){ }
+    const token   = process.env.PRINTFUL_API_KEY;
+    const storeId = process.env.PRINTFUL_STORE_ID;
+    const decoded = items.map(x => ({ t: x.type || x.t, pid: Number(x.productId || x.pid || x.id || 0) || null, vid: Number(x.variantId || x.variant_id || x.vid || 0) || null, q: Number(x.qty || x.q || 1) || 1, c: x.color || x.c || '', s: x.size  || x.s || '' }));
+    globalThis.__LAST_PF_DECODED__ = decoded;
+    const pfItems = token ? await buildPrintfulItems(decoded, token, storeId) : [];
+    // annotate for clarity in debug
+    const debugItems = pfItems.map(x => ({ ...x }));
+    globalThis.__LAST_PF_ITEMS__ = debugItems;
+    if (token && pfItems.length){
+      const recipient = stripeToPrintfulRecipient(sess);
+      const external_id = mkPfExternalId(stripeCheckoutId);
+
+      // Capture PI and charge for refund mapping (the charge also carries the Radar outcome)
+      let piId = session.payment_intent || null;
+      let chargeId = null;
+      let latestCharge = null;
+      let amountCaptured = null;
+      let currency = (session.currency || "usd").toLowerCase();
+      try {
+        if (piId) {
+          const pi = await stripe.paymentIntents.retrieve(piId, { expand: ["latest_charge"] });
+          amountCaptured = Number(pi.amount_received ?? pi.amount ?? null);
+          currency = (pi.currency || currency || "usd").toLowerCase();
+          if (pi.latest_charge && typeof pi.latest_charge === "object") latestCharge = pi.latest_charge;
+          chargeId = latestCharge ? latestCharge.id : (pi.latest_charge || null);
+        }
+      } catch (e) {
+        console.warn("Could not retrieve PI.latest_charge:", e?.message || e);
+      }
+
+      // Replay safety: if order exists for this external_id, don't recreate
+      const existing = await getOrderByExternalId(external_id);
+      if (existing?.pf_order_id) {
+        // Resume a confirm the policy already decided on but that never landed
+        if (existing.fulfillment_decision?.action === "confirm" && existing.status === "draft" && !existing.fulfillment_hold) {
           try {
-            if (piId) {
-              const pi = await stripe.paymentIntents.retrieve(piId, { expand: ["latest_charge"] });
-              amountCaptured = Number(pi.amount_received ?? pi.amount ?? null);
-              currency = (pi.currency || currency || "usd").toLowerCase();
-              chargeId = (pi.latest_charge && typeof pi.latest_charge === "object")
-                ? pi.latest_charge.id
-                : (pi.latest_charge || null);
-            }
+            await printfulConfirmOrder(existing.pf_order_id);
+            await upsertOrderRecord({
+              external_id,
+              pf_order_id: existing.pf_order_id,
+              status: "confirmed",
+              meta: { resumed: true },
+              pi_id: piId,
+              charge_id: chargeId,
+              amount_captured: amountCaptured,
+              currency: currency,
+              last_event_type: "checkout.session.completed",
+              ...ledgerFieldsFromSession(session, items)
+            });
           } catch (e) {
-            console.warn("Could not retrieve PI.latest_charge:", e?.message || e);
+            console.error("Re-confirm existing PF order failed:", e?.message || e);
+            await notifyOps("printful_failure", {
+              subject: opsEmailSubject(external_id, "Re-confirm failed"),
+              title: "Re-confirm failed",
+              fields: [["external_id", external_id], ["pf_order_id", existing.pf_order_id]],
+              details: (e?.message || e).toString()
+            });
           }
+        }
+        globalThis.__LAST_PF_RESPONSE__ = { status:'REPLAY', text:'Existing order acknowledged', orderId: existing.pf_order_id };
+      } else {
+        const decision = await decideFulfillment({ external_id, session: sess, recipient, charge: latestCharge });
+        const reviewStatus = decision.action === "review" ? "pending" : null;
+        console.log(`Fulfillment decision for ${external_id}: ${decision.action}`, decision.reasons);
+        const notifyReview = (extra = {}) => notifyOps("order_review", {
+          subject: opsEmailSubject(external_id, "Order held for review"),
+          title: "Order held for review",
+          intro: extra.intro || "The fulfillment policy held this order. Approve or reject it from the admin.",
+          fields: [
+            ["external_id", external_id],
+            ["Stripe session", session.id],
+            ["Reasons", decision.reasons.join(", ")],
+            ["Radar risk", decision.inputs.risk_level || "n/a"],
+            ["Total", formatMoney(decision.inputs.amount_total, decision.inputs.currency)]
+          ],
+          action: extra.action || `POST /admin/orders/${external_id}/review`,
+          ref: external_id
+        });
 
-          // Replay safety: if order exists for this external_id, don't recreate
-          const existing = await getOrderByExternalId(external_id);
-          if (existing?.pf_order_id) {
-            if (autoConfirm && (existing.status !== "confirmed" && existing.status !== "pending")) {
-              try {
-                await printfulConfirmOrder(existing.pf_order_id);
-                await upsertOrderRecord({
-                  external_id,
-                  pf_order_id: existing.pf_order_id,
-                  status: "confirmed",
-                  meta: { resumed: true },
-                  pi_id: piId,
-                  charge_id: chargeId,
-                  amount_captured: amountCaptured,
-                  currency: currency,
-                  last_event_type: "checkout.session.completed"
-                });
-              } catch (e) {
-                console.error("Re-confirm existing PF order failed:", e?.message || e);
-                await notifyOps("rich@richmediaempire.com",
-                  opsEmailSubject(external_id, "Re-confirm failed"),
-                  `<pre>${(e?.message || e).toString()}</pre>`);
-              }
-            }
-            globalThis.__LAST_PF_RESPONSE__ = { status:'REPLAY', text:'Existing order acknowledged', orderId: existing.pf_order_id };
-          } else {
-            // Get real cart items from metadata OR fall back to decoded session items
-            let itemsFromMeta = [];
-            try {
-              if (session.metadata?.order_cart) {
-                const parsed = JSON.parse(session.metadata.order_cart);
-                if (Array.isArray(parsed?.items)) itemsFromMeta = parsed.items;
-              }
-            } catch (e) {
-              console.warn("order_cart metadata parse failed:", e?.message || e);
-            }
+        // Get real cart items from metadata OR fall back to decoded session items
+        let itemsFromMeta = [];
+        try {
+          if (session.metadata?.order_cart) {
+            const parsed = JSON.parse(session.metadata.order_cart);
+            if (Array.isArray(parsed?.items)) itemsFromMeta = parsed.items;
+          }
+        } catch (e) {
+          console.warn("order_cart metadata parse failed:", e?.message || e);
+        }
 
-            // Fallback: use decoded session items if no metadata
-            if (!itemsFromMeta.length) {
-              console.log('No order_cart metadata, falling back to decoded session items...');
-              const decoded = items.map(x => ({ t: x.type || x.t, pid: Number(x.productId || x.pid || x.id || 0) || null, vid: Number(x.variantId || x.variant_id || x.vid || 0) || null, q: Number(x.qty || x.q || 1) || 1, c: x.color || x.c || '', s: x.size || x.s || '' }));
-              console.log('Decoded items:', decoded);
-              const pfItems = await buildPrintfulItems(decoded, token, storeId);
-              console.log('Built PF items:', pfItems);
-              itemsFromMeta = pfItems.map(x => ({ sync_variant_id: x.sync_variant_id, quantity: x.quantity }));
-            }
+        // Fallback: use decoded session items if no metadata
+        if (!itemsFromMeta.length) {
+          console.log('No order_cart metadata, falling back to decoded session items...');
+          const decoded = items.map(x => ({ t: x.type || x.t, pid: Number(x.productId || x.pid || x.id || 0) || null, vid: Number(x.variantId || x.variant_id || x.vid || 0) || null, q: Number(x.qty || x.q || 1) || 1, c: x.color || x.c || '', s: x.size || x.s || '' }));
+          console.log('Decoded items:', decoded);
+          const pfItems = await buildPrintfulItems(decoded, token, storeId);
+          console.log('Built PF items:', pfItems);
+          itemsFromMeta = pfItems.map(x => ({ sync_variant_id: x.sync_variant_id, quantity: x.quantity }));
+        }
 
-            console.log('Final items for Printful:', itemsFromMeta);
-            console.log('Recipient:', recipient);
+        console.log('Final items for Printful:', itemsFromMeta);
+        console.log('Recipient:', recipient);
 
-            if (!itemsFromMeta.length) {
-              console.error("No Printful items found in any source; order will not be created.");
-              globalThis.__LAST_PF_RESPONSE__ = { status:'SKIP', text:'No items found' };
+        if (!decision.inputs.address_complete) {
+          // Printful rejects incomplete recipients; park the order for review instead of dropping it
+          console.warn('SKIP Printful: recipient incomplete', recipient);
+          await upsertOrderRecord({
+            external_id,
+            pf_order_id: null,
+            status: "failed",
+            meta: { error: "recipient_incomplete", recipient },
+            fulfillment_decision: decision,
+            review_status: reviewStatus,
+            pi_id: piId,
+            charge_id: chargeId,
+            amount_captured: amountCaptured,
+            currency: currency,
+            last_event_type: "checkout.session.completed",
+            ...ledgerFieldsFromSession(session, items)
+          });
+          await notifyReview({
+            intro: "Shipping address is incomplete, so no Printful order was created. Post the corrected address to queue a draft, then approve it.",
+            action: `POST /admin/orders/${external_id}/recipient`
+          });
+          globalThis.__LAST_PF_RESPONSE__ = { status:'SKIP', text:'Recipient incomplete', recipient };
+        } else if (!itemsFromMeta.length) {
+          console.error("No Printful items found in any source; order will not be created.");
+          globalThis.__LAST_PF_RESPONSE__ = { status:'SKIP', text:'No items found' };
+        } else {
+          // Create the Printful order confirmed or as a draft, per the fulfillment policy
+          const confirm = decision.action === "confirm";
+          let created, pfOrderId;
+          const orderPayload = {
+            external_id,
+            confirm,
+            update_existing: false,
+            recipient,
+            items: itemsFromMeta.map(x => ({ sync_variant_id: Number(x.sync_variant_id), quantity: Number(x.quantity) }))
+          };
+          try {
+            globalThis.__LAST_PF_PAYLOAD__ = { when: Date.now(), body: orderPayload };
+            created = confirm ? await printfulCreateOrderConfirmed(orderPayload) : await printfulCreateOrderDraft(orderPayload);
+            pfOrderId = created?.result?.id || created?.result?.order?.id || created?.id;
+            await upsertOrderRecord({
+              external_id,
+              pf_order_id: pfOrderId,
+              status: confirm ? "confirmed" : "draft",
+              pf_status: String(created?.result?.status || "").toLowerCase() || null,
+              meta: { create_res: created },
+              fulfillment_decision: decision,
+              review_status: reviewStatus,
+              pi_id: piId,
+              charge_id: chargeId,
+              amount_captured: amountCaptured,
+              amount_refunded: 0,
+              currency: currency,
+              last_event_type: "checkout.session.completed",
+              ...ledgerFieldsFromSession(session, items)
+            });
+            console.log(`Printful order ${pfOrderId} created as ${confirm ? "confirmed" : "draft"} (policy: ${decision.action})`);
+            globalThis.__LAST_PF_RESPONSE__ = { status: 200, text: JSON.stringify(created), orderId: pfOrderId, decision: decision.action };
+            if (decision.action === "review") await notifyReview();
+          } catch (e) {
+            if (pfOrderId) {
+              // Printful accepted the draft; only the ledger write failed
+              console.error(`Ledger write failed for created PF order ${pfOrderId}:`, e?.message || e);
+              globalThis.__LAST_PF_RESPONSE__ = { status: 200, text: JSON.stringify(created), orderId: pfOrderId, ledgerError: String(e?.message||e) };
+              await notifyOps("printful_failure", {
+                subject: opsEmailSubject(external_id, "Ledger write failed"),
+                title: "Ledger write failed",
+                fields: [["external_id", external_id], ["pf_order_id", pfOrderId]],
+                details: (e?.message || e).toString()
+              });
             } else {
-              // Create DRAFT Printful order (back to original working method)
-              let created, pfOrderId;
-              try {
-                const orderPayload = {
-                  external_id,
-                  confirm: false,
-                  update_existing: false,
-                  recipient,
-                  items: itemsFromMeta.map(x => ({ sync_variant_id: Number(x.sync_variant_id), quantity: Number(x.quantity) }))
-                };
-                globalThis.__LAST_PF_PAYLOAD__ = { when: Date.now(), body: orderPayload };
-                created = await printfulCreateOrderDraft(orderPayload);
-                pfOrderId = created?.result?.id || created?.result?.order?.id || created?.id;
-                await upsertOrderRecord({
-                  external_id,
-                  pf_order_id: pfOrderId,
-                  status: "draft",
-                  meta: { create_res: created },
-                  pi_id: piId,
-                  charge_id: chargeId,
-                  amount_captured: amountCaptured,
-                  amount_refunded: 0,
-                  currency: currency,
-                  last_event_type: "checkout.session.completed"
-                });
-                console.log(`Printful order ${pfOrderId} created as draft (original working method)`);
-                globalThis.__LAST_PF_RESPONSE__ = { status: 200, text: JSON.stringify(created), orderId: pfOrderId };
-              } catch (e) {
-                console.error("Printful create draft failed:", e?.message || e);
-                await upsertOrderRecord({
-                  external_id,
-                  pf_order_id: null,
-                  status: "failed",
-                  meta: { error: e?.message || String(e) },
-                  pi_id: piId,
-                  charge_id: chargeId,
-                  amount_captured: amountCaptured,
-                  currency: currency,
-                  last_event_type: "checkout.session.completed"
-                });
-                await notifyOps("rich@richmediaempire.com",
-                  opsEmailSubject(external_id, "Printful create failed"),
-                  `<pre>${(e?.message || e).toString()}</pre>`);
-                globalThis.__LAST_PF_RESPONSE__ = { status:'EXCEPTION', text: String(e?.message||e) };
-              }
+              console.error("Printful create order failed:", e?.message || e);
+              await upsertOrderRecord({
+                external_id,
+                pf_order_id: null,
+                status: "failed",
+                meta: { error: e?.message || String(e) },
+                fulfillment_decision: decision,
+                review_status: reviewStatus,
+                pi_id: piId,
+                charge_id: chargeId,
+                amount_captured: amountCaptured,
+                currency: currency,
+                last_event_type: "checkout.session.completed",
+                ...ledgerFieldsFromSession(session, items)
+              });
+              const job = await enqueuePrintfulJob(external_id, orderPayload, String(e?.message || e));
+              await notifyOps("printful_failure", {
+                subject: opsEmailSubject(external_id, "Printful create failed"),
+                title: "Printful create failed",
+                intro: job ? `Queued for automatic retry (up to ${job.max_attempts} attempts).` : "Could not queue a retry; create the order manually.",
+                fields: [["external_id", external_id], ["Stripe session", session.id]],
+                details: (e?.message || e).toString(),
+                action: job ? `GET /admin/printful/jobs/${external_id}` : "",
+                ref: external_id
+              });
+              globalThis.__LAST_PF_RESPONSE__ = { status:'EXCEPTION', text: String(e?.message||e) };
             }
           }
         }
-      } else {
-        globalThis.__LAST_PF_RESPONSE__ = { status:'SKIP', text: token ? 'No pfItems' : 'No PRINTFUL_API_KEY' };
       }
-    } catch (e) { console.error('Printful order attempt failed:', e?.message || e); globalThis.__LAST_PF_RESPONSE__ = { status:'EXCEPTION', text:String(e?.message||e) }; }
+    } else {
+      globalThis.__LAST_PF_RESPONSE__ = { status:'SKIP', text: token ? 'No pfItems' : 'No PRINTFUL_API_KEY' };
+    }
+  } catch (e) { console.error('Printful order attempt failed:', e?.message || e); globalThis.__LAST_PF_RESPONSE__ = { status:'EXCEPTION', text:String(e?.message||e) }; }
+
+  if (stepErrors.length) throw new Error(`Checkout ${session.id} incomplete: ${stepErrors.join("; ")}`);
+  console.log("✅ Inventory updated from payment");
+  return `order:${globalThis.__LAST_PF_RESPONSE__?.status ?? "no_printful"}`;
+}
+
+// ===== WEBHOOK EVENT JOURNAL =====
+// webhook_events: id (Stripe event id, primary key), type, payload (the verified event),
+// lock_key, event_created, status (queued|processing|retrying|processed|error|dead), result,
+// outcome, error, attempts (deliveries from Stripe), process_attempts, next_attempt_at,
+// received_at, last_attempt_at, replayed_at.
+// /webhook only verifies and journals; the stripe-events worker runs handleStripeEvent in
+// Stripe's created order. Events sharing a lock_key run one at a time and in order.
+// Handled errors (an "error" outcome, already alerted by the handler) end as "error" and are
+// replayed by hand; thrown errors are retried with backoff and dead-lettered at the limit.
+const STRIPE_EVENT_MAX_ATTEMPTS = parseInt(process.env.STRIPE_EVENT_MAX_ATTEMPTS || '8', 10);
+const STRIPE_EVENT_RETRY_BASE_MS = parseInt(process.env.STRIPE_EVENT_RETRY_BASE_MS || '30000', 10);
+const STRIPE_EVENT_RETRY_MAX_MS = 60 * 60 * 1000;
+const STRIPE_EVENTS_INTERVAL_MS = parseInt(process.env.STRIPE_EVENTS_INTERVAL_MS || '5000', 10);
+const STRIPE_EVENT_LEASE_MS = 5 * 60 * 1000;
+
+// One key per order: the payment intent when there is one, else the checkout session
+function stripeEventLockKey(event) {
+  const obj = event?.data?.object || {};
+  if (obj.object === "checkout.session") return obj.payment_intent || obj.id;
+  if (obj.object === "payment_intent") return obj.id;
+  if (obj.object === "charge" || obj.object === "dispute") return obj.payment_intent || obj.charge || obj.id;
+  return null;
+}
+
+// Returns false only when the event could not be stored, so the caller can make Stripe retry
+async function journalStripeEvent(event) {
+  const now = new Date().toISOString();
+  const { error } = await supabase.from("webhook_events").insert({
+    id: event.id,
+    type: event.type,
+    payload: event,
+    lock_key: stripeEventLockKey(event),
+    event_created: event.created || null,
+    status: "queued",
+    attempts: 1,
+    process_attempts: 0,
+    next_attempt_at: now,
+    received_at: now,
+    last_attempt_at: now
+  });
+  if (!error) return true;
+  if (error.code !== "23505") {
+    console.error("webhook journal insert failed:", error.message || error);
+    return false;
+  }
+  const { data } = await supabase.from("webhook_events").select("attempts").eq("id", event.id).maybeSingle();
+  await supabase.from("webhook_events")
+    .update({ attempts: Number(data?.attempts || 0) + 1, last_attempt_at: now })
+    .eq("id", event.id);
+  return true;
+}
+
+// Handlers catch most errors themselves and record them as the processed_events outcome,
+// so the journal status is taken from that outcome as well as from thrown errors
+async function finishJournalEntry(eventId, { result, error, replayed = false }) {
+  let outcome = null;
+  if (!error) {
+    const { data } = await supabase.from("processed_events").select("outcome").eq("event_id", eventId).maybeSingle();
+    outcome = data?.outcome || null;
+  }
+  const failed = !!error || /^error\b/.test(String(outcome || "")) || /:error/.test(String(outcome || ""));
+  const update = {
+    status: failed ? "error" : "processed",
+    result: result === undefined ? null : (typeof result === "string" ? result : JSON.stringify(result)),
+    outcome,
+    error: error ? String(error?.message || error) : (failed ? outcome : null),
+    next_attempt_at: null
+  };
+  if (replayed) update.replayed_at = new Date().toISOString();
+  const { error: upErr } = await supabase.from("webhook_events").update(update).eq("id", eventId);
+  if (upErr) console.error("webhook journal update failed:", upErr.message || upErr);
+}
+
+async function processJournaledEvent(row) {
+  if (row.lock_key) {
+    // An earlier event for the same order goes first (dead-lettered ones no longer block)
+    const { count } = await supabase
+      .from("webhook_events")
+      .select("id", { count: "exact", head: true })
+      .eq("lock_key", row.lock_key)
+      .lt("event_created", row.event_created)
+      .in("status", ["queued", "processing", "retrying"]);
+    if (count) return;
+  }
+
+  const attempt = Number(row.process_attempts || 0) + 1;
+  const { data: claimed } = await supabase
+    .from("webhook_events")
+    .update({ status: "processing", process_attempts: attempt, next_attempt_at: new Date(Date.now() + STRIPE_EVENT_LEASE_MS).toISOString() })
+    .eq("id", row.id)
+    .eq("status", row.status)
+    .eq("next_attempt_at", row.next_attempt_at)
+    .select("id")
+    .maybeSingle();
+  if (!claimed) return;
+
+  let out;
+  try {
+    // A thrown error releases the event's claim; after a crash the claim is still "processing",
+    // so retries skip the per-event check (the journal lease keeps them exclusive) and the
+    // per-step guards decide what still needs doing
+    out = await handleStripeEvent(row.payload, { replay: attempt > 1 });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const dead = attempt >= STRIPE_EVENT_MAX_ATTEMPTS;
+    console.error(`Stripe event ${row.id} (${row.type}) attempt ${attempt} failed${dead ? ", dead-lettered" : ""}:`, msg);
+    await supabase.from("webhook_events").update({
+      status: dead ? "dead" : "retrying",
+      error: msg,
+      next_attempt_at: dead ? null : new Date(Date.now() + backoffDelayMs(attempt, STRIPE_EVENT_RETRY_BASE_MS, STRIPE_EVENT_RETRY_MAX_MS)).toISOString()
+    }).eq("id", row.id);
+    if (dead) {
+      await notifyOps("webhook_dead_letter", {
+        subject: `[CatfishEmpire] Stripe event ${row.type} dead-lettered`,
+        title: "Stripe event dead-lettered",
+        intro: `Gave up after ${attempt} attempts. Fix the cause, then replay it.`,
+        fields: [["Event", row.id], ["Type", row.type], ["Lock key", row.lock_key || "n/a"]],
+        details: msg,
+        action: `POST /admin/webhooks/events/${row.id}/replay`
+      });
+    }
+    return;
+  }
+  await finishJournalEntry(row.id, { result: out });
+}
+
+async function runStripeEvents() {
+  const { data, error } = await supabase
+    .from("webhook_events")
+    .select("id, type, payload, lock_key, event_created, status, process_attempts, next_attempt_at")
+    .in("status", ["queued", "retrying", "processing"])
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("event_created", { ascending: true })
+    .order("received_at", { ascending: true })
+    .limit(50);
+  if (error) throw error;
+  for (const row of (data || [])) await processJournaledEvent(row);
+}
+
+startBackgroundWorker("stripe-events", STRIPE_EVENTS_INTERVAL_MS, runStripeEvents);
+
+// ===== STRIPE WEBHOOK =====
+// Dispatches one verified Stripe event and returns a short result for the journal.
+// replay=true skips the per-event duplicate check so a retried or replayed journal entry
+// runs again; the per-step guards inside each branch still apply. A throw releases the
+// event's claim so a later delivery is not refused as a duplicate.
+async function handleStripeEvent(event, opts = {}) {
+  // A replayed event whose claim was released still needs a row for its outcome to land on
+  if (opts.replay) await markStripeEventProcessedOnce(event.id, event.type);
+  try {
+    return await dispatchStripeEvent(event, opts);
+  } catch (e) {
+    await releaseEventClaim(event.id);
+    throw e;
+  }
+}
+
+async function dispatchStripeEvent(event, { replay = false } = {}) {
+  if (event.type === "checkout.session.completed" || event.type === "checkout.session.async_payment_succeeded") {
+    const firstTime = replay || await markStripeEventProcessedOnce(event.id, event.type);
+    if (!firstTime) {
+      return "[ok] duplicate event ignored";
+    }
 
-    console.log("✅ Inventory updated from payment");
+    const session = event.data.object;
+    // Delayed payment methods complete unpaid; fulfillment waits for async_payment_succeeded
+    if (session.payment_status === "unpaid") {
+      console.log(`⏳ Session ${session.id} completed unpaid; holding fulfillment until payment succeeds`);
+      await settleReservations(session, "extend");
+      await recordEventOutcome(event.id, "awaiting_payment");
+      return "[ok] awaiting payment";
+    }
+    const outcome = await fulfillCheckoutSession(session, event);
+    await recordEventOutcome(event.id, outcome);
+    if (outcome === "donation") return { received: true };
   }
 
   // ---- Refund completed: cancel only on full refund ----
   if (event.type === "charge.refunded") {
-    const firstTime = await markStripeEventProcessedOnce(event.id, event.type);
-    if (!firstTime) return res.status(200).send("[ok] duplicate refund event ignored");
+    const firstTime = replay || await markStripeEventProcessedOnce(event.id, event.type);
+    if (!firstTime) return "[ok] duplicate refund event ignored";
 
     const charge = event.data.object;
     const chargeId = charge.id;
@@ -3576,56 +7308,83 @@ ${pfLines ? `\n${pfLines}` : ''}
     
     const snap = getRefundSnapshotFromCharge(charge);
     const rec = await findOrderByPIorCharge({ pi: piId, charge: chargeId });
-    if (!rec?.pf_order_id) return res.status(200).send("[ok] no linked order");
+    if (!rec?.pf_order_id) {
+      await recordEventOutcome(event.id, "no_linked_order");
+      return "[ok] no linked order";
+    }
 
+    let outcome = snap.full ? "full_refund" : "partial_refund";
+    // Per-step guards so a replayed refund event neither re-applies the ledger update nor
+    // re-alerts ops
+    const recordedByAdmin = Number(rec.amount_refunded || 0) >= snap.amountRefunded;
     try {
-      if (snap.full) {
-        const live = await printfulGetOrder(rec.pf_order_id);
-        const status = (live?.result?.status || "").toLowerCase();
-        if (!/fulfilled|shipped|canceled/.test(status)) {
-          await printfulCancelOrder(rec.pf_order_id);
+      const applied = await runEventStepOnce("stripe_step", `${event.id}:refund_ledger`, event.type, async () => {
+        if (snap.full) {
+          const live = await printfulGetOrder(rec.pf_order_id);
+          const status = (live?.result?.status || "").toLowerCase();
+          if (!/fulfilled|shipped|canceled/.test(status)) {
+            await printfulCancelOrder(rec.pf_order_id);
+          }
+          await upsertOrderRecord({
+            external_id: rec.external_id,
+            pf_order_id: rec.pf_order_id,
+            status: "canceled",
+            amount_captured: snap.amountCaptured,
+            amount_refunded: snap.amountRefunded,
+            currency: snap.currency,
+            last_event_type: event.type,
+            cancel_reason: "stripe_full_refund"
+          });
+        } else {
+          // Refunds issued from /admin/orders/:id/refund are already on the ledger
+          await upsertOrderRecord({
+            external_id: rec.external_id,
+            pf_order_id: rec.pf_order_id,
+            status: rec.status,
+            amount_captured: snap.amountCaptured,
+            amount_refunded: snap.amountRefunded,
+            currency: snap.currency,
+            last_event_type: event.type,
+            cancel_reason: null
+          });
         }
-        await upsertOrderRecord({
-          external_id: rec.external_id,
-          pf_order_id: rec.pf_order_id,
-          status: "canceled",
-          amount_captured: snap.amountCaptured,
-          amount_refunded: snap.amountRefunded,
-          currency: snap.currency,
-          last_event_type: event.type,
-          cancel_reason: "stripe_full_refund"
-        });
-      } else {
-        await upsertOrderRecord({
-          external_id: rec.external_id,
-          pf_order_id: rec.pf_order_id,
-          status: rec.status,
-          amount_captured: snap.amountCaptured,
-          amount_refunded: snap.amountRefunded,
-          currency: snap.currency,
-          last_event_type: event.type,
-          cancel_reason: null
+        return outcome;
+      });
+      if (!applied.ran) outcome = `${outcome} (already applied)`;
+      if (!snap.full && !recordedByAdmin) {
+        await runEventStepOnce("stripe_step", `${event.id}:ops_alert`, event.type, async () => {
+          await notifyOps("partial_refund", {
+            subject: `[CatfishEmpire] Partial refund detected for ${rec.external_id}`,
+            title: "Partial refund detected",
+            intro: "No auto-cancel performed (partial refund).",
+            fields: [
+              ["external_id", rec.external_id],
+              ["amount_captured", formatMoney(snap.amountCaptured, snap.currency)],
+              ["amount_refunded", formatMoney(snap.amountRefunded, snap.currency)]
+            ],
+            action: `POST /admin/orders/${rec.external_id}/refund (no lines = refund the rest and cancel)`
+          });
+          return "notified";
         });
-        await notifyOps("rich@richmediaempire.com",
-          `[CatfishEmpire] Partial refund detected for ${rec.external_id}`,
-          `<p>amount_captured: ${(snap.amountCaptured/100).toFixed(2)} ${snap.currency.toUpperCase()}<br>
-             amount_refunded: ${(snap.amountRefunded/100).toFixed(2)} ${snap.currency.toUpperCase()}</p>
-           <p>No auto-cancel performed (partial refund). If you wish to cancel, use:</p>
-           <pre>POST /admin/printful/cancel {"external_id":"${rec.external_id}"}</pre>`);
       }
     } catch (e) {
       console.error("Refund handler failed:", e?.message || e);
-      await notifyOps("rich@richmediaempire.com",
-        `[CatfishEmpire] Refund handler error for ${rec.external_id}`,
-        `<pre>${(e?.message || e).toString()}</pre>`);
+      outcome = `error: ${e?.message || e}`;
+      await notifyOps("refund_failure", {
+        subject: `[CatfishEmpire] Refund handler error for ${rec.external_id}`,
+        title: "Refund handler error",
+        fields: [["external_id", rec.external_id], ["pf_order_id", rec.pf_order_id]],
+        details: (e?.message || e).toString()
+      });
     }
-    return res.status(200).send("[ok]");
+    await recordEventOutcome(event.id, outcome);
+    return "[ok]";
   }
 
   // ---- Async payment failed ----
   if (event.type === "checkout.session.async_payment_failed" || event.type === "payment_intent.payment_failed") {
-    const firstTime = await markStripeEventProcessedOnce(event.id, event.type);
-    if (!firstTime) return res.status(200).send("[ok] duplicate async fail ignored");
+    const firstTime = replay || await markStripeEventProcessedOnce(event.id, event.type);
+    if (!firstTime) return "[ok] duplicate async fail ignored";
 
     let piId = null, rec = null;
     if (event.type === "payment_intent.payment_failed") {
@@ -3636,10 +7395,15 @@ ${pfLines ? `\n${pfLines}` : ''}
       const session = event.data.object;
       piId = session.payment_intent || null;
       rec = await findOrderByPIorCharge({ pi: piId });
+      await settleReservations(session, "payment_failed");
     }
 
-    if (!rec?.pf_order_id) return res.status(200).send("[ok] no linked order");
+    if (!rec?.pf_order_id) {
+      await recordEventOutcome(event.id, "no_linked_order");
+      return "[ok] no linked order";
+    }
 
+    let outcome = "canceled";
     try {
       const live = await printfulGetOrder(rec.pf_order_id);
       const status = (live?.result?.status || "").toLowerCase();
@@ -3653,16 +7417,298 @@ ${pfLines ? `\n${pfLines}` : ''}
       });
     } catch (e) {
       console.error("Auto-cancel on async failure failed:", e?.message || e);
-      await notifyOps("rich@richmediaempire.com",
-        `[CatfishEmpire] Auto-cancel failed for ${rec.external_id}`,
-        `<p>Stripe event: ${event.type}</p><p>pf_order_id: ${rec.pf_order_id}</p><pre>${(e?.message || e).toString()}</pre>`);
+      outcome = `error: ${e?.message || e}`;
+      await notifyOps("auto_cancel_failure", {
+        subject: `[CatfishEmpire] Auto-cancel failed for ${rec.external_id}`,
+        title: "Auto-cancel failed",
+        fields: [["Stripe event", event.type], ["external_id", rec.external_id], ["pf_order_id", rec.pf_order_id]],
+        details: (e?.message || e).toString()
+      });
+    }
+    await recordEventOutcome(event.id, outcome);
+    return "[ok]";
+  }
+
+  // ---- Expired checkout: release held stock, keep the cart for recovery emails ----
+  if (event.type === "checkout.session.expired") {
+    const firstTime = replay || await markStripeEventProcessedOnce(event.id, event.type);
+    if (!firstTime) return "[ok] duplicate expired event ignored";
+    await settleReservations(event.data.object, "expired");
+    let outcome;
+    try {
+      outcome = await recordAbandonedCart(event.data.object);
+    } catch (e) {
+      console.error("Abandoned cart save failed:", e?.message || e);
+      outcome = `error: ${e?.message || e}`;
+    }
+    await recordEventOutcome(event.id, `abandoned_cart:${outcome}`);
+    return "[ok]";
+  }
+
+  // ---- Disputes: hold or cancel fulfillment, alert ops ----
+  if (event.type === "charge.dispute.created" || event.type === "charge.dispute.closed") {
+    const firstTime = replay || await markStripeEventProcessedOnce(event.id, event.type);
+    if (!firstTime) return "[ok] duplicate dispute event ignored";
+
+    const dispute = event.data.object;
+    const rec = await findOrderByPIorCharge({ pi: dispute.payment_intent || null, charge: dispute.charge || null });
+    if (!rec) {
+      await runEventStepOnce("stripe_step", `${event.id}:ops_alert`, event.type, async () => {
+        await notifyOps("dispute", {
+          subject: `[CatfishEmpire] Dispute ${dispute.status} with no linked order`,
+          title: "Dispute on an unlinked charge",
+          fields: disputeFields(dispute),
+          action: "Check the Stripe dashboard; this charge has no order in the ledger."
+        });
+        return "notified";
+      });
+      await recordEventOutcome(event.id, "no_linked_order");
+      return "[ok] no linked order";
+    }
+
+    // Per-step guards: a replay neither repeats the hold/cancel nor re-alerts ops
+    const opened = event.type === "charge.dispute.created";
+    let outcome;
+    try {
+      const step = await runEventStepOnce("stripe_step", `${event.id}:dispute_fulfillment`, event.type,
+        () => opened ? holdOrderForDispute(rec, dispute) : closeOrderDispute(rec, dispute));
+      outcome = step.ran ? step.result : "already applied";
+    } catch (e) {
+      console.error("Dispute handler failed:", e?.message || e);
+      outcome = `error: ${e?.message || e}`;
     }
-    return res.status(200).send("[ok]");
+    await runEventStepOnce("stripe_step", `${event.id}:ops_alert`, event.type, async () => {
+      await notifyOps("dispute", {
+        subject: opsEmailSubject(rec.external_id, opened ? "Dispute opened" : `Dispute closed (${dispute.status})`),
+        title: opened ? "Dispute opened" : `Dispute closed: ${dispute.status}`,
+        intro: `Fulfillment: ${outcome}.`,
+        fields: [["external_id", rec.external_id], ["pf_order_id", rec.pf_order_id || "n/a"], ...disputeFields(dispute)],
+        action: opened ? `GET /admin/orders/${rec.external_id}/dispute-evidence` : "",
+        ref: rec.external_id
+      });
+      return "notified";
+    });
+    await recordEventOutcome(event.id, outcome);
+    return "[ok]";
+  }
+
+  return { received: true };
+}
+
+app.post("/webhook", async (req, res) => {
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.body,
+      req.headers["stripe-signature"],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  // Acknowledge as soon as the event is durable; the stripe-events worker does the work
+  if (!(await journalStripeEvent(event))) return res.status(500).send("[error] could not persist event");
+  kickWorker("stripe-events");
   res.json({ received: true });
 });
 
+// ===== PRINTFUL WEBHOOK =====
+// Register in Printful as https://<host>/webhook/printful?secret=<PRINTFUL_WEBHOOK_SECRET>.
+// Printful v1 webhooks are unsigned, so the shared secret in the URL is the verification.
+const PRINTFUL_WEBHOOK_TYPES = ["package_shipped", "package_returned", "order_failed", "order_canceled", "order_put_hold", "order_updated"];
+
+function verifyPrintfulWebhook(req) {
+  const expected = String(process.env.PRINTFUL_WEBHOOK_SECRET || "");
+  const given = String(req.query?.secret || req.headers["x-pf-webhook-secret"] || "");
+  if (!expected || !given) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return false;
+  const storeId = process.env.PRINTFUL_STORE_ID;
+  if (storeId && req.body?.store && String(req.body.store) !== String(storeId)) return false;
+  return true;
+}
+
+// Printful order status → ledger status (null = no ledger transition implied)
+function ledgerStatusFromPrintful(pfStatus) {
+  switch (String(pfStatus || "").toLowerCase()) {
+    case "draft": return "draft";
+    case "pending":
+    case "inprocess": return "confirmed";
+    case "partial": return "shipped";
+    case "fulfilled": return "fulfilled";
+    case "canceled": return "canceled";
+    case "failed": return "failed";
+    default: return null;
+  }
+}
+
+function printfulEventKey(evt) {
+  const d = evt?.data || {};
+  const parts = [evt?.type, d.order?.id, d.shipment?.id || d.return?.id || "", evt?.created];
+  return `pf:${parts.join(":")}`;
+}
+
+// Apply one Printful event to the ledger. Returns { outcome, rec }.
+async function applyPrintfulEvent(evt) {
+  const type = evt.type;
+  const data = evt.data || {};
+  const order = data.order || {};
+  const external_id = order.external_id ? String(order.external_id) : null;
+  const rec = external_id ? await getOrderByExternalId(external_id) : null;
+  if (!rec) return { outcome: "unknown_order", rec: null };
+
+  const pfStatus = String(order.status || "").toLowerCase() || null;
+  const update = {
+    external_id,
+    pf_order_id: rec.pf_order_id || order.id || null,
+    pf_status: pfStatus || rec.pf_status || null,
+    last_event_type: `printful.${type}`
+  };
+
+  let target = null;
+  if (type === "package_shipped") {
+    const shipment = data.shipment || {};
+    const shipments = Array.isArray(rec.shipments) ? rec.shipments.slice() : [];
+    if (shipment.id && !shipments.some(s => String(s.id) === String(shipment.id))) {
+      shipments.push({
+        id: shipment.id,
+        carrier: shipment.carrier || null,
+        service: shipment.service || null,
+        tracking_number: shipment.tracking_number || null,
+        tracking_url: shipment.tracking_url || null,
+        ship_date: shipment.ship_date || null,
+        shipped_at: shipment.shipped_at ? new Date(shipment.shipped_at * 1000).toISOString() : new Date().toISOString(),
+        items: Array.isArray(shipment.items) ? shipment.items : []
+      });
+    }
+    update.shipments = shipments;
+    target = pfStatus === "fulfilled" ? "fulfilled" : "shipped";
+  } else if (type === "order_failed") {
+    target = "failed";
+    update.meta = { printful_failure: { reason: data.reason || null, at: new Date().toISOString() } };
+  } else if (type === "order_canceled") {
+    target = "canceled";
+    update.cancel_reason = data.reason || "printful_canceled";
+    update.cancelled_at = new Date().toISOString();
+  } else if (type === "order_put_hold") {
+    update.meta = { printful_hold: { reason: data.reason || null, at: new Date().toISOString() } };
+  } else if (type === "package_returned") {
+    update.meta = { printful_return: { ...(data.return || {}), at: new Date().toISOString() } };
+  } else if (type === "order_updated") {
+    target = ledgerStatusFromPrintful(pfStatus);
+  }
+
+  if (target && canTransitionOrder(rec.status, target)) {
+    update.status = target;
+  } else if (target && target !== rec.status) {
+    console.warn(`Printful ${type} for ${external_id}: ignoring ${rec.status} -> ${target}`);
+  }
+
+  const saved = await upsertOrderRecord(update);
+  if (!update.status || update.status === rec.status) {
+    // No status change, but keep the event in the order's history
+    await appendOrderHistory({
+      external_id,
+      from_status: rec.status,
+      to_status: rec.status,
+      event_type: update.last_event_type,
+      meta: { pf_status: pfStatus, reason: data.reason || null }
+    });
+  }
+  return { outcome: update.status && update.status !== rec.status ? `status:${update.status}` : "recorded", rec: saved || rec };
+}
+
+app.post("/webhook/printful", express.json({ limit: "1mb" }), async (req, res) => {
+  if (!verifyPrintfulWebhook(req)) return res.status(401).json({ error: "unauthorized" });
+  const evt = req.body || {};
+  if (!PRINTFUL_WEBHOOK_TYPES.includes(evt.type)) return res.json({ received: true, ignored: evt.type || null });
+
+  const key = printfulEventKey(evt);
+  const firstTime = await markEventProcessedOnce("printful", key, evt.type);
+  if (!firstTime) return res.status(200).send("[ok] duplicate event ignored");
+
+  const order = evt.data?.order || {};
+  const external_id = order.external_id || null;
+  let outcome, rec = null;
+  try {
+    ({ outcome, rec } = await applyPrintfulEvent(evt));
+  } catch (e) {
+    // Let Printful redeliver: drop the claim and answer 5xx
+    console.error(`Printful webhook ${evt.type} failed:`, e?.message || e);
+    await releaseEventClaim(key);
+    return res.status(500).json({ received: false, error: e?.message || String(e) });
+  }
+
+  if (evt.type === "package_shipped" && rec && evt.data?.shipment) {
+    try {
+      await sendShippingConfirmation({ rec, order, shipment: evt.data.shipment });
+    } catch (e) {
+      console.error("Shipping confirmation email failed:", e?.message || e);
+    }
+  }
+
+  if (evt.type === "order_failed" || evt.type === "order_put_hold" || evt.type === "package_returned") {
+    const label = evt.type === "order_failed" ? "Printful order failed" : evt.type === "order_put_hold" ? "Printful order on hold" : "Printful package returned";
+    const kind = evt.type === "order_failed" ? "printful_failure" : evt.type === "order_put_hold" ? "printful_hold" : "printful_return";
+    await notifyOps(kind, {
+      subject: opsEmailSubject(external_id || order.id || "unknown", label),
+      title: label,
+      fields: [
+        ["pf_order_id", order.id],
+        ["status", order.status],
+        ["reason", evt.data?.reason || evt.data?.return?.reason || "n/a"],
+        ["ledger", outcome]
+      ]
+    });
+  }
+
+  await recordEventOutcome(key, outcome);
+  res.json({ received: true, outcome });
+});
+
 // ===== START SERVER =====
-const PORT = process.env.PORT || 4242; // Render injects PORT
-app.listen(PORT, () => console.log(`🚀 Server live on ${PORT}`));
+// Required from tests the module only builds the app; background worker timers are unref'd
+if (require.main === module) {
+  const PORT = process.env.PORT || 4242; // Render injects PORT
+  app.listen(PORT, () => console.log(`🚀 Server live on ${PORT}`));
+}
+
+module.exports = {
+  app,
+  supabase,
+  stripe,
+  transporter,
+  markEventProcessedOnce,
+  releaseEventClaim,
+  runEventStepOnce,
+  fulfillCheckoutSession,
+  refundOrder,
+  handleStripeEvent,
+  runStripeEvents,
+  renderEmail,
+  EMAIL_TEMPLATES,
+  queueEmail,
+  runEmailOutbox,
+  runCartRecovery,
+  runPrintfulJobs,
+  setCache,
+  getCache,
+  priceCartServerSide,
+  localizeListCents,
+  convertUsdCents,
+  toUsdCents,
+  currencyForCountry,
+  countriesForCurrency,
+  buildPrintfulOrderItems,
+  resolveShippingZone,
+  quoteShipping,
+  recipientIsComplete,
+  normalizePrintfulRecipient,
+  canTransitionOrder,
+  upsertOrderRecord,
+  decideFulfillment,
+  reserveInventory,
+  FULFILLMENT_POLICY
+};
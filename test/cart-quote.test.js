@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, stubStripe, listen } = require('./helpers/load-server');
+
+const { setCache } = server;
+
+const TEE = { type: 'printful', variantId: 101, qty: 2 };
+
+function seed() {
+  setCache('pricing:variant:101', { variantId: 101, syncProductId: '9001', catalogVariantId: null, name: 'Catfish Tee', image: '', color: 'Black', size: 'M', retailCents: 2500 });
+  setCache('pricing:override:9001', { cents: null });
+  setCache('shipping:zones', [{ id: 'na', name: 'North America', countries: ['US', 'CA'], rateCents: 500, freeOverCents: null, excludedProductIds: [], liveRates: false }]);
+  useTables();
+}
+
+test('a quote prices the cart server-side and waits for an address before estimating tax', async (t) => {
+  seed();
+  const quote = await (await listen(t))('POST', '/api/cart/quote', { items: [{ ...TEE, priceCents: 100 }] });
+  assert.equal(quote.status, 200, quote.text);
+  assert.equal(quote.body.currency, 'usd');
+  assert.deepEqual(quote.body.lines.map(l => [l.variant_id, l.unit_cents, l.total_cents]), [[101, 2500, 5000]]);
+  assert.equal(quote.body.mismatches.length, 1, 'the client price is reported, not charged');
+  assert.deepEqual(quote.body.shipping.options.map(o => o.amount_cents), [500]);
+  assert.equal(quote.body.shipping.zone, 'na');
+  assert.deepEqual(quote.body.tax, { status: 'needs_address', cents: null });
+  assert.equal(quote.body.total_cents, 5500);
+});
+
+test('with a full address the Stripe Tax estimate is added to the total', async (t) => {
+  seed();
+  const calcs = [];
+  stubStripe(t, { 'tax.calculations': { create: async (params) => { calcs.push(params); return { tax_amount_exclusive: 396 }; } } });
+  const quote = await (await listen(t))('POST', '/api/cart/quote', { items: [TEE], shippingCountry: 'US', shippingState: 'nc', shippingZip: '27601' });
+  assert.deepEqual(quote.body.tax, { status: 'estimated', cents: 396 });
+  assert.equal(quote.body.total_cents, 5896);
+  assert.deepEqual(calcs[0].customer_details.address, { country: 'US', state: 'NC', postal_code: '27601' });
+  assert.deepEqual(calcs[0].shipping_cost, { amount: 500, tax_behavior: 'exclusive' });
+});
+
+test('a failed tax estimate still returns the quote', async (t) => {
+  seed();
+  stubStripe(t, { 'tax.calculations': { create: async () => { throw new Error('tax not enabled'); } } });
+  const quote = await (await listen(t))('POST', '/api/cart/quote', { items: [TEE], shippingCountry: 'US', shippingZip: '10001' });
+  assert.equal(quote.status, 200);
+  assert.deepEqual(quote.body.tax, { status: 'unavailable', cents: null });
+  assert.equal(quote.body.total_cents, 5500);
+});
+
+test('the TAKE5 code quotes a dollar with free shipping and no tax', async (t) => {
+  seed();
+  const quote = await (await listen(t))('POST', '/api/cart/quote', { items: [TEE], promoCode: 'TAKE5', shippingZip: '27601' });
+  assert.equal(quote.body.promo.mode, 'oneDollar');
+  assert.equal(quote.body.shipping.selected_cents, 0);
+  assert.equal(quote.body.tax.status, 'not_applicable');
+  assert.equal(quote.body.total_cents, 100);
+  assert.equal(quote.body.discount_cents, 4900);
+});
+
+test('empty carts and unknown items are rejected', async (t) => {
+  seed();
+  const request = await listen(t);
+  assert.equal((await request('POST', '/api/cart/quote', { items: [] })).status, 400);
+  assert.equal((await request('POST', '/api/cart/quote', { items: [{ type: 'mystery', qty: 1 }] })).status, 400);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RECOVERY_PROMO_PERCENT = '10';
+const { server, useTables, stubStripe, listen } = require('./helpers/load-server');
+
+const { handleStripeEvent, runCartRecovery, setCache } = server;
+
+const now = Math.floor(Date.now() / 1000);
+const expired = (over = {}) => ({
+  id: 'evt_expired',
+  type: 'checkout.session.expired',
+  data: {
+    object: {
+      id: 'cs_abandoned', created: now - 86400, expires_at: now - 3 * 3600, amount_total: 3499, currency: 'cad',
+      customer_details: { email: 'ann@shopper.test', name: 'Ann' }, metadata: { i0: 'p|9001|101|1|Black|M' }, ...over
+    }
+  }
+});
+
+function stubSessions(t, paidSessions = []) {
+  const lookups = [];
+  stubStripe(t, {
+    'checkout.sessions': {
+      listLineItems: async () => ({ data: [{ description: 'Catfish Tee', quantity: 1, amount_total: 3499 }] }),
+      list: async (params) => { lookups.push(params); return { data: paidSessions }; }
+    }
+  });
+  return lookups;
+}
+
+test('an expired checkout is kept for recovery with its first email an hour after expiry', async (t) => {
+  const db = useTables();
+  const lookups = stubSessions(t);
+  assert.equal(await handleStripeEvent(expired()), '[ok]');
+  const [cart] = db.tables.abandoned_carts;
+  assert.equal(cart.status, 'pending');
+  assert.equal(cart.currency, 'cad');
+  assert.deepEqual(cart.lines, [{ name: 'Catfish Tee', quantity: 1, amountCents: 3499 }]);
+  assert.equal(Date.parse(cart.next_email_at), (now - 2 * 3600) * 1000);
+  assert.equal(lookups[0].customer_details.email, 'ann@shopper.test');
+  assert.equal(db.tables.processed_events[0].outcome, 'abandoned_cart:stored');
+});
+
+test('a shopper who has since paid for a self-fulfilled order is not emailed', async (t) => {
+  const db = useTables();
+  stubSessions(t, [{ id: 'cs_paid', metadata: { i0: 's|cap||1|black|' } }]);
+  await handleStripeEvent(expired());
+  assert.equal(db.tables.abandoned_carts[0].status, 'skipped');
+  assert.equal(db.tables.abandoned_carts[0].next_email_at, null);
+});
+
+test('donations and recovery checkouts that expire again are not stored', async (t) => {
+  const db = useTables();
+  stubSessions(t);
+  await handleStripeEvent(expired({ metadata: { intent: 'donation' } }));
+  await handleStripeEvent({ ...expired({ metadata: { recovery_token: 'tok' } }), id: 'evt_expired_2' });
+  assert.equal(db.tables.abandoned_carts, undefined);
+});
+
+test('the worker emails on schedule, adds a one-time code from the second email, then stops', async (t) => {
+  const db = useTables();
+  stubSessions(t);
+  await handleStripeEvent(expired());
+  const cart = db.tables.abandoned_carts[0];
+
+  await runCartRecovery();
+  assert.equal(cart.emails_sent, 1);
+  assert.equal(cart.promo_code, undefined);
+  assert.match(db.tables.email_outbox[0].text, /recover=/);
+
+  for (const step of [2, 3]) {
+    cart.next_email_at = new Date(Date.now() - 1000).toISOString();
+    await runCartRecovery();
+    assert.equal(cart.emails_sent, step);
+  }
+  assert.match(cart.promo_code, /^BACK-[0-9A-F]{8}$/);
+  assert.ok(db.tables.email_outbox[2].text.includes(cart.promo_code));
+  assert.equal(cart.status, 'exhausted');
+  assert.equal(cart.next_email_at, null);
+});
+
+test('a recovery link rebuilds the cart in the abandoned currency and the stats count it', async (t) => {
+  const db = useTables();
+  stubSessions(t);
+  await handleStripeEvent(expired());
+  setCache('pricing:variant:101', { variantId: 101, syncProductId: '9001', catalogVariantId: null, name: 'Catfish Tee', image: '', color: 'Black', size: 'M', retailCents: 2500 });
+  setCache('pricing:override:9001', { cents: null });
+  setCache('pricing:pricelist:cad', {});
+
+  const request = await listen(t);
+  const cart = db.tables.abandoned_carts[0];
+  const res = await request('GET', `/api/cart/recover/${cart.recovery_token}`);
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.currency, 'cad');
+  assert.deepEqual(res.body.items.map(i => [i.variantId, i.priceCents]), [[101, 3499]]);
+  assert.ok(cart.recovered_at);
+  assert.equal((await request('GET', '/api/cart/recover/nope')).status, 404);
+
+  await request('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+  const stats = (await request('GET', '/admin/carts/abandoned')).body.stats;
+  assert.deepEqual({ carts: stats.carts, emailed: stats.emailed, clicked: stats.clicked, converted: stats.converted }, { carts: 1, emailed: 0, clicked: 1, converted: 0 });
+
+  cart.status = 'converted';
+  assert.equal((await request('GET', `/api/cart/recover/${cart.recovery_token}`)).status, 410);
+});
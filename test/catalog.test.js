@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, listen } = require('./helpers/load-server');
+
+const { localizeListCents } = server;
+
+const SOON = () => new Date(Date.now() + 30 * 60 * 1000).toISOString();
+
+function seed() {
+  return useTables({
+    self_products: [
+      { id: 'cap', sku: 'CAP', name: 'Cap', description: 'A cap', price_cents: 1800, images: ['cap.jpg'], active: true, sort_index: 0 },
+      { id: 'old-hat', sku: 'HAT', name: 'Old hat', price_cents: 1000, images: [], active: false, sort_index: 1 }
+    ],
+    self_product_variants: [
+      { product_id: 'cap', option: 'black', sku: 'CAP-black', stock: 3, active: true },
+      { product_id: 'cap', option: 'red', sku: 'CAP-red', price_cents: 2000, stock: 1, active: true },
+      { product_id: 'cap', option: 'blue', sku: 'CAP-blue', stock: 9, active: false }
+    ],
+    inventory_reservations: [{ id: 1, hold_id: 'hold_1', product_id: 'cap', option: 'red', qty: 1, status: 'active', expires_at: SOON() }]
+  });
+}
+
+async function catalog(request, query = '') {
+  const res = await request('GET', `/api/catalog${query}`);
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+test('the public catalog lists active products with stock net of checkout holds', async (t) => {
+  seed();
+  const request = await listen(t);
+  const { currency, products } = await catalog(request);
+  assert.equal(currency, 'usd');
+  assert.deepEqual(products.map(p => p.id), ['cap']);
+  const [cap] = products;
+  assert.equal(cap.price_cents, 1800);
+  assert.deepEqual(cap.variants.map(v => [v.option, v.name, v.price_cents, v.stock, v.in_stock]), [
+    ['black', 'Cap / black', 1800, 3, true],
+    ['red', 'Cap / red', 2000, 0, false]
+  ]);
+  assert.equal(cap.variants[0].image, 'cap.jpg');
+
+  const ca = await catalog(request, '?country=CA');
+  assert.equal(ca.currency, 'cad');
+  assert.deepEqual(ca.products[0].variants.map(v => v.price_cents), [localizeListCents(1800, 'cad'), localizeListCents(2000, 'cad')]);
+
+  assert.equal((await request('GET', '/api/catalog/cap')).body.product.id, 'cap');
+  assert.equal((await request('GET', '/api/catalog/old-hat')).status, 404);
+});
+
+test('admins edit products and variants and the storefront sees the change', async (t) => {
+  const db = seed();
+  const request = await listen(t);
+  await catalog(request);
+  assert.equal((await request('PUT', '/admin/catalog/products/mug', { name: 'Mug', price_cents: 1200 })).status, 403);
+  await request('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+
+  assert.equal((await request('PUT', '/admin/catalog/products/Bad Id', { name: 'x', price_cents: 1200 })).status, 400);
+  assert.equal((await request('PUT', '/admin/catalog/products/mug', { name: 'Mug' })).status, 400);
+  const created = await request('PUT', '/admin/catalog/products/mug', { name: 'Mug', price_cents: 1200, sort_index: 2 });
+  assert.equal(created.status, 200, created.text);
+  assert.equal(created.body.product.priceCents, 1200);
+
+  const variant = await request('PUT', '/admin/catalog/products/mug/variants/White', { stock: 4 });
+  assert.equal(variant.body.variant.option, 'white');
+  assert.equal(variant.body.variant.stock, 4);
+  assert.equal((await request('PUT', '/admin/catalog/products/nope/variants/white', { stock: 1 })).status, 404);
+
+  await request('PUT', '/admin/catalog/products/cap/variants/black', { stock: 0 });
+  assert.equal(db.tables.self_product_variants.filter(v => v.product_id === 'cap' && v.option === 'black').length, 1);
+
+  const { products } = await catalog(request);
+  assert.deepEqual(products.map(p => [p.id, p.in_stock]), [['cap', false], ['mug', true]]);
+  assert.deepEqual((await request('GET', '/admin/catalog')).body.products.map(p => p.id), ['cap', 'old-hat', 'mug']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, stubStripe } = require('./helpers/load-server');
+
+const { fulfillCheckoutSession } = server;
+
+const SESSION = {
+  id: 'cs_test_emails',
+  amount_total: 1800,
+  amount_subtotal: 1800,
+  currency: 'usd',
+  customer_details: { email: 'ann@shopper.test', name: 'Ann' },
+  metadata: { i0: 's|cap||1|black|', mode: 'normal' },
+  total_details: {}
+};
+
+function seed() {
+  return useTables({
+    self_products: [{ id: 'cap', sku: 'CAP', name: 'Cap', price_cents: 1800, images: [], active: true, sort_index: 0 }],
+    self_product_variants: [{ product_id: 'cap', option: 'black', sku: 'CAP-black', stock: 5, active: true }],
+    notification_routes: [{ kind: 'new_order', recipients: ['ops@example.com'] }, { kind: 'donation', recipients: ['ops@example.com'] }]
+  });
+}
+
+function stubSession(t) {
+  stubStripe(t, {
+    'checkout.sessions': {
+      listLineItems: async () => ({ data: [{ description: 'Cap / black', quantity: 1, amount_subtotal: 1800, amount_total: 1800 }] }),
+      retrieve: async () => SESSION
+    }
+  });
+}
+
+function breakOutbox(t, db) {
+  const sendMail = server.transporter.sendMail;
+  server.transporter.sendMail = async () => { throw new Error('smtp down'); };
+  db.fail('email_outbox', 'insert', { message: 'outbox unavailable' });
+  return () => {
+    server.transporter.sendMail = sendMail;
+    db.fail('email_outbox', 'insert', null);
+  };
+}
+
+const outbox = (db, template) => db.tables.email_outbox?.filter(m => m.template === template) || [];
+
+test('a failed admin order email releases its guard and is sent on retry', async (t) => {
+  const db = seed();
+  stubSession(t);
+  const restore = breakOutbox(t, db);
+  await assert.rejects(fulfillCheckoutSession(SESSION, { id: 'evt_1', type: 'checkout.session.completed' }), /admin order email/);
+  restore();
+  assert.equal(db.tables.processed_events.some(r => r.event_id === `admin_new_order:${SESSION.id}`), false);
+
+  await fulfillCheckoutSession(SESSION, { id: 'evt_1', type: 'checkout.session.completed' });
+  await fulfillCheckoutSession(SESSION, { id: 'evt_1', type: 'checkout.session.completed' });
+  assert.equal(outbox(db, 'admin_new_order').length, 1);
+  assert.equal(outbox(db, 'order_confirmation').length, 1);
+  assert.equal(db.tables.self_product_variants[0].stock, 4, 'stock is decremented once');
+});
+
+test('donation emails are retried until queued, and sent once', async (t) => {
+  const db = seed();
+  const donation = { ...SESSION, id: 'cs_test_donation', metadata: { intent: 'donation' } };
+  const restore = breakOutbox(t, db);
+  await assert.rejects(fulfillCheckoutSession(donation, { id: 'evt_2', type: 'checkout.session.completed', created: 1 }), /Donation cs_test_donation incomplete/);
+  restore();
+  assert.deepEqual(db.tables.processed_events || [], []);
+
+  assert.equal(await fulfillCheckoutSession(donation, { id: 'evt_2', type: 'checkout.session.completed', created: 1 }), 'donation');
+  await fulfillCheckoutSession(donation, { id: 'evt_2', type: 'checkout.session.completed', created: 1 });
+  assert.equal(outbox(db, 'donation_thanks').length, 1);
+  assert.equal(outbox(db, 'admin_new_donation').length, 1);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, listen, stubStripe } = require('./helpers/load-server');
+
+const { localizeListCents, convertUsdCents, toUsdCents, currencyForCountry, countriesForCurrency, buildPrintfulOrderItems, setCache } = server;
+
+test('CAD list prices convert at the FX rate and round up to .99', () => {
+  assert.equal(localizeListCents(2500, 'usd'), 2500);
+  assert.equal(localizeListCents(2500, 'cad'), 3499);
+  assert.equal(localizeListCents(2000, 'cad'), 2799);
+  assert.equal(localizeListCents(10, 'cad'), 99);
+});
+
+test('plain conversions round to the cent in both directions', () => {
+  assert.equal(convertUsdCents(1000, 'cad'), 1370);
+  assert.equal(convertUsdCents(1000, 'usd'), 1000);
+  assert.equal(toUsdCents(1370, 'cad'), 1000);
+  assert.equal(toUsdCents(1370, 'CAD'), 1000);
+  assert.equal(toUsdCents(1370, 'eur'), 1370);
+});
+
+test('presentment currency follows the shipping country', () => {
+  assert.equal(currencyForCountry('CA'), 'cad');
+  assert.equal(currencyForCountry('ca'), 'cad');
+  assert.equal(currencyForCountry('US'), 'usd');
+  assert.equal(currencyForCountry('GB'), 'usd');
+  assert.deepEqual(countriesForCurrency('usd', ['US', 'CA', 'GB']), ['US', 'GB']);
+  assert.deepEqual(countriesForCurrency('cad', ['US', 'CA', 'GB']), ['CA']);
+});
+
+test('Printful retail prices are sent in USD', async () => {
+  const items = await buildPrintfulOrderItems([{ type: 'printful', variantId: 101, qty: 2, priceCents: 3425 }], 'cad');
+  assert.deepEqual(items, [{ sync_variant_id: 101, quantity: 2, retail_price: '25.00' }]);
+});
+
+function seedTee() {
+  setCache('pricing:variant:101', { variantId: 101, syncProductId: '9001', catalogVariantId: null, name: 'Catfish Tee', image: '', color: 'Black', size: 'M', retailCents: 2500 });
+  setCache('pricing:override:9001', { cents: null });
+  setCache('pricing:pricelist:cad', {});
+  setCache('shipping:zones', [{ id: 'na', name: 'North America', countries: ['US', 'CA'], rateCents: 500, freeOverCents: null, excludedProductIds: [], liveRates: false }]);
+  useTables();
+}
+
+async function checkout(t, body) {
+  const sessions = [];
+  stubStripe(t, { 'checkout.sessions': { create: async (params) => { sessions.push(params); return { id: 'cs_test_1', url: 'https://checkout.stripe.test/1' }; } } });
+  const res = await (await listen(t))('POST', '/create-checkout-session', body);
+  return { res, params: sessions[0] };
+}
+
+test('checkout without a shipping country is priced in USD for US addresses', async (t) => {
+  seedTee();
+  const { res, params } = await checkout(t, { items: [{ type: 'printful', variantId: 101, qty: 1 }] });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(params.line_items[0].price_data.currency, 'usd');
+  assert.equal(params.line_items[0].price_data.unit_amount, 2500);
+  assert.deepEqual(params.shipping_address_collection.allowed_countries, ['US']);
+});
+
+test('checkout for Canada is priced in CAD and ships to CAD countries', async (t) => {
+  seedTee();
+  const { res, params } = await checkout(t, { items: [{ type: 'printful', variantId: 101, qty: 1 }], shippingCountry: 'CA' });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(params.metadata.currency, 'cad');
+  assert.equal(params.line_items[0].price_data.unit_amount, 3499);
+  assert.deepEqual(params.shipping_address_collection.allowed_countries, ['CA']);
+  assert.equal(params.shipping_options[0].shipping_rate_data.fixed_amount.currency, 'cad');
+});
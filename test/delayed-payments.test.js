@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, useFetch, stubStripe } = require('./helpers/load-server');
+
+const { handleStripeEvent } = server;
+
+const SESSION = {
+  id: 'cs_ach',
+  amount_total: 1800,
+  amount_subtotal: 1800,
+  currency: 'usd',
+  payment_intent: 'pi_ach',
+  customer_details: { email: 'ann@shopper.test', name: 'Ann' },
+  metadata: { i0: 's|cap||1|black|', hold_id: 'hold_ach' },
+  total_details: {}
+};
+
+function seed(extra = {}) {
+  return useTables({
+    self_products: [{ id: 'cap', sku: 'CAP', name: 'Cap', price_cents: 1800, images: [], active: true, sort_index: 0 }],
+    self_product_variants: [{ product_id: 'cap', option: 'black', sku: 'CAP-black', stock: 5, active: true }],
+    inventory_reservations: [{ id: 1, hold_id: 'hold_ach', product_id: 'cap', option: 'black', qty: 1, status: 'active', expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString() }],
+    ...extra
+  });
+}
+
+const event = (id, type, object) => ({ id, type, created: Math.floor(Date.now() / 1000), data: { object } });
+
+test('an unpaid completion holds the stock and fulfills only when the payment succeeds', async (t) => {
+  const db = seed();
+  stubStripe(t, {
+    'checkout.sessions': {
+      listLineItems: async () => ({ data: [{ description: 'Cap / black', quantity: 1, amount_subtotal: 1800, amount_total: 1800 }] }),
+      retrieve: async () => SESSION
+    }
+  });
+
+  assert.equal(await handleStripeEvent(event('evt_completed', 'checkout.session.completed', { ...SESSION, payment_status: 'unpaid' })), '[ok] awaiting payment');
+  const hold = db.tables.inventory_reservations[0];
+  assert.equal(hold.status, 'active');
+  assert.equal(hold.session_id, 'cs_ach');
+  assert.ok(Date.parse(hold.expires_at) > Date.now() + 86400 * 1000, 'held for the payment to clear');
+  assert.equal(db.tables.self_product_variants[0].stock, 5);
+  assert.equal(db.tables.email_outbox, undefined);
+  assert.equal(db.tables.processed_events[0].outcome, 'awaiting_payment');
+
+  await handleStripeEvent(event('evt_succeeded', 'checkout.session.async_payment_succeeded', { ...SESSION, payment_status: 'paid' }));
+  assert.equal(db.tables.inventory_reservations[0].status, 'converted');
+  assert.equal(db.tables.self_product_variants[0].stock, 4);
+  assert.ok(db.tables.email_outbox.some(m => m.template === 'order_confirmation'));
+});
+
+test('a failed delayed payment cancels the linked Printful order and releases the hold', async (t) => {
+  const db = seed({ printful_orders: [{ external_id: 'ORDER-1', status: 'confirmed', pf_order_id: 55, pi_id: 'pi_ach' }] });
+  const calls = useFetch((url, { method }) => ({ body: { result: { id: 55, status: method === 'POST' ? 'canceled' : 'pending' } } }));
+
+  assert.equal(await handleStripeEvent(event('evt_failed', 'checkout.session.async_payment_failed', SESSION)), '[ok]');
+  assert.deepEqual(calls.map(c => [c.method, new URL(c.url).pathname]), [['GET', '/orders/55'], ['POST', '/orders/55/cancel']]);
+  assert.equal(db.tables.printful_orders[0].status, 'canceled');
+  assert.equal(db.tables.inventory_reservations[0].status, 'released');
+  assert.equal(db.tables.inventory_reservations[0].release_reason, 'payment_failed');
+  assert.equal(db.tables.processed_events[0].outcome, 'canceled');
+});
+
+test('a failed payment without a Printful order only releases the hold', async () => {
+  const db = seed();
+  assert.equal(await handleStripeEvent(event('evt_failed', 'checkout.session.async_payment_failed', SESSION)), '[ok] no linked order');
+  assert.equal(db.tables.inventory_reservations[0].status, 'released');
+  assert.equal(db.tables.processed_events[0].outcome, 'no_linked_order');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, useFetch } = require('./helpers/load-server');
+
+const { handleStripeEvent } = server;
+
+function disputeEvent(id, type, status = 'needs_response') {
+  return {
+    id, type, created: 1,
+    data: { object: { id: 'dp_1', charge: 'ch_1', payment_intent: 'pi_1', amount: 5000, currency: 'usd', reason: 'fraudulent', status } }
+  };
+}
+
+function seed(extra = {}) {
+  return useTables({
+    printful_orders: [{ external_id: 'ORDER-1', status: 'draft', pf_order_id: 55, pi_id: 'pi_1', charge_id: 'ch_1', ...extra }],
+    notification_routes: [{ kind: 'dispute', recipients: ['ops@example.com'] }]
+  });
+}
+
+function printful(status) {
+  return useFetch((url) => ({ body: url.includes('/cancel') ? { result: { status: 'canceled' } } : { result: { id: 55, status } } }));
+}
+
+const opsAlerts = db => (db.tables.email_outbox || []).filter(m => m.template === 'ops_alert');
+
+test('a dispute cancels an unfulfilled draft', async () => {
+  const db = seed();
+  const calls = printful('draft');
+  await handleStripeEvent(disputeEvent('evt_d1', 'charge.dispute.created'));
+  assert.deepEqual(calls.map(c => c.method), ['GET', 'POST']);
+  const row = db.tables.printful_orders[0];
+  assert.equal(row.status, 'canceled');
+  assert.equal(row.cancel_reason, 'dispute');
+  assert.equal(row.fulfillment_hold, false);
+  assert.equal(row.dispute.id, 'dp_1');
+  assert.match(opsAlerts(db)[0].text, /Fulfillment: canceled/);
+});
+
+test('orders in production are held and flagged; a replay does nothing twice', async () => {
+  const db = seed({ status: 'confirmed' });
+  const calls = printful('inprocess');
+  await handleStripeEvent(disputeEvent('evt_d2', 'charge.dispute.created'));
+  await handleStripeEvent(disputeEvent('evt_d2', 'charge.dispute.created'));
+  await handleStripeEvent(disputeEvent('evt_d2', 'charge.dispute.created'), { replay: true });
+  assert.equal(calls.length, 1);
+  const row = db.tables.printful_orders[0];
+  assert.equal(row.status, 'confirmed');
+  assert.equal(row.fulfillment_hold, true);
+  assert.equal(opsAlerts(db).length, 1);
+  assert.match(opsAlerts(db)[0].text, /not_stoppable:inprocess/);
+});
+
+test('a won dispute releases the hold', async () => {
+  const db = seed({ status: 'confirmed', fulfillment_hold: true });
+  printful('inprocess');
+  await handleStripeEvent(disputeEvent('evt_d3', 'charge.dispute.closed', 'won'));
+  assert.equal(db.tables.printful_orders[0].fulfillment_hold, false);
+  assert.equal(db.tables.printful_orders[0].dispute.status, 'won');
+});
+
+test('orders without a Printful order abandon the pending create job', async () => {
+  const db = seed({ status: 'failed', pf_order_id: null });
+  db.tables.printful_jobs = [{ external_id: 'ORDER-1', status: 'queued' }];
+  await handleStripeEvent(disputeEvent('evt_d4', 'charge.dispute.created'));
+  assert.equal(db.tables.printful_jobs[0].status, 'abandoned');
+  assert.equal(db.tables.printful_orders[0].fulfillment_hold, true);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.EMAIL_MAX_ATTEMPTS = '2';
+const { server, useTables } = require('./helpers/load-server');
+
+const { queueEmail, runEmailOutbox } = server;
+
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+const mail = { template: 'ops_alert', to: 'ops@shopper.test', subject: 'Hi', html: '<p>Hi</p>', text: 'Hi', ref: 'ORDER-1' };
+
+function stubSendMail(t, fn) {
+  const sent = [];
+  const original = server.transporter.sendMail;
+  server.transporter.sendMail = async (msg) => { sent.push(msg); return fn ? fn(msg) : { messageId: 'm1' }; };
+  t.after(() => { server.transporter.sendMail = original; });
+  return sent;
+}
+
+const pending = (over = {}) => ({ id: 1, template: 'ops_alert', to_address: 'ops@shopper.test', subject: 'Hi', html: '<p>Hi</p>', text: 'Hi', status: 'pending', attempts: 0, next_attempt_at: ago(1000), created_at: ago(1000), ...over });
+
+test('queued emails are stored and the worker sends them', async (t) => {
+  const db = useTables();
+  const sent = stubSendMail(t);
+  const id = await queueEmail(mail);
+  assert.ok(id);
+  assert.equal(db.tables.email_outbox[0].status, 'pending');
+  // queueEmail kicks the outbox worker; give it a few turns
+  for (let i = 0; i < 50 && db.tables.email_outbox[0].status !== 'sent'; i++) await new Promise(r => setTimeout(r, 10));
+  assert.equal(db.tables.email_outbox[0].status, 'sent');
+  assert.equal(db.tables.email_outbox[0].attempts, 1);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'ops@shopper.test');
+});
+
+test('a failed send is retried later and goes dead after the last attempt', async (t) => {
+  const db = useTables({ email_outbox: [pending()] });
+  stubSendMail(t, () => { throw new Error('smtp down'); });
+  await runEmailOutbox();
+  let row = db.tables.email_outbox[0];
+  assert.equal(row.status, 'pending');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_error, 'smtp down');
+  assert.ok(Date.parse(row.next_attempt_at) > Date.now(), 'backs off before the next attempt');
+
+  await runEmailOutbox();
+  assert.equal(db.tables.email_outbox[0].attempts, 1, 'not retried before its time');
+
+  row.next_attempt_at = ago(1000);
+  await runEmailOutbox();
+  row = db.tables.email_outbox[0];
+  assert.equal(row.status, 'dead');
+  assert.equal(row.attempts, 2);
+  await runEmailOutbox();
+  assert.equal(db.tables.email_outbox[0].attempts, 2);
+});
+
+test('a send lease is honoured until it expires', async (t) => {
+  const db = useTables({
+    email_outbox: [
+      pending({ id: 1, status: 'sending', next_attempt_at: new Date(Date.now() + 60000).toISOString() }),
+      pending({ id: 2, status: 'sending', next_attempt_at: ago(1000) })
+    ]
+  });
+  const sent = stubSendMail(t);
+  await runEmailOutbox();
+  assert.equal(sent.length, 1);
+  assert.deepEqual(db.tables.email_outbox.map(r => r.status), ['sending', 'sent']);
+});
+
+test('when the outbox is unavailable the email is sent directly', async (t) => {
+  const db = useTables();
+  db.fail('email_outbox', 'insert', { message: 'outbox unavailable' });
+  const sent = stubSendMail(t);
+  assert.equal(await queueEmail(mail), null);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].subject, 'Hi');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, listen } = require('./helpers/load-server');
+
+const { renderEmail, EMAIL_TEMPLATES } = server;
+
+test('every template renders its fixture with a subject, the shared layout and a text part', () => {
+  for (const name of Object.keys(EMAIL_TEMPLATES)) {
+    const mail = renderEmail(name);
+    assert.ok(mail.subject, name);
+    assert.match(mail.html, /^<!doctype html>/, name);
+    assert.match(mail.html, /CATFISH EMPIRE/, name);
+    const footer = EMAIL_TEMPLATES[name].internal ? 'Catfish Empire operations notice' : 'Questions? Just reply to this email.';
+    assert.ok(mail.html.includes(footer), name);
+    assert.ok(mail.text.includes(footer), name);
+  }
+});
+
+test('customer-supplied values are escaped in the html but not in the text part', () => {
+  const mail = renderEmail('donation_thanks', { amountCents: 500, currency: 'usd', date: '<script>x</script>' });
+  assert.ok(mail.html.includes('&lt;script&gt;x&lt;/script&gt;'));
+  assert.ok(!mail.html.includes('<script>'));
+  assert.ok(mail.text.includes('Date: <script>x</script>'));
+  assert.ok(mail.text.includes('Amount: $5.00'));
+});
+
+test('an unknown template is a 404 error', () => {
+  assert.throws(() => renderEmail('nope'), e => e.status === 404 && /Unknown email template/.test(e.message));
+});
+
+test('admins can list and preview templates', async (t) => {
+  useTables();
+  const admin = await listen(t);
+  assert.equal((await admin('GET', '/admin/emails/templates')).status, 403);
+  await admin('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+
+  const list = await admin('GET', '/admin/emails/templates');
+  assert.deepEqual(list.body.templates, Object.keys(EMAIL_TEMPLATES));
+  const preview = await admin('GET', '/admin/emails/preview/donation_thanks?format=json');
+  assert.equal(preview.body.subject, 'Thank you for your donation to Catfish Empire');
+  const text = await admin('GET', '/admin/emails/preview/donation_thanks?format=text');
+  assert.match(text.text, /^Subject: Thank you for your donation/);
+  assert.equal((await admin('GET', '/admin/emails/preview/nope')).status, 404);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, useFetch, stubStripe, listen } = require('./helpers/load-server');
+
+const { recipientIsComplete, normalizePrintfulRecipient, decideFulfillment, FULFILLMENT_POLICY } = server;
+
+const US = { name: 'Ann', address1: '1 Main St', city: 'Raleigh', state_code: 'NC', country_code: 'US', zip: '27601' };
+
+test('US, CA and AU recipients need a state and a postal code', () => {
+  assert.equal(recipientIsComplete(US), true);
+  assert.equal(recipientIsComplete({ ...US, state_code: '' }), false);
+  assert.equal(recipientIsComplete({ ...US, zip: '' }), false);
+  assert.equal(recipientIsComplete({ ...US, country_code: 'au', state_code: '' }), false);
+});
+
+test('other countries need no state; some need no postal code', () => {
+  assert.equal(recipientIsComplete({ ...US, country_code: 'GB', state_code: '' }), true);
+  assert.equal(recipientIsComplete({ ...US, country_code: 'GB', state_code: '', zip: '' }), false);
+  assert.equal(recipientIsComplete({ ...US, country_code: 'IE', state_code: '', zip: '' }), true);
+});
+
+test('address, city and country are always required', () => {
+  for (const k of ['address1', 'city', 'country_code']) assert.equal(recipientIsComplete({ ...US, [k]: '' }), false, k);
+  assert.equal(recipientIsComplete(null), false);
+});
+
+test('normalizing drops states Printful rejects and empty postal codes', () => {
+  assert.deepEqual(normalizePrintfulRecipient({ ...US, country_code: 'us' }), US);
+  const ie = normalizePrintfulRecipient({ ...US, country_code: 'ie', state_code: 'D', zip: '' });
+  assert.equal(ie.country_code, 'IE');
+  assert.equal('state_code' in ie, false);
+  assert.equal('zip' in ie, false);
+  assert.equal(normalizePrintfulRecipient({ ...US, country_code: 'CA', state_code: 'ON' }).state_code, 'ON');
+});
+
+const RECIPIENT = { address1: '1 Main St', city: 'Raleigh', state_code: 'NC', country_code: 'US', zip: '27601' };
+const CHARGE = { outcome: { risk_level: 'normal', risk_score: 12 } };
+
+function session(amount_total, extra = {}) {
+  return { id: 'cs_test_1', amount_total, currency: 'usd', metadata: { mode: 'normal' }, customer_details: { email: 'ann@example.com' }, ...extra };
+}
+
+function decide(sess, recipient = RECIPIENT, charge = CHARGE) {
+  return decideFulfillment({ external_id: 'ORDER-1', session: sess, recipient, charge });
+}
+
+test('fulfillment policy', async (t) => {
+  const saved = { ...FULFILLMENT_POLICY };
+  t.after(() => Object.assign(FULFILLMENT_POLICY, saved));
+  Object.assign(FULFILLMENT_POLICY, {
+    autoConfirm: true, reviewRiskLevels: ['elevated', 'highest'], maxAutoConfirmCents: 25000,
+    reviewAboveCents: 50000, draftPromoModes: ['oneDollar', 'flat50'], firstTimeCustomer: 'draft'
+  });
+  const returning = () => useTables({
+    printful_orders: [{ external_id: 'ORDER-0', customer_email: 'Ann@Example.com', status: 'confirmed' }]
+  });
+
+  await t.test('confirms a low-risk order from a returning customer', async () => {
+    returning();
+    const d = await decide(session(4000));
+    assert.equal(d.action, 'confirm');
+    assert.deepEqual(d.reasons, []);
+    assert.equal(d.inputs.returning_customer, true);
+  });
+
+  await t.test('drafts first orders and promo modes', async () => {
+    useTables({ printful_orders: [{ external_id: 'ORDER-0', customer_email: 'ann@example.com', status: 'failed' }] });
+    assert.deepEqual((await decide(session(4000))).reasons, ['first_time_customer']);
+    returning();
+    const promo = await decide(session(100, { metadata: { mode: 'oneDollar' } }));
+    assert.equal(promo.action, 'draft');
+    assert.deepEqual(promo.reasons, ['promo_oneDollar']);
+  });
+
+  await t.test('holds incomplete addresses and risky charges for review', async () => {
+    returning();
+    const d = await decide(session(4000), { ...RECIPIENT, zip: '' }, { outcome: { risk_level: 'elevated' } });
+    assert.equal(d.action, 'review');
+    assert.deepEqual(d.reasons, ['address_incomplete', 'radar_risk_elevated']);
+  });
+
+  await t.test('applies value limits in USD', async () => {
+    returning();
+    assert.equal((await decide(session(30000, { currency: 'cad' }))).action, 'confirm');
+    const draft = await decide(session(40000, { currency: 'cad' }));
+    assert.equal(draft.inputs.amount_total_usd, 29197);
+    assert.deepEqual(draft.reasons, ['order_value_above_auto_confirm_limit']);
+    assert.deepEqual((await decide(session(60000))).reasons, ['order_value_above_review_limit']);
+  });
+
+  await t.test('review reasons come before draft reasons', async () => {
+    useTables();
+    const d = await decide(session(60000, { metadata: { mode: 'flat50' } }), RECIPIENT, null);
+    assert.equal(d.action, 'review');
+    assert.deepEqual(d.reasons, ['order_value_above_review_limit', 'promo_flat50', 'first_time_customer']);
+  });
+});
+
+test('an order parked with an incomplete address is queued as a draft once the address is fixed', async (t) => {
+  const parked = { name: 'Ann', address1: '1 Main St', city: 'Raleigh', state_code: 'NC', country_code: 'US', zip: '', email: 'ann@shopper.test' };
+  const db = useTables({
+    printful_orders: [{ external_id: 'ORDER-7', status: 'failed', pf_order_id: null, session_id: 'cs_7', review_status: 'pending', meta: { error: 'recipient_incomplete', recipient: parked } }]
+  });
+  stubStripe(t, {
+    'checkout.sessions': {
+      retrieve: async () => ({ id: 'cs_7', metadata: { order_cart: JSON.stringify({ items: [{ sync_variant_id: 101, quantity: 2 }] }) }, customer_details: { name: 'Ann', email: 'ann@shopper.test', address: {} } })
+    }
+  });
+  const calls = useFetch(() => ({ body: { result: { id: 77, status: 'draft' } } }));
+  const admin = await listen(t);
+  assert.equal((await admin('POST', '/admin/orders/ORDER-7/recipient', { recipient: { zip: '27601' } })).status, 403);
+  await admin('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+
+  const still = await admin('POST', '/admin/orders/ORDER-7/recipient', { recipient: { city: '' } });
+  assert.equal(still.status, 400);
+  assert.equal(still.body.error, 'recipient_incomplete');
+
+  const res = await admin('POST', '/admin/orders/ORDER-7/recipient', { recipient: { zip: '27601' } });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.recipient.zip, '27601');
+
+  for (let i = 0; i < 50 && db.tables.printful_jobs[0].status !== 'succeeded'; i++) await new Promise(r => setTimeout(r, 10));
+  assert.equal(db.tables.printful_jobs[0].status, 'succeeded');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].body.confirm, false);
+  assert.equal(calls[0].body.recipient.zip, '27601');
+  assert.deepEqual(calls[0].body.items, [{ sync_variant_id: 101, quantity: 2 }]);
+  const row = db.tables.printful_orders[0];
+  assert.equal(row.status, 'draft');
+  assert.equal(row.pf_order_id, 77);
+  assert.equal(row.review_status, 'pending', 'the draft still needs approval');
+
+  assert.equal((await admin('POST', '/admin/orders/ORDER-7/recipient', { recipient: { zip: '27601' } })).status, 409);
+});
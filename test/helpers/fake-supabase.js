@@ -0,0 +1,124 @@
+// In-memory stand-in for the supabase-js query builder: enough of PostgREST's filters,
+// ordering and insert/upsert/update/delete for the server's helpers to run against plain arrays.
+// Inserts that repeat a table's key column fail with 23505, like the real primary keys.
+const KEYS = { processed_events: 'event_id', webhook_events: 'id', printful_orders: 'external_id', printful_jobs: 'external_id' };
+
+function createFakeSupabase(seed = {}) {
+  const tables = {};
+  const failures = new Map();
+  for (const [name, rows] of Object.entries(seed)) tables[name] = rows.map(r => ({ ...r }));
+  let nextId = 1;
+
+  function from(table) {
+    if (!tables[table]) tables[table] = [];
+    const filters = [];
+    const orders = [];
+    let op = 'select', payload = null, conflict = null, returning = false, single = false, head = false, count = null, limit = null, range = null;
+
+    const builder = {
+      select(_cols, opts = {}) {
+        if (op === 'select') { head = !!opts.head; count = opts.count || null; } else returning = true;
+        return builder;
+      },
+      insert(rows) { op = 'insert'; payload = Array.isArray(rows) ? rows : [rows]; return builder; },
+      upsert(rows, { onConflict } = {}) {
+        op = 'upsert';
+        payload = Array.isArray(rows) ? rows : [rows];
+        conflict = String(onConflict || KEYS[table] || 'id').split(',').map(c => c.trim());
+        return builder;
+      },
+      update(patch) { op = 'update'; payload = patch; return builder; },
+      delete() { op = 'delete'; return builder; },
+      eq(col, v) { filters.push(r => r[col] === v); return builder; },
+      neq(col, v) { filters.push(r => r[col] !== v); return builder; },
+      gt(col, v) { filters.push(r => r[col] > v); return builder; },
+      gte(col, v) { filters.push(r => r[col] >= v); return builder; },
+      lt(col, v) { filters.push(r => r[col] < v); return builder; },
+      lte(col, v) { filters.push(r => r[col] <= v); return builder; },
+      is(col, v) { filters.push(r => (r[col] ?? null) === v); return builder; },
+      in(col, vs) { filters.push(r => vs.includes(r[col])); return builder; },
+      ilike(col, pattern) {
+        const re = new RegExp(`^${String(pattern).replace(/[.*+?^${}()|[\]]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+        filters.push(r => re.test(String(r[col] ?? '')));
+        return builder;
+      },
+      not(col, operator, v) {
+        if (operator === 'is') filters.push(r => (r[col] ?? null) !== v);
+        else if (operator === 'in') {
+          const vs = String(v).replace(/^\(|\)$/g, '').split(',');
+          filters.push(r => !vs.includes(String(r[col])));
+        }
+        return builder;
+      },
+      order(col, { ascending = true } = {}) { orders.push([col, ascending ? 1 : -1]); return builder; },
+      limit(n) { limit = n; return builder; },
+      range(a, b) { range = [a, b]; return builder; },
+      maybeSingle() { single = true; return builder; },
+      single() { single = true; return builder; },
+      then(resolve, reject) { return Promise.resolve().then(run).then(resolve, reject); }
+    };
+
+    function run() {
+      const failure = failures.get(`${table}.${op}`);
+      if (failure) return { data: null, error: failure };
+      const rows = tables[table];
+      const match = r => filters.every(f => f(r));
+      let out;
+      if (op === 'insert') {
+        const key = KEYS[table];
+        if (key && payload.some(p => rows.some(r => r[key] === p[key]))) {
+          return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint "${table}_pkey"` } };
+        }
+        const now = new Date().toISOString();
+        out = payload.map(r => ({ id: nextId++, created_at: now, ...r }));
+        rows.push(...out);
+        if (!returning) return { data: null, error: null };
+      } else if (op === 'upsert') {
+        const now = new Date().toISOString();
+        out = payload.map(p => {
+          const existing = rows.find(r => conflict.every(c => r[c] === p[c]));
+          if (existing) return Object.assign(existing, p);
+          const row = { id: nextId++, created_at: now, ...p };
+          rows.push(row);
+          return row;
+        });
+        if (!returning) return { data: null, error: null };
+      } else if (op === 'update') {
+        out = rows.filter(match);
+        for (const r of out) Object.assign(r, payload);
+        if (!returning) return { data: null, error: null };
+      } else if (op === 'delete') {
+        out = rows.filter(match);
+        tables[table] = rows.filter(r => !out.includes(r));
+        if (!returning) return { data: null, error: null };
+      } else {
+        out = rows.filter(match);
+        if (head) return { data: null, count: out.length, error: null };
+      }
+      out = [...out].sort((a, b) => {
+        for (const [col, dir] of orders) {
+          if (a[col] < b[col]) return -dir;
+          if (a[col] > b[col]) return dir;
+        }
+        return 0;
+      });
+      if (range) out = out.slice(range[0], range[1] + 1);
+      if (limit != null) out = out.slice(0, limit);
+      out = out.map(r => ({ ...r }));
+      return { data: single ? (out[0] || null) : out, count: count ? out.length : null, error: null };
+    }
+
+    return builder;
+  }
+
+  // fail('email_outbox', 'insert', { message }) makes that operation return the error until
+  // fail(table, op, null) clears it
+  function fail(table, op, error) {
+    if (error) failures.set(`${table}.${op}`, error);
+    else failures.delete(`${table}.${op}`);
+  }
+
+  return { from, tables, fail };
+}
+
+module.exports = { createFakeSupabase };
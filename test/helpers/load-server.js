@@ -0,0 +1,87 @@
+// Loads server.js without starting the HTTP listener. Dummy credentials keep the Stripe and
+// Supabase clients constructible; every test swaps supabase.from for an in-memory fake, and
+// outbound HTTP (node-fetch: Printful, Slack, ...) goes to a handler the test sets.
+const Module = require('module');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:1';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_dummy';
+process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test-admin';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+let fetchHandler = null;
+const fetchPath = require.resolve('node-fetch');
+const fetchModule = new Module(fetchPath);
+fetchModule.filename = fetchPath;
+fetchModule.loaded = true;
+fetchModule.exports = async (url, opts = {}) => {
+  if (!fetchHandler) throw new Error(`unexpected fetch ${opts.method || 'GET'} ${url}`);
+  return fetchHandler(String(url), opts);
+};
+require.cache[fetchPath] = fetchModule;
+
+const server = require('../../server.js');
+const { createFakeSupabase } = require('./fake-supabase');
+
+// Replaces the Supabase client's tables with `seed` ({ table: rows[] }); returns the fake
+function useTables(seed = {}) {
+  const fake = createFakeSupabase(seed);
+  server.supabase.from = fake.from;
+  return fake;
+}
+
+// Routes node-fetch calls to handler(url, opts) → { status, body }; returns the recorded calls
+function useFetch(handler) {
+  const calls = [];
+  fetchHandler = async (url, opts) => {
+    const body = opts.body ? JSON.parse(opts.body) : null;
+    calls.push({ url, method: opts.method || 'GET', body });
+    const out = (await handler(url, { ...opts, json: body })) || {};
+    const text = typeof out.body === 'string' ? out.body : JSON.stringify(out.body ?? {});
+    const status = out.status || 200;
+    return { ok: status < 400, status, headers: new Map(), text: async () => text, json: async () => JSON.parse(text) };
+  };
+  return calls;
+}
+
+// Replaces methods on the shared Stripe client, e.g. stubStripe(t, { refunds: { create } }).
+// The originals come back when the test ends.
+function stubStripe(t, stubs) {
+  for (const [resource, methods] of Object.entries(stubs)) {
+    const target = resource.split('.').reduce((o, k) => o[k], server.stripe);
+    for (const [name, fn] of Object.entries(methods)) {
+      const original = target[name];
+      target[name] = fn;
+      t.after(() => { target[name] = original; });
+    }
+  }
+}
+
+// Starts the app on a free port; requests keep one session cookie, like a browser
+async function listen(t) {
+  const http = server.app.listen(0);
+  await new Promise(resolve => http.once('listening', resolve));
+  t.after(() => new Promise(resolve => { http.closeAllConnections(); http.close(resolve); }));
+  const base = `http://127.0.0.1:${http.address().port}`;
+  let cookie = '';
+  return async function request(method, path, body, headers = {}) {
+    const resp = await fetch(base + path, {
+      method,
+      headers: {
+        'x-forwarded-proto': 'https',
+        ...(cookie ? { cookie } : {}),
+        ...(body !== undefined && typeof body !== 'string' ? { 'content-type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const set = resp.headers.get('set-cookie');
+    if (set) cookie = set.split(';')[0];
+    const text = await resp.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    return { status: resp.status, body: json, text };
+  };
+}
+
+module.exports = { server, useTables, useFetch, stubStripe, listen };
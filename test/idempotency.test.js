@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables } = require('./helpers/load-server');
+
+const { markEventProcessedOnce, releaseEventClaim, runEventStepOnce, handleStripeEvent } = server;
+
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+test('the first delivery claims an event and duplicates are refused', async () => {
+  const db = useTables();
+  assert.equal(await markEventProcessedOnce('stripe', 'evt_1', 'charge.refunded'), true);
+  assert.equal(await markEventProcessedOnce('stripe', 'evt_1', 'charge.refunded'), false);
+  assert.equal(db.tables.processed_events.length, 1);
+  assert.equal(db.tables.processed_events[0].outcome, 'processing');
+});
+
+test('a stale processing claim is taken over, a finished one is not', async () => {
+  const db = useTables({
+    processed_events: [
+      { event_id: 'evt_stale', source: 'stripe', outcome: 'processing', processed_at: ago(60 * 60 * 1000) },
+      { event_id: 'evt_fresh', source: 'stripe', outcome: 'processing', processed_at: ago(1000) },
+      { event_id: 'evt_done', source: 'stripe', outcome: 'fulfilled', processed_at: ago(60 * 60 * 1000) }
+    ]
+  });
+  assert.equal(await markEventProcessedOnce('stripe', 'evt_stale', 'x'), true);
+  assert.equal(await markEventProcessedOnce('stripe', 'evt_fresh', 'x'), false);
+  assert.equal(await markEventProcessedOnce('stripe', 'evt_done', 'x'), false);
+  assert.ok(Date.parse(db.tables.processed_events[0].processed_at) > Date.now() - 5000);
+});
+
+test('other insert errors are thrown rather than treated as duplicates', async () => {
+  const db = useTables();
+  db.fail('processed_events', 'insert', { code: '08006', message: 'connection lost' });
+  await assert.rejects(markEventProcessedOnce('stripe', 'evt_1', 'x'), { code: '08006' });
+});
+
+test('releasing a claim only drops unfinished ones', async () => {
+  const db = useTables({
+    processed_events: [
+      { event_id: 'evt_open', outcome: 'processing', processed_at: ago(0) },
+      { event_id: 'evt_done', outcome: 'fulfilled', processed_at: ago(0) }
+    ]
+  });
+  await releaseEventClaim('evt_open');
+  await releaseEventClaim('evt_done');
+  assert.deepEqual(db.tables.processed_events.map(r => r.event_id), ['evt_done']);
+});
+
+test('a step records its outcome, runs once, and is released when it throws', async () => {
+  const db = useTables();
+  let runs = 0;
+  await assert.rejects(runEventStepOnce('email', 'step_1', 'x', async () => { runs++; throw new Error('smtp down'); }), /smtp down/);
+  assert.equal(db.tables.processed_events.length, 0);
+
+  assert.deepEqual(await runEventStepOnce('email', 'step_1', 'x', async () => { runs++; return 'queued'; }), { ran: true, result: 'queued' });
+  assert.deepEqual(await runEventStepOnce('email', 'step_1', 'x', async () => { runs++; }), { ran: false });
+  assert.equal(runs, 2);
+  assert.equal(db.tables.processed_events[0].outcome, 'queued');
+});
+
+test('a Stripe event that fails releases its claim so the redelivery runs', async () => {
+  const db = useTables({ notification_routes: [{ kind: 'donation', recipients: ['ops@example.com'] }] });
+  const event = {
+    id: 'evt_donation',
+    type: 'checkout.session.completed',
+    created: Math.floor(Date.now() / 1000),
+    data: { object: { id: 'cs_donation', payment_status: 'paid', amount_total: 500, currency: 'usd', metadata: { intent: 'donation' }, customer_details: { email: 'ann@shopper.test', name: 'Ann' } } }
+  };
+  const sendMail = server.transporter.sendMail;
+  server.transporter.sendMail = async () => { throw new Error('smtp down'); };
+  db.fail('email_outbox', 'insert', { message: 'outbox unavailable' });
+  try {
+    await assert.rejects(handleStripeEvent(event), /incomplete/);
+  } finally {
+    server.transporter.sendMail = sendMail;
+    db.fail('email_outbox', 'insert', null);
+  }
+  assert.equal(db.tables.processed_events.some(r => r.event_id === 'evt_donation'), false);
+
+  assert.deepEqual(await handleStripeEvent(event), { received: true });
+  assert.equal(db.tables.processed_events.find(r => r.event_id === 'evt_donation').outcome, 'donation');
+  assert.deepEqual(await handleStripeEvent(event), '[ok] duplicate event ignored');
+  assert.equal(db.tables.email_outbox.length, 2);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables } = require('./helpers/load-server');
+
+const { canTransitionOrder, upsertOrderRecord } = server;
+
+test('new orders start as draft, confirmed or failed', () => {
+  for (const to of ['draft', 'confirmed', 'failed']) assert.equal(canTransitionOrder(null, to), true, to);
+  for (const to of ['shipped', 'fulfilled', 'canceled']) assert.equal(canTransitionOrder(null, to), false, to);
+});
+
+test('orders move forward and a failed order can be recreated', () => {
+  assert.equal(canTransitionOrder('draft', 'confirmed'), true);
+  assert.equal(canTransitionOrder('confirmed', 'shipped'), true);
+  assert.equal(canTransitionOrder('shipped', 'fulfilled'), true);
+  assert.equal(canTransitionOrder('failed', 'draft'), true);
+  assert.equal(canTransitionOrder('shipped', 'draft'), false);
+  assert.equal(canTransitionOrder('fulfilled', 'confirmed'), false);
+  assert.equal(canTransitionOrder('canceled', 'confirmed'), false);
+});
+
+test('keeping the status or leaving it unset is always allowed', () => {
+  assert.equal(canTransitionOrder('canceled', 'canceled'), true);
+  assert.equal(canTransitionOrder('shipped', undefined), true);
+});
+
+test('upsert inserts, merges meta and records each status change', async () => {
+  const db = useTables();
+  await upsertOrderRecord({ external_id: 'ORDER-1', status: 'draft', meta: { a: 1 }, last_event_type: 'checkout.session.completed' });
+  const saved = await upsertOrderRecord({ external_id: 'ORDER-1', status: 'confirmed', meta: { b: 2 }, last_event_type: 'admin_review' });
+  await upsertOrderRecord({ external_id: 'ORDER-1', pf_status: 'pending' });
+  assert.equal(saved.status, 'confirmed');
+  assert.deepEqual(db.tables.printful_orders[0].meta, { a: 1, b: 2 });
+  assert.equal(db.tables.printful_orders[0].status, 'confirmed', 'a write without status keeps it');
+  assert.deepEqual(db.tables.printful_order_history.map(h => [h.from_status, h.to_status, h.event_type]), [
+    [null, 'draft', 'checkout.session.completed'],
+    ['draft', 'confirmed', 'admin_review']
+  ]);
+});
+
+test('upsert refuses illegal transitions and rows changed by another writer', async () => {
+  const db = useTables({ printful_orders: [{ external_id: 'ORDER-1', status: 'shipped' }] });
+  await assert.rejects(upsertOrderRecord({ external_id: 'ORDER-1', status: 'draft' }), { code: 'illegal_transition', from: 'shipped', to: 'draft' });
+  await assert.rejects(upsertOrderRecord({ status: 'draft' }), /missing external_id/);
+
+  // Another writer moves the row between our read and our compare-and-set update
+  const from = server.supabase.from;
+  server.supabase.from = (table) => {
+    const q = from(table);
+    if (table === 'printful_orders') {
+      const update = q.update;
+      q.update = (patch) => { db.tables.printful_orders[0].status = 'fulfilled'; return update(patch); };
+    }
+    return q;
+  };
+  try {
+    await assert.rejects(upsertOrderRecord({ external_id: 'ORDER-1', status: 'canceled' }), { code: 'concurrent_update' });
+  } finally {
+    server.supabase.from = from;
+  }
+});
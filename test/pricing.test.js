@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables } = require('./helpers/load-server');
+
+const { priceCartServerSide, setCache } = server;
+
+const SUNGLASSES = {
+  id: 'sunglasses', sku: 'SUN', name: 'Catfish Sunglasses', description: '', priceCents: 1800, images: [], active: true,
+  variants: [
+    { option: 'black', sku: 'SUN-black', name: null, priceCents: null, image: null, stock: 3, active: true },
+    { option: 'pink', sku: 'SUN-pink', name: null, priceCents: 2200, image: null, stock: 1, active: true }
+  ]
+};
+
+function seedPricing() {
+  setCache('pricing:variant:101', { variantId: 101, syncProductId: '9001', name: 'Catfish Tee', image: '', color: 'Black', size: 'M', retailCents: 2500 });
+  setCache('pricing:override:9001', { cents: null });
+  setCache('pricing:pricelist:cad', {});
+  setCache('catalog:self', [SUNGLASSES]);
+  useTables({ inventory_reservations: [] });
+}
+
+test('prices Printful and self items from the server catalog', async () => {
+  seedPricing();
+  const out = await priceCartServerSide([
+    { type: 'printful', variantId: 101, qty: 2 },
+    { type: 'self', productId: 'sunglasses', option: 'pink', qty: 1 }
+  ]);
+  assert.equal(out.currency, 'usd');
+  assert.deepEqual(out.lines.map(l => [l.type, l.listCents, l.unitCents, l.qty]), [['printful', 2500, 2500, 2], ['self', 2200, 2200, 1]]);
+  assert.equal(out.subtotalCents, 7200);
+  assert.deepEqual(out.mismatches, []);
+});
+
+test('price overrides replace the Printful retail price', async () => {
+  seedPricing();
+  setCache('pricing:override:9001', { cents: 1999 });
+  const out = await priceCartServerSide([{ type: 'printful', variantId: 101 }]);
+  assert.equal(out.lines[0].listCents, 1999);
+});
+
+test('promo percent and flat50 change the charged unit price only', async () => {
+  seedPricing();
+  const promo = await priceCartServerSide([{ type: 'printful', variantId: 101 }], { promo: { percent: 20 } });
+  assert.equal(promo.lines[0].listCents, 2500);
+  assert.equal(promo.lines[0].unitCents, 2000);
+  const flat = await priceCartServerSide([{ type: 'self', option: 'black', qty: 2 }], { flat50: true });
+  assert.equal(flat.lines[0].unitCents, 50);
+  assert.equal(flat.subtotalCents, 100);
+});
+
+test('localizes to CAD, preferring the currency price list', async () => {
+  seedPricing();
+  const converted = await priceCartServerSide([{ type: 'printful', variantId: 101 }], { currency: 'cad' });
+  assert.equal(converted.currency, 'cad');
+  assert.equal(converted.lines[0].listCents, 3499);
+
+  setCache('pricing:pricelist:cad', { 'variant:101': 3300, 'self:SUN-black': 2400 });
+  const listed = await priceCartServerSide([
+    { type: 'printful', variantId: 101 },
+    { type: 'self', option: 'black' }
+  ], { currency: 'cad' });
+  assert.deepEqual(listed.lines.map(l => l.listCents), [3300, 2400]);
+});
+
+test('reports client prices that differ in the same currency', async () => {
+  seedPricing();
+  const out = await priceCartServerSide([
+    { type: 'printful', variantId: 101, priceCents: 2400 },
+    { type: 'self', option: 'black', price: '18.00' }
+  ]);
+  assert.deepEqual(out.mismatches, [{ index: 0, name: 'Catfish Tee', client_unit_cents: 2400, server_unit_cents: 2500 }]);
+
+  const other = await priceCartServerSide([{ type: 'printful', variantId: 101, priceCents: 2400 }], { currency: 'cad' });
+  assert.deepEqual(other.mismatches, [], 'USD client prices are not compared with CAD');
+});
+
+test('rejects unknown items and stock held by other checkouts', async () => {
+  seedPricing();
+  await assert.rejects(priceCartServerSide([{ type: 'printful' }]), { code: 'invalid_item' });
+  await assert.rejects(priceCartServerSide([{ type: 'self', option: 'gold' }]), { code: 'invalid_item' });
+
+  useTables({
+    inventory_reservations: [{ id: 1, hold_id: 'hold_a', product_id: 'sunglasses', option: 'pink', qty: 1, status: 'active', expires_at: new Date(Date.now() + 60000).toISOString() }]
+  });
+  await assert.rejects(priceCartServerSide([{ type: 'self', option: 'pink' }]), { code: 'invalid_item', message: 'Catfish Empire™ pink Sunglasses is sold out' });
+});
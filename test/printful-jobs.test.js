@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, useFetch } = require('./helpers/load-server');
+
+const { runPrintfulJobs } = server;
+
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+const PAYLOAD = { external_id: 'ORDER-1', confirm: false, recipient: { name: 'Ann' }, items: [{ sync_variant_id: 101, quantity: 1 }] };
+const job = (over = {}) => ({ external_id: 'ORDER-1', payload: PAYLOAD, status: 'queued', attempts: 1, max_attempts: 3, next_run_at: ago(1000), ...over });
+
+test('a failed retry backs off, and the next one creates the draft and records it', async () => {
+  const db = useTables({ printful_jobs: [job()], printful_orders: [{ external_id: 'ORDER-1', status: 'failed', pf_order_id: null }] });
+  let down = true;
+  const calls = useFetch(() => down
+    ? { status: 400, body: { error: { message: 'Recipient address is invalid' } } }
+    : { body: { result: { id: 77, status: 'draft' } } });
+
+  await runPrintfulJobs();
+  const row = db.tables.printful_jobs[0];
+  assert.equal(row.status, 'queued');
+  assert.equal(row.attempts, 2);
+  assert.match(row.last_error, /Recipient address is invalid/);
+  assert.ok(Date.parse(row.next_run_at) > Date.now());
+  await runPrintfulJobs();
+  assert.equal(calls.length, 1, 'waits out the backoff');
+
+  down = false;
+  row.next_run_at = ago(1000);
+  await runPrintfulJobs();
+  assert.equal(row.status, 'succeeded');
+  assert.equal(row.pf_order_id, 77);
+  assert.equal(calls[1].body.confirm, false);
+  assert.deepEqual(db.tables.printful_job_attempts.map(a => [a.attempt, a.ok]), [[2, false], [3, true]]);
+  const order = db.tables.printful_orders[0];
+  assert.equal(order.status, 'draft');
+  assert.equal(order.pf_order_id, 77);
+});
+
+test('the last failed attempt exhausts the job and alerts ops', async () => {
+  const db = useTables({
+    printful_jobs: [job({ attempts: 2 })],
+    notification_routes: [{ kind: 'printful_failure', recipients: ['ops@example.com'] }]
+  });
+  useFetch(() => ({ status: 400, body: { error: { message: 'Variant discontinued' } } }));
+  await runPrintfulJobs();
+  assert.equal(db.tables.printful_jobs[0].status, 'exhausted');
+  assert.equal(db.tables.email_outbox[0].subject, '[CatfishEmpire] Printful order ORDER-1: Printful create retries exhausted');
+  await runPrintfulJobs();
+  assert.equal(db.tables.printful_jobs[0].attempts, 3);
+});
+
+test('an order an earlier timed-out attempt already created is adopted, not duplicated', async () => {
+  const db = useTables({ printful_jobs: [job()] });
+  const calls = useFetch((url, { method }) => method === 'POST'
+    ? { status: 400, body: { error: { message: 'Order with this external ID already exists' } } }
+    : { body: { result: { id: 78, status: 'draft' } } });
+  await runPrintfulJobs();
+  assert.deepEqual(calls.map(c => [c.method, decodeURIComponent(new URL(c.url).pathname)]), [['POST', '/orders'], ['GET', '/orders/@ORDER-1']]);
+  assert.equal(db.tables.printful_jobs[0].status, 'succeeded');
+  assert.equal(db.tables.printful_orders[0].pf_order_id, 78);
+});
+
+test('a job whose order already exists is closed without calling Printful', async () => {
+  const db = useTables({ printful_jobs: [job()], printful_orders: [{ external_id: 'ORDER-1', status: 'confirmed', pf_order_id: 55 }] });
+  const calls = useFetch(() => ({ body: {} }));
+  await runPrintfulJobs();
+  assert.equal(calls.length, 0);
+  assert.equal(db.tables.printful_jobs[0].status, 'succeeded');
+  assert.equal(db.tables.printful_jobs[0].pf_order_id, 55);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PRINTFUL_WEBHOOK_SECRET = 'pf-secret';
+const { useTables, listen } = require('./helpers/load-server');
+
+const URL = '/webhook/printful?secret=pf-secret';
+
+function seed() {
+  return useTables({
+    printful_orders: [{ external_id: 'ORDER-1', status: 'confirmed', pf_order_id: 55, customer_email: 'ann@shopper.test', customer_name: 'Ann', shipments: [] }]
+  });
+}
+
+const shipped = {
+  type: 'package_shipped',
+  created: 1760000000,
+  data: {
+    order: { id: 55, external_id: 'ORDER-1', status: 'partial', items: [] },
+    shipment: { id: 9, carrier: 'USPS', service: 'Ground', tracking_number: '9400', tracking_url: 'https://track.test/9400', shipped_at: 1760000000, items: [] }
+  }
+};
+
+test('events without the shared secret are refused', async (t) => {
+  const db = seed();
+  const request = await listen(t);
+  assert.equal((await request('POST', '/webhook/printful', shipped)).status, 401);
+  assert.equal((await request('POST', '/webhook/printful?secret=wrong-one', shipped)).status, 401);
+  assert.equal(db.tables.printful_orders[0].status, 'confirmed');
+  assert.equal(db.tables.processed_events, undefined);
+});
+
+test('a shipment moves the order to shipped once, however often it is delivered', async (t) => {
+  const db = seed();
+  const request = await listen(t);
+  const res = await request('POST', URL, shipped);
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.outcome, 'status:shipped');
+  const row = db.tables.printful_orders[0];
+  assert.equal(row.status, 'shipped');
+  assert.equal(row.pf_status, 'partial');
+  assert.deepEqual(row.shipments.map(s => s.tracking_number), ['9400']);
+  assert.deepEqual(db.tables.printful_order_history.map(h => [h.from_status, h.to_status]), [['confirmed', 'shipped']]);
+
+  const again = await request('POST', URL, shipped);
+  assert.equal(again.status, 200);
+  assert.match(again.text, /duplicate/);
+  assert.equal(db.tables.printful_orders[0].shipments.length, 1);
+});
+
+test('a failed ledger write answers 5xx and releases the claim so Printful redelivers', async (t) => {
+  const db = seed();
+  const request = await listen(t);
+  db.fail('printful_orders', 'update', { message: 'ledger unavailable' });
+  const res = await request('POST', URL, shipped);
+  assert.equal(res.status, 500);
+  assert.equal(db.tables.processed_events.length, 0);
+
+  db.fail('printful_orders', 'update', null);
+  assert.equal((await request('POST', URL, shipped)).status, 200);
+  assert.equal(db.tables.printful_orders[0].status, 'shipped');
+});
+
+test('unknown orders and ignored types are acknowledged without touching the ledger', async (t) => {
+  const db = seed();
+  const request = await listen(t);
+  const other = await request('POST', URL, { type: 'stock_updated', data: {} });
+  assert.deepEqual(other.body, { received: true, ignored: 'stock_updated' });
+  const unknown = await request('POST', URL, { ...shipped, data: { ...shipped.data, order: { id: 1, external_id: 'NOPE' } } });
+  assert.equal(unknown.body.outcome, 'unknown_order');
+  assert.equal(db.tables.printful_orders[0].status, 'confirmed');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { useTables, useFetch, stubStripe, listen } = require('./helpers/load-server');
+
+const ext = (sessionId) => 'ce' + crypto.createHash('sha1').update(sessionId).digest('hex').slice(0, 24);
+const now = Math.floor(Date.now() / 1000);
+const session = (id, over = {}) => ({ id, status: 'complete', payment_status: 'paid', amount_total: 2500, currency: 'usd', created: now - 3600, metadata: { i0: 'p|71|101|1|black|M' }, ...over });
+
+const SESSIONS = [
+  session('cs_missing'),
+  session('cs_ok'),
+  session('cs_canceled'),
+  session('cs_stale'),
+  session('cs_unpaid', { payment_status: 'unpaid' }),
+  session('cs_donation', { metadata: { intent: 'donation' } })
+];
+
+const PF_ORDERS = [
+  { id: 1, external_id: ext('cs_ok'), status: 'pending', created: now - 3600 },
+  { id: 2, external_id: ext('cs_canceled'), status: 'canceled', created: now - 3600 },
+  { id: 3, external_id: ext('cs_stale'), status: 'draft', created: now - 3 * 86400 },
+  { id: 4, external_id: ext('cs_unpaid'), status: 'pending', created: now - 3600 }
+];
+
+function setup(t) {
+  const db = useTables({
+    printful_orders: [
+      { external_id: ext('cs_ok'), status: 'confirmed', pf_order_id: 1, amount_total: 2500, amount_captured: 2500 },
+      { external_id: ext('cs_canceled'), status: 'canceled', pf_order_id: 2, amount_total: 2500, amount_refunded: 0 },
+      { external_id: ext('cs_stale'), status: 'draft', pf_order_id: 3, amount_total: 2500 }
+    ]
+  });
+  stubStripe(t, { 'checkout.sessions': { list: () => (async function* () { yield* SESSIONS; })() } });
+  useFetch((url) => {
+    assert.match(url, /\/orders\?offset=0&limit=100/);
+    return { body: { result: PF_ORDERS } };
+  });
+  return db;
+}
+
+test('a run reports each mismatch category once and is stored as the latest run', async (t) => {
+  const db = setup(t);
+  const admin = await listen(t);
+  assert.equal((await admin('POST', '/admin/reconcile', {})).status, 403);
+  await admin('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+
+  const res = await admin('POST', '/admin/reconcile', {});
+  assert.equal(res.status, 200, res.text);
+  const found = Object.fromEntries(res.body.run.findings.map(f => [f.external_id, f.category]));
+  assert.deepEqual(found, {
+    [ext('cs_missing')]: 'missing_order',
+    [ext('cs_canceled')]: 'canceled_but_paid',
+    [ext('cs_stale')]: 'stale_draft',
+    [ext('cs_unpaid')]: 'unpaid_order'
+  });
+  const missing = res.body.run.findings.find(f => f.category === 'missing_order');
+  assert.equal(missing.session_id, 'cs_missing');
+  assert.deepEqual(missing.remediation, { action: 'create_order', label: 'Queue Printful order creation' });
+  assert.equal(res.body.run.summary.paid_orders, 4);
+  assert.equal(res.body.run.trigger, 'manual');
+  assert.equal(db.tables.reconciliation_runs.length, 1);
+
+  const latest = await admin('GET', '/admin/reconcile');
+  assert.equal(latest.body.run.id, db.tables.reconciliation_runs[0].id);
+  assert.equal(latest.body.run.findings.length, 4);
+});
+
+test('the range must be ordered and at most 92 days', async (t) => {
+  setup(t);
+  const admin = await listen(t);
+  await admin('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+  assert.equal((await admin('POST', '/admin/reconcile', { from: '2026-02-01', to: '2026-01-01' })).status, 400);
+  assert.equal((await admin('POST', '/admin/reconcile', { from: '2025-01-01', to: '2026-01-01' })).status, 400);
+  assert.deepEqual((await admin('GET', '/admin/reconcile')).body, { ok: true, run: null });
+});
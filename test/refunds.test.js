@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, useFetch, stubStripe } = require('./helpers/load-server');
+
+const { refundOrder } = server;
+
+function order(extra = {}) {
+  return { external_id: 'ORDER-1', status: 'confirmed', pf_order_id: 55, pf_status: 'pending', pi_id: 'pi_1', session_id: 'cs_1', refunds: [], ...extra };
+}
+
+// Stripe with its idempotency: a repeated key returns the refund it created first
+function fakeStripe(t, { captured = 5000 } = {}) {
+  const refunds = [];
+  const byKey = new Map();
+  const charge = { id: 'ch_1', amount_captured: captured, amount_refunded: 0, currency: 'usd' };
+  stubStripe(t, {
+    paymentIntents: { retrieve: async () => ({ id: 'pi_1', latest_charge: { ...charge } }) },
+    refunds: {
+      list: async () => ({ data: [...refunds] }),
+      create: async (params, opts) => {
+        if (byKey.has(opts.idempotencyKey)) return byKey.get(opts.idempotencyKey);
+        const refund = { id: `re_${refunds.length + 1}`, amount: params.amount, currency: 'usd', status: 'succeeded' };
+        refunds.push(refund);
+        byKey.set(opts.idempotencyKey, refund);
+        charge.amount_refunded += params.amount;
+        return refund;
+      }
+    },
+    'checkout.sessions': {
+      listLineItems: async () => ({ data: [{ id: 'li_1', description: 'Tee', quantity: 2, amount_total: 4000 }] })
+    }
+  });
+  return refunds;
+}
+
+test('a full refund cancels a cancellable Printful order and closes the ledger row', async (t) => {
+  const db = useTables({ printful_orders: [order()] });
+  fakeStripe(t);
+  const calls = useFetch((url) => ({ body: url.includes('/cancel') ? { result: { status: 'canceled' } } : { result: { id: 55, status: 'pending' } } }));
+  const out = await refundOrder('ORDER-1', { actor: 'ops' });
+  assert.equal(out.full, true);
+  assert.equal(out.refund.amount, 5000);
+  assert.deepEqual(calls.map(c => c.method + ' ' + new URL(c.url).pathname), ['GET /orders/55', 'POST /orders/55/cancel']);
+  const row = db.tables.printful_orders[0];
+  assert.equal(row.status, 'canceled');
+  assert.equal(row.refund_status, 'admin_full_refund');
+  assert.equal(row.refunds.length, 1);
+});
+
+test('a refund missing from the ledger does not swallow the next one of the same amount', async (t) => {
+  const db = useTables({ printful_orders: [order()] });
+  const refunds = fakeStripe(t);
+  db.fail('printful_orders', 'update', { message: 'ledger down' });
+  const first = await refundOrder('ORDER-1', { lines: [{ line_item_id: 'li_1', quantity: 1 }] });
+  assert.equal(first.ledgerError, 'ledger down');
+  db.fail('printful_orders', 'update', null);
+
+  const second = await refundOrder('ORDER-1', { lines: [{ line_item_id: 'li_1', quantity: 1 }] });
+  assert.equal(second.full, false);
+  assert.deepEqual(refunds.map(r => [r.id, r.amount]), [['re_1', 2000], ['re_2', 2000]]);
+});
+
+test('a retried request with the same request_id returns the original refund', async (t) => {
+  useTables({ printful_orders: [order({ refunds: [] })] });
+  const refunds = fakeStripe(t);
+  const body = { lines: [{ line_item_id: 'li_1', quantity: 1 }], request_id: 'req-42' };
+  const a = await refundOrder('ORDER-1', body);
+  const b = await refundOrder('ORDER-1', body);
+  assert.equal(a.refund.id, b.refund.id);
+  assert.equal(refunds.length, 1);
+});
+
+test('rejects orders that cannot be refunded', async (t) => {
+  useTables({ printful_orders: [order({ pi_id: null, session_id: null }), order({ external_id: 'ORDER-2' })] });
+  fakeStripe(t, { captured: 0 });
+  await assert.rejects(refundOrder('missing'), { status: 404 });
+  await assert.rejects(refundOrder('ORDER-1'), { status: 409, message: 'order has no payment intent to refund' });
+  await assert.rejects(refundOrder('ORDER-2'), { status: 409, message: 'charge is already fully refunded' });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, listen, stubStripe } = require('./helpers/load-server');
+
+const { reserveInventory } = server;
+
+const SOON = () => new Date(Date.now() + 30 * 60 * 1000);
+
+function catalog(stock) {
+  return {
+    self_products: [{ id: 'cap', sku: 'CAP', name: 'Cap', price_cents: 1800, images: [], active: true, sort_index: 0 }],
+    self_product_variants: [{ product_id: 'cap', option: 'black', sku: 'CAP-black', stock, active: true }]
+  };
+}
+
+function hold(id, holdId, qty, created_at) {
+  return { id, hold_id: holdId, product_id: 'cap', option: 'black', qty, status: 'active', expires_at: SOON().toISOString(), created_at };
+}
+
+const LINE = { index: 0, productId: 'cap', option: 'black', qty: 1, name: 'Cap' };
+
+test('reserves while stock covers every earlier hold', async () => {
+  const db = useTables({ ...catalog(2), inventory_reservations: [hold(900, 'hold_old', 1, '2026-01-01T00:00:00.000Z')] });
+  await reserveInventory('hold_new', [LINE], SOON());
+  const mine = db.tables.inventory_reservations.filter(r => r.hold_id === 'hold_new');
+  assert.equal(mine.length, 1);
+  assert.equal(mine[0].status, 'active');
+});
+
+test('the later of two holds for the last unit loses and is released', async () => {
+  const db = useTables({ ...catalog(1), inventory_reservations: [hold(900, 'hold_old', 1, '2026-01-01T00:00:00.000Z')] });
+  await assert.rejects(reserveInventory('hold_new', [LINE], SOON()), err => {
+    assert.equal(err.code, 'out_of_stock');
+    assert.deepEqual(err.items, [{ index: 0, name: 'Cap / black', requested: 1, available: 0 }]);
+    return true;
+  });
+  const [mine] = db.tables.inventory_reservations.filter(r => r.hold_id === 'hold_new');
+  assert.equal(mine.status, 'released');
+  assert.equal(mine.release_reason, 'out_of_stock');
+  assert.equal(db.tables.inventory_reservations.find(r => r.hold_id === 'hold_old').status, 'active');
+});
+
+test('an earlier hold keeps its unit when a later one was inserted first', async () => {
+  // hold_later sorts after ours by created_at even though it has the lower id
+  const db = useTables({ ...catalog(1), inventory_reservations: [hold(1, 'hold_later', 1, '2999-01-01T00:00:00.000Z')] });
+  await reserveInventory('hold_first', [LINE], SOON());
+  assert.equal(db.tables.inventory_reservations.find(r => r.hold_id === 'hold_first').status, 'active');
+});
+
+test('expired and released holds do not count', async () => {
+  const past = new Date(Date.now() - 60000).toISOString();
+  const db = useTables({
+    ...catalog(1),
+    inventory_reservations: [
+      { ...hold(900, 'hold_expired', 1, '2026-01-01T00:00:00.000Z'), expires_at: past },
+      { ...hold(901, 'hold_released', 1, '2026-01-01T00:00:00.000Z'), status: 'released' }
+    ]
+  });
+  await reserveInventory('hold_new', [LINE], SOON());
+  assert.equal(db.tables.inventory_reservations.find(r => r.hold_id === 'hold_new').status, 'active');
+});
+
+test('a shopper retrying checkout can take the last unit their previous attempt held', async (t) => {
+  const db = useTables(catalog(1));
+  let created = 0;
+  const expired = [];
+  stubStripe(t, {
+    'checkout.sessions': {
+      create: async () => ({ id: `cs_test_${++created}`, url: `https://checkout.stripe.test/${created}` }),
+      expire: async (id) => { expired.push(id); return { id, status: 'expired' }; }
+    }
+  });
+  const shopper = await listen(t);
+  const cart = { items: [{ type: 'self', productId: 'cap', option: 'black', qty: 1 }], shippingCountry: 'US' };
+
+  assert.equal((await shopper('POST', '/create-checkout-session', cart)).status, 200);
+  const retry = await shopper('POST', '/create-checkout-session', cart);
+  assert.equal(retry.status, 200, retry.text);
+  assert.deepEqual(expired, ['cs_test_1']);
+  const holds = db.tables.inventory_reservations;
+  assert.deepEqual(holds.map(h => [h.session_id, h.status, h.release_reason || null]), [
+    ['cs_test_1', 'released', 'superseded'],
+    ['cs_test_2', 'active', null]
+  ]);
+
+  const other = await listen(t);
+  const res = await other('POST', '/create-checkout-session', cart);
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /sold out/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PRINTFUL_WEBHOOK_SECRET = 'pf-secret';
+const { useTables, listen } = require('./helpers/load-server');
+
+const ORDER = {
+  id: 55,
+  external_id: 'ORDER-1',
+  status: 'partial',
+  items: [{ id: 1, name: 'Catfish Tee', quantity: 1 }, { id: 2, name: 'Catfish Mug', quantity: 2 }],
+  shipments: [{ id: 9 }, { id: 10 }]
+};
+
+const shipped = (shipment) => ({ type: 'package_shipped', created: 1760000000 + shipment.id, data: { order: ORDER, shipment } });
+
+test('each package gets a shipping email with its tracking link and what is still to come', async (t) => {
+  const db = useTables({
+    printful_orders: [{ external_id: 'ORDER-1', status: 'confirmed', pf_order_id: 55, customer_email: 'ann@shopper.test', customer_name: 'Ann', shipments: [] }]
+  });
+  const request = await listen(t);
+  await request('POST', '/webhook/printful?secret=pf-secret', shipped({ id: 9, carrier: 'USPS', tracking_number: '9400', tracking_url: 'https://track.test/9400', items: [{ item_id: 1, quantity: 1 }] }));
+
+  const [first] = db.tables.email_outbox;
+  assert.equal(first.template, 'shipping_confirmation');
+  assert.equal(first.to_address, 'ann@shopper.test');
+  assert.equal(first.ref, 'ORDER-1');
+  assert.equal(first.subject, 'Package 1 of 2 from your Catfish Empire order has shipped');
+  assert.match(first.text, /Track it: https:\/\/track\.test\/9400/);
+  assert.match(first.text, /In this package:\n- 1 × Catfish Tee/);
+  assert.match(first.text, /ships separately\):\n- 2 × Catfish Mug/);
+  assert.match(first.html, /href="https:\/\/track\.test\/9400"/);
+
+  await request('POST', '/webhook/printful?secret=pf-secret', shipped({ id: 10, carrier: 'UPS', tracking_number: '1Z', items: [{ item_id: 2, quantity: 2 }] }));
+  const second = db.tables.email_outbox[1];
+  assert.equal(second.subject, 'Package 2 of 2 from your Catfish Empire order has shipped');
+  assert.doesNotMatch(second.text, /ships separately/);
+  assert.equal(db.tables.email_outbox.length, 2);
+});
+
+test('a shipment for an order without a usable email is still recorded', async (t) => {
+  const db = useTables({
+    printful_orders: [{ external_id: 'ORDER-1', status: 'confirmed', pf_order_id: 55, customer_email: null, shipments: [] }]
+  });
+  const request = await listen(t);
+  const res = await request('POST', '/webhook/printful?secret=pf-secret', shipped({ id: 9, tracking_number: '9400', items: [] }));
+  assert.equal(res.status, 200);
+  assert.equal(db.tables.printful_orders[0].status, 'shipped');
+  assert.equal(db.tables.email_outbox, undefined);
+});
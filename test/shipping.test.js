@@ -0,0 +1,73 @@
+process.env.SHIPPING_QUOTE_TIMEOUT_MS = '50';
+process.env.SHIPPING_FLAT_CENTS = '599';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, useFetch } = require('./helpers/load-server');
+
+const { quoteShipping, setCache } = server;
+
+const ZONE = { id: 'na', name: 'North America', countries: ['US', 'CA'], rateCents: null, freeOverCents: null, excludedProductIds: [], liveRates: true };
+const TEE = { index: 0, type: 'printful', variantId: 101, productId: '9001', qty: 1, unitCents: 2500 };
+
+let seq = 0;
+function seed(zone = ZONE) {
+  // A fresh catalog variant id per test keeps the rate cache from answering
+  setCache('pricing:variant:101', { variantId: 101, syncProductId: '9001', catalogVariantId: 4000 + ++seq, name: 'Tee', retailCents: 2500 });
+  setCache('shipping:zones', [zone]);
+  useTables();
+}
+
+const timers = () => process.getActiveResourcesInfo().filter(r => r === 'Timeout').length;
+
+test('quotes live Printful rates, cheapest first', async () => {
+  seed();
+  const calls = useFetch(() => ({ body: { result: [
+    { id: 'EXPRESS', name: 'Express (3-5 days)', rate: '19.00', currency: 'USD', minDeliveryDays: 3, maxDeliveryDays: 5 },
+    { id: 'STANDARD', name: 'Standard', rate: '4.75', currency: 'USD' }
+  ] } }));
+  const before = timers();
+  const quote = await quoteShipping([TEE], { country: 'US', state: 'nc', zip: '27601' });
+  assert.equal(timers(), before, 'no timer is left behind');
+  assert.equal(quote.source, 'printful');
+  assert.deepEqual(quote.options.map(o => [o.id, o.name, o.amountCents]), [['STANDARD', 'Standard', 475], ['EXPRESS', 'Express', 1900]]);
+  assert.deepEqual(calls[0].body.recipient, { country_code: 'US', state_code: 'NC', zip: '27601' });
+});
+
+test('falls back to the flat rate when Printful is slow, without stray timers or rejections', async () => {
+  seed();
+  let aborted = false;
+  useFetch((url, opts) => new Promise((_, reject) => {
+    opts.signal.addEventListener('abort', () => { aborted = true; reject(new Error('aborted')); });
+  }));
+  const quote = await quoteShipping([TEE], { country: 'US' });
+  assert.equal(aborted, true);
+  assert.equal(quote.source, 'flat');
+  assert.equal(quote.reason, 'printful_unavailable');
+  assert.equal(quote.options[0].amountCents, 599);
+});
+
+test('falls back to the flat rate when Printful errors', async () => {
+  seed();
+  useFetch(() => ({ status: 400, body: { error: { message: 'bad recipient' } } }));
+  const before = timers();
+  const quote = await quoteShipping([TEE], { country: 'US' });
+  assert.equal(timers(), before);
+  assert.equal(quote.reason, 'printful_unavailable');
+});
+
+test('self-fulfilled items add the flat rate; flat zones skip Printful', async () => {
+  seed();
+  useFetch(() => ({ body: { result: [{ id: 'STANDARD', name: 'Standard', rate: '4.75', currency: 'USD' }] } }));
+  const mixed = await quoteShipping([TEE, { index: 1, type: 'self', productId: 'cap', qty: 1, unitCents: 1800 }], { country: 'US' });
+  assert.equal(mixed.options[0].amountCents, 475 + 599);
+
+  seed({ ...ZONE, liveRates: false, rateCents: 900, freeOverCents: 3000 });
+  const calls = useFetch(() => { throw new Error('not called'); });
+  const flat = await quoteShipping([TEE], { country: 'CA' }, 'cad');
+  assert.equal(calls.length, 0);
+  assert.equal(flat.options[0].amountCents, 1233);
+  const free = await quoteShipping([{ ...TEE, qty: 2 }], { country: 'US' });
+  assert.equal(free.free_shipping, true);
+  assert.equal(free.options[0].amountCents, 0);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.STRIPE_EVENT_MAX_ATTEMPTS = '2';
+const { server, useTables, listen } = require('./helpers/load-server');
+
+const { runStripeEvents } = server;
+
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+const signed = (event) => {
+  const payload = JSON.stringify(event);
+  return [payload, { 'content-type': 'application/json', 'stripe-signature': server.stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }) }];
+};
+
+const donation = (id, created) => ({
+  id,
+  type: 'checkout.session.completed',
+  created,
+  data: { object: { object: 'checkout.session', id: `cs_${id}`, payment_status: 'paid', amount_total: 500, currency: 'usd', metadata: { intent: 'donation' }, customer_details: { email: 'ann@shopper.test', name: 'Ann' } } }
+});
+
+const journaled = (event, over = {}) => ({
+  id: event.id, type: event.type, payload: event, lock_key: event.data.object.id, event_created: event.created,
+  status: 'queued', attempts: 1, process_attempts: 0, next_attempt_at: ago(1000), received_at: ago(1000), ...over
+});
+
+function breakEmail(t, db) {
+  const sendMail = server.transporter.sendMail;
+  server.transporter.sendMail = async () => { throw new Error('smtp down'); };
+  db.fail('email_outbox', 'insert', { message: 'outbox unavailable' });
+  t.after(() => { server.transporter.sendMail = sendMail; db.fail('email_outbox', 'insert', null); });
+}
+
+test('unsigned or tampered events are refused before they are journaled', async (t) => {
+  const db = useTables();
+  const request = await listen(t);
+  const [payload, headers] = signed(donation('evt_1', 1));
+  assert.equal((await request('POST', '/webhook', payload, { 'content-type': 'application/json' })).status, 400);
+  assert.equal((await request('POST', '/webhook', payload.replace('500', '50000'), headers)).status, 400);
+  assert.equal(db.tables.webhook_events, undefined);
+});
+
+test('a verified event is journaled, acknowledged and processed by the worker', async (t) => {
+  const db = useTables({ notification_routes: [{ kind: 'donation', recipients: ['ops@example.com'] }] });
+  const request = await listen(t);
+  const [payload, headers] = signed(donation('evt_1', 1));
+  const res = await request('POST', '/webhook', payload, headers);
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body, { received: true });
+
+  const row = db.tables.webhook_events[0];
+  for (let i = 0; i < 50 && row.status !== 'processed'; i++) await new Promise(r => setTimeout(r, 10));
+  assert.equal(row.status, 'processed');
+  assert.equal(row.outcome, 'donation');
+  assert.equal(db.tables.email_outbox.length, 2);
+
+  await request('POST', '/webhook', payload, headers);
+  assert.equal(db.tables.webhook_events.length, 1);
+  assert.equal(row.attempts, 2, 'a redelivery only counts the attempt');
+});
+
+test('the event is not acknowledged when the journal is unavailable', async (t) => {
+  const db = useTables();
+  db.fail('webhook_events', 'insert', { code: '08006', message: 'connection lost' });
+  const request = await listen(t);
+  const [payload, headers] = signed(donation('evt_1', 1));
+  assert.equal((await request('POST', '/webhook', payload, headers)).status, 500);
+});
+
+test('a thrown handler error is retried with backoff and dead-lettered at the limit', async (t) => {
+  const event = donation('evt_1', 1);
+  const db = useTables({ webhook_events: [journaled(event)] });
+  breakEmail(t, db);
+  const row = db.tables.webhook_events[0];
+
+  await runStripeEvents();
+  assert.equal(row.status, 'retrying');
+  assert.equal(row.process_attempts, 1);
+  assert.match(row.error, /incomplete/);
+  assert.ok(Date.parse(row.next_attempt_at) > Date.now());
+  await runStripeEvents();
+  assert.equal(row.process_attempts, 1, 'waits out the backoff');
+
+  row.next_attempt_at = ago(1000);
+  await runStripeEvents();
+  assert.equal(row.status, 'dead');
+  assert.equal(row.next_attempt_at, null);
+
+  await runStripeEvents();
+  assert.equal(row.process_attempts, 2, 'dead events are left for a replay');
+});
+
+test('events for the same order run in Stripe order', async () => {
+  const first = donation('evt_1', 100);
+  const second = { ...donation('evt_2', 200), data: first.data };
+  const db = useTables({
+    webhook_events: [journaled(second), journaled(first, { status: 'processing', process_attempts: 1, next_attempt_at: new Date(Date.now() + 60000).toISOString() })]
+  });
+  await runStripeEvents();
+  assert.equal(db.tables.webhook_events[0].status, 'queued', 'waits for the earlier event');
+  assert.equal(db.tables.webhook_events[0].process_attempts, 0);
+});
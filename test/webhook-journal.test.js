@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables, listen } = require('./helpers/load-server');
+
+const donation = {
+  id: 'evt_1',
+  type: 'checkout.session.completed',
+  created: 1760000000,
+  data: { object: { object: 'checkout.session', id: 'cs_1', payment_status: 'paid', amount_total: 500, currency: 'usd', metadata: { intent: 'donation' }, customer_details: { email: 'ann@shopper.test', name: 'Ann' } } }
+};
+
+const entry = (over = {}) => ({
+  id: 'evt_1', type: donation.type, payload: donation, lock_key: 'cs_1', event_created: donation.created,
+  status: 'error', error: 'smtp down', attempts: 1, process_attempts: 1, next_attempt_at: null, received_at: '2026-01-01T00:00:00.000Z', ...over
+});
+
+async function admin(t) {
+  const request = await listen(t);
+  await request('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+  return request;
+}
+
+test('replaying an event re-runs the stored payload and only sends what is missing', async (t) => {
+  const db = useTables({
+    webhook_events: [entry()],
+    processed_events: [{ event_id: 'donation:cs_1', outcome: 'queued' }],
+    notification_routes: [{ kind: 'donation', recipients: ['ops@example.com'] }]
+  });
+  const request = await admin(t);
+  const res = await request('POST', '/admin/webhooks/events/evt_1/replay', { payload: { id: 'evt_forged' } });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.status, 'processed');
+  assert.equal(res.body.outcome, 'donation');
+
+  assert.deepEqual(db.tables.email_outbox.map(m => m.template), ['admin_new_donation'], 'the donor email already went out');
+  const row = db.tables.webhook_events[0];
+  assert.equal(row.attempts, 2);
+  assert.equal(row.error, null);
+  assert.ok(row.replayed_at);
+  assert.equal(db.tables.processed_events.some(r => r.event_id === 'evt_forged'), false);
+});
+
+test('a replay that fails again is recorded on the entry', async (t) => {
+  const db = useTables({ webhook_events: [entry()] });
+  const sendMail = server.transporter.sendMail;
+  server.transporter.sendMail = async () => { throw new Error('smtp down'); };
+  db.fail('email_outbox', 'insert', { message: 'outbox unavailable' });
+  t.after(() => { server.transporter.sendMail = sendMail; });
+  const request = await admin(t);
+
+  const res = await request('POST', '/admin/webhooks/events/evt_1/replay');
+  assert.equal(res.status, 500);
+  const row = db.tables.webhook_events[0];
+  assert.equal(row.status, 'error');
+  assert.match(row.error, /incomplete/);
+  assert.equal(db.tables.processed_events.length, 0, 'the failed replay leaves no claims behind');
+});
+
+test('events the worker still owns cannot be replayed by hand', async (t) => {
+  useTables({ webhook_events: [entry({ status: 'retrying' })] });
+  const request = await admin(t);
+  assert.equal((await request('POST', '/admin/webhooks/events/evt_1/replay')).status, 409);
+  assert.equal((await request('POST', '/admin/webhooks/events/evt_nope/replay')).status, 404);
+});
+
+test('the journal can be listed, filtered and read', async (t) => {
+  useTables({ webhook_events: [entry(), entry({ id: 'evt_2', type: 'charge.refunded', status: 'processed', received_at: '2026-01-02T00:00:00.000Z' })] });
+  const request = await listen(t);
+  assert.equal((await request('GET', '/admin/webhooks/events')).status, 403);
+  await request('POST', '/login', { password: process.env.ADMIN_PASSWORD });
+
+  assert.deepEqual((await request('GET', '/admin/webhooks/events')).body.events.map(e => e.id), ['evt_2', 'evt_1']);
+  assert.deepEqual((await request('GET', '/admin/webhooks/events?status=error')).body.events.map(e => e.id), ['evt_1']);
+  assert.equal((await request('GET', '/admin/webhooks/events?before=nope')).status, 400);
+  assert.equal((await request('GET', '/admin/webhooks/events/evt_1')).body.event.payload.id, 'evt_1');
+  assert.equal((await request('GET', '/admin/webhooks/events/evt_nope')).status, 404);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { server, useTables } = require('./helpers/load-server');
+
+const { resolveShippingZone, setCache } = server;
+
+test('resolves the first zone listing the country', async () => {
+  useTables();
+  setCache('shipping:zones', [
+    { id: 'na', name: 'North America', countries: ['US', 'CA'], rateCents: 500, freeOverCents: null, excludedProductIds: ['77'], liveRates: true },
+    { id: 'world', name: 'World', countries: ['GB', 'US'], rateCents: 1500, freeOverCents: null, excludedProductIds: [], liveRates: false }
+  ]);
+  assert.equal((await resolveShippingZone([], 'us')).id, 'na');
+  assert.equal((await resolveShippingZone([], 'GB')).id, 'world');
+});
+
+test('rejects unshipped countries and items excluded from the zone', async () => {
+  useTables();
+  setCache('shipping:zones', [
+    { id: 'na', name: 'North America', countries: ['US', 'CA'], rateCents: 500, freeOverCents: null, excludedProductIds: ['77'], liveRates: true }
+  ]);
+  await assert.rejects(resolveShippingZone([], 'FR'), { code: 'country_not_shipped' });
+  await assert.rejects(
+    resolveShippingZone([{ index: 1, name: 'Poster', productId: 77 }, { index: 2, name: 'Tee', productId: 5 }], 'CA'),
+    err => {
+      assert.equal(err.code, 'excluded_items');
+      assert.deepEqual(err.items, [{ index: 1, name: 'Poster', product_id: 77 }]);
+      return true;
+    }
+  );
+});